@@ -1,8 +1,9 @@
 /**
- * Run a web server to proxy requests to a SPDZ engine.
+ * Run a web server to proxy requests to one or more SPDZ engines.
  * Runs in rest mode (INTERFACE = rest) to service http rest requests
  *  or in websocket mode (INTERFACE = websocket, default) to service 
- *  websocket requests.
+ *  websocket requests, or both (INTERFACE = both) sharing the SPDZ
+ *  connections so either interface can inspect and close them.
  * Deploy behind nginx reverse proxy to support SSL connections.
  */
 'use strict'
@@ -11,7 +12,8 @@ const express = require('express')
 const http = require('http')
 const Io = require('socket.io')
 
-const spdzEngine = require('./spdz_interface')
+const spdzInterface = require('./spdz_interface')
+const spdzEngines = require('./spdz_engines')
 const restApi = require('./rest_api')
 const setupSpdzInteraction = require('./socket_api')
 const setupSpdzBootstrap = require('./spdz_bootstrap')
@@ -24,9 +26,82 @@ const serverType = process.env.INTERFACE || 'websocket'
 const startScript = process.env.START_SCRIPT || 'no-start-script-specified'
 const stopScript = process.env.STOP_SCRIPT || 'no-stop-script-specified'
 const playerId = process.env.PLAYER_ID || '0'
+const spdzPrime = process.env.SPDZ_PRIME
+const spdzMontgomeryR = process.env.SPDZ_MONTGOMERY_R
+const fixF = process.env.FIX_F !== undefined ? Number(process.env.FIX_F) : 20
+const fixK = process.env.FIX_K !== undefined ? Number(process.env.FIX_K) : 40
+const regintSize =
+  process.env.SPDZ_REGINT_SIZE !== undefined
+    ? Number(process.env.SPDZ_REGINT_SIZE)
+    : 4
+const maxFrameSize =
+  process.env.MAX_FRAME_SIZE !== undefined
+    ? Number(process.env.MAX_FRAME_SIZE)
+    : undefined
+const sendQueueHighWaterMark =
+  process.env.SEND_QUEUE_HIGH_WATER_MARK !== undefined
+    ? Number(process.env.SEND_QUEUE_HIGH_WATER_MARK)
+    : undefined
+const idleTimeoutMs =
+  process.env.IDLE_TIMEOUT_MS !== undefined
+    ? Number(process.env.IDLE_TIMEOUT_MS)
+    : undefined
+const maxBufferedBytes =
+  process.env.MAX_BUFFERED_BYTES !== undefined
+    ? Number(process.env.MAX_BUFFERED_BYTES)
+    : undefined
+const maxMessageAgeMs =
+  process.env.MAX_MESSAGE_AGE_MS !== undefined
+    ? Number(process.env.MAX_MESSAGE_AGE_MS)
+    : undefined
+const maxConnections =
+  process.env.MAX_SPDZ_CONNECTIONS !== undefined
+    ? Number(process.env.MAX_SPDZ_CONNECTIONS)
+    : undefined
+const sessionGraceMs =
+  process.env.SESSION_GRACE_MS !== undefined
+    ? Number(process.env.SESSION_GRACE_MS)
+    : undefined
+const maxConsumeWaitMs =
+  process.env.MAX_CONSUME_WAIT_MS !== undefined
+    ? Number(process.env.MAX_CONSUME_WAIT_MS)
+    : undefined
+const maxConnectWaitMs =
+  process.env.MAX_CONNECT_WAIT_MS !== undefined
+    ? Number(process.env.MAX_CONNECT_WAIT_MS)
+    : undefined
+const engineTargets = spdzEngines.loadEngineTargets(
+  process.env.SPDZ_ENGINES,
+  spdzHostName,
+  spdzPortNum
+)
 
-spdzEngine.init(spdzHostName, spdzPortNum)
-logger.info(`Running as a proxy for SPDZ engine ${spdzHostName}:${spdzPortNum} with player id ${playerId}.`)
+// Options shared by all engines, unless overridden for an engine in SPDZ_ENGINES.
+const sharedOptions = {
+  prime: spdzPrime,
+  montgomeryR: spdzMontgomeryR,
+  fixF: fixF,
+  fixK: fixK,
+  regintSize: regintSize,
+  maxFrameSize: maxFrameSize,
+  queueHighWaterMark: sendQueueHighWaterMark,
+  idleTimeoutMs: idleTimeoutMs,
+  maxBufferedBytes: maxBufferedBytes,
+  maxMessageAgeMs: maxMessageAgeMs,
+  maxConnections: maxConnections
+}
+
+// Each engine has its own independent spdz interface.
+const engines = engineTargets.map(target => {
+  const spdzEngine = spdzInterface.createSpdzEngine()
+  spdzEngine.init(
+    target.host,
+    target.port,
+    Object.assign({}, sharedOptions, target.options)
+  )
+  logger.info(`Running as a proxy for SPDZ engine ${target.name} at ${target.host}:${target.port} with player id ${playerId}.`)
+  return { name: target.name, spdzEngine: spdzEngine }
+})
 logger.info(`   startScript is ${startScript}`)
 logger.info(`   stopScript is ${stopScript}`)
 
@@ -37,12 +112,52 @@ app.disable('x-powered-by')
 
 const webServer = http.createServer(app)
 
-if (serverType === 'websocket') {
+// List engines, before the engine routes so not mistaken for a client id.
+app.use(
+  `/spdzapi/${spdzEngines.ENGINES_PATH_NAME}`,
+  spdzEngines.enginesRouter(engineTargets, '/spdzapi')
+)
+
+const serveWebSocket = serverType === 'websocket' || serverType === 'both'
+const serveRest = serverType !== 'websocket'
+
+if (serveWebSocket) {
   const io = new Io(webServer, { path: '/spdz/socket.io' })
-  setupSpdzInteraction(io, '/spdzapi', spdzEngine)
+  engines.forEach(engine => {
+    setupSpdzInteraction(io, `/spdzapi/${engine.name}`, engine.spdzEngine, {
+      sessionGraceMs: sessionGraceMs,
+      maxConnectWaitMs: maxConnectWaitMs
+    })
+  })
+  // First engine is also served at the original namespace.
+  setupSpdzInteraction(io, '/spdzapi', engines[0].spdzEngine, {
+    sessionGraceMs: sessionGraceMs,
+    maxConnectWaitMs: maxConnectWaitMs
+  })
   setupSpdzBootstrap(io, '/spdzstart', startScript, stopScript, playerId)
-} else {
-  app.use('/spdzapi', restApi(spdzEngine))
+}
+if (serveRest) {
+  engines.forEach(engine => {
+    app.use(
+      `/spdzapi/${engine.name}`,
+      restApi(engine.spdzEngine, {
+        maxConsumeWaitMs: maxConsumeWaitMs,
+        maxConnectWaitMs: maxConnectWaitMs
+      })
+    )
+  })
+  // First engine is also served at the original path.
+  app.use(
+    '/spdzapi',
+    restApi(engines[0].spdzEngine, {
+      maxConsumeWaitMs: maxConsumeWaitMs,
+      maxConnectWaitMs: maxConnectWaitMs
+    })
+  )
+  app.use(
+    '/spdzstart',
+    setupSpdzBootstrap.bootstrapRouter(startScript, stopScript, playerId)
+  )
 }
 
 webServer.listen(portNum, () => {
@@ -4,286 +4,867 @@
 'use strict'
 
 const express = require('express')
-const router = express.Router()
 const cors = require('cors')
 const bodyParser = require('body-parser')
 const HttpStatus = require('http-status-codes')
 const logger = require('../support/logging')
+const clientIds = require('../support/clientIds')
+const {
+  corsOptions,
+  notFoundHandler,
+  errorHandler
+} = require('../support/restHandlers')
+const openApiDocument = require('./openapi')
+const createRequestValidator = require('./validateRequest')
 
-const environ = process.env.NODE_ENV || 'development'
+// Check requests against the OpenAPI document, see validateRequest.
+const validateRequest = createRequestValidator(openApiDocument)
 
-let spdzEngine = undefined
+// Default longest time a consume-data request is held open waiting for data.
+const DEFAULT_MAX_CONSUME_WAIT_MS = 30000
+// Default longest time a connect-to-spdz request keeps retrying if SPDZ is not accepting connections.
+const DEFAULT_MAX_CONNECT_WAIT_MS = 60000
+// Default and largest number of messages returned by consume-batch.
+const DEFAULT_BATCH_MESSAGES = 100
+const MAX_BATCH_MESSAGES = 10000
+// Seconds a client refused for back pressure is asked to wait before sending again.
+const SEND_RETRY_AFTER_SECONDS = 1
+// Default time between heartbeat comments on an event stream, so proxies do not close idle streams.
+const DEFAULT_EVENT_HEARTBEAT_MS = 15000
+// Default time a message written to an event stream is kept, in case the stream drops before the client receives it.
+const DEFAULT_EVENT_RETENTION_MS = 60000
 
 /**
- * REST API wide middleware goes here
+ * Create the REST API routes for one SPDZ engine, each engine served by the proxy has its own router.
+ * @param {Object} spdzEngine spdz interface for the engine.
+ * @param {Object} [options] optional, maxConsumeWaitMs - longest waitMs allowed for consume-data, default 30000,
+ *        maxConnectWaitMs - longest waitMs allowed for connect-to-spdz, default 60000,
+ *        eventHeartbeatMs - time between heartbeats on an event stream, default 15000,
+ *        eventRetentionMs - time a message written to an event stream is kept for a reconnecting client, default 60000.
+ * @returns {express.Router}
  */
-// Enable all cors requests (should include preflight options)
-// Options needed to configure Access-Control-Expose-Headers to allow Location header to be read.
-const corsOptions = {
-  exposedHeaders: 'Location'
-}
-router.use(cors(corsOptions))
-// Needed to parse application/json into req.body
-router.use(bodyParser.json())
-// Needed to parse application/octet-stream. into req.body
-router.use(bodyParser.raw())
-
-// Landing page
-router.get('/', (req, res) => {
-  res.type('text/plain')
-  res.send('You have reached the SPDZ Rest interface. See ....')
-})
+module.exports = (spdzEngine, options = {}) => {
+  const router = express.Router()
+  const maxConsumeWaitMs =
+    options.maxConsumeWaitMs !== undefined
+      ? options.maxConsumeWaitMs
+      : DEFAULT_MAX_CONSUME_WAIT_MS
+  const maxConnectWaitMs =
+    options.maxConnectWaitMs !== undefined
+      ? options.maxConnectWaitMs
+      : DEFAULT_MAX_CONNECT_WAIT_MS
+  const eventHeartbeatMs =
+    options.eventHeartbeatMs !== undefined
+      ? options.eventHeartbeatMs
+      : DEFAULT_EVENT_HEARTBEAT_MS
+  const eventRetentionMs =
+    options.eventRetentionMs !== undefined
+      ? options.eventRetentionMs
+      : DEFAULT_EVENT_RETENTION_MS
 
-/**
- * @description POST /spdzapi/connect-to-spdz. Establish a stateful TCP connection to the running SPDZ process using SPDZ instructions listen, acceptclientconnection.
- * @alias restConnectToSpdz
- * @param {String} [clientId]  Optional client id, if not supplied then generated and returned in Location header.
- * Needs to be used in future interactions from this client.
- * @param {String} [clientPublicKey] Optional client public key as 64 char hex string.
- * If supplied all data will be encrypted with RSA authenticated encryption.
- * Client must have access to SPDZ engine public key.
- * See SPDZ instruction regint.read_client_public_key.
- * @return {String} Location header for the connection resource containing generated client Id.
- * @example Sending the request:
- *   POST /spdzapi/connect-to-spdz
- *   Host: my-domain:8080
- *   Content-Type: 'application/json; charset=utf-8'
- *
- *   { "clientId": "123", "clientPublicKey" : "e0c5f66f1306ef1aeeb744ef38abaa28bb6c836c2ab0124d93dd9586cae8dd17"}
- * @example Successful response with generated client id of 123:
- *   HTTP/1.1 201 Created
- *   Location: /123/spdz-connection
- * @example Error response:
- *   HTTP/1.1 400 Bad Requst
- *   {
- *     status: 400,
- *     message: Socket for client 123 received error. ECONNREFUSED.
- *   }
- * @access public
- */
-router.post('/connect-to-spdz', (req, res, next) => {
-  const clientId = req.body.clientId
-  const clientPublicKey = req.body.clientPublicKey
-  spdzEngine
-    .setupConnection(clientId, clientPublicKey)
-    .then(generatedClientId => {
-      res
-        .status(201)
-        .location(`${req.baseUrl}/${generatedClientId}/spdz-connection`)
-        .send()
-    })
-    .catch(err => {
+  /**
+   * REST API wide middleware goes here
+   */
+  // Enable all cors requests (should include preflight options)
+  router.use(cors(corsOptions))
+  // Needed to parse application/json into req.body
+  router.use(bodyParser.json())
+  // Needed to parse application/octet-stream. into req.body
+  router.use(bodyParser.raw())
+
+  // Check requests against the OpenAPI document before the route handlers, invalid requests get a 400 response.
+  router.post('/connect-to-spdz', validateRequest('/connect-to-spdz', 'post'))
+  router.get(
+    '/:clientId/spdz-connection',
+    validateRequest('/{clientId}/spdz-connection', 'get')
+  )
+  router.delete(
+    '/:clientId/spdz-connection',
+    validateRequest('/{clientId}/spdz-connection', 'delete')
+  )
+  router.get(
+    '/:clientId/send-queue',
+    validateRequest('/{clientId}/send-queue', 'get')
+  )
+  router.post(
+    '/:clientId/consume-data',
+    validateRequest('/{clientId}/consume-data', 'post')
+  )
+  router.post(
+    '/:clientId/consume-batch',
+    validateRequest('/{clientId}/consume-batch', 'post')
+  )
+  router.get('/:clientId/events', validateRequest('/{clientId}/events', 'get'))
+  router.post(
+    '/:clientId/send-data',
+    validateRequest('/{clientId}/send-data', 'post')
+  )
+
+  // Landing page
+  router.get('/', (req, res) => {
+    res.type('text/plain')
+    res.send('You have reached the SPDZ Rest interface. See ....')
+  })
+
+  /**
+   * @description GET /spdzapi/openapi.json. Get the OpenAPI (3.0) description of the REST interface, e.g. to generate clients.
+   * Requests are checked against this description, an invalid request gets a 400 response listing each problem.
+   * @alias restOpenApi
+   * @return {Object} JSON OpenAPI document, with the server url of the engine the request was made to.
+   * @example Sending the request:
+   *   GET /spdzapi/openapi.json
+   * @example Successful response:
+   *   HTTP/1.1 200 Ok
+   *   Content-Type: application/json; charset=utf-8
+   *
+   *   { "openapi": "3.0.0", "info": { "title": "SPDZ proxy REST interface", ... },
+   *     "servers": [ { "url": "/spdzapi" } ], "paths": { ... } }
+   * @example Error response for an invalid request:
+   *   HTTP/1.1 400 Bad Request
+   *   {
+   *     status: 400,
+   *     message: Invalid request, query.waitMs should be integer.,
+   *     errors: [ "query.waitMs should be integer" ]
+   *   }
+   * @access public
+   */
+  router.get('/openapi.json', (req, res) => {
+    const servers = [{ url: req.baseUrl }]
+    res
+      .status(HttpStatus.OK)
+      .json(Object.assign({}, openApiDocument, { servers: servers }))
+  })
+
+  /**
+   * @description POST /spdzapi/connect-to-spdz?waitMs=10000. Establish a stateful TCP connection to the running SPDZ process using SPDZ instructions listen, acceptclientconnection.
+   * @alias restConnectToSpdz
+   * @param {Number} [waitMs=0] Optional query parameter, length of time in milliSecs to keep retrying if SPDZ is not yet
+   * accepting connections, for example just after the SPDZ engine is started. Capped by the proxy configuration
+   * (MAX_CONNECT_WAIT_MS), retrying stops if the client abandons the request.
+   * @param {String} [clientId]  Optional client id, if not supplied then generated and returned in Location header.
+   * Needs to be used in future interactions from this client. Ids starting with ws- are reserved for connections
+   * made with the websocket interface, which can also be used here when the proxy serves both interfaces.
+   * @param {String} [clientPublicKey] Optional client public key as 64 char hex string.
+   * If supplied all data will be encrypted with RSA authenticated encryption.
+   * Client must have access to SPDZ engine public key.
+   * See SPDZ instruction regint.read_client_public_key.
+   * @param {boolean} [decode] Optional, if true consume-data returns messages with a write_to_socket data type
+   * header decoded as JSON. Not available with encryption.
+   * @return {String} Location header for the connection resource containing generated client Id.
+   * If the SPDZ engine is already serving the maximum number of clients, responds 202 Accepted with the position in the
+   * admission queue, poll the Location with GET until the connection is established.
+   * @example Sending the request:
+   *   POST /spdzapi/connect-to-spdz
+   *   Host: my-domain:8080
+   *   Content-Type: 'application/json; charset=utf-8'
+   *
+   *   { "clientId": "123", "clientPublicKey" : "e0c5f66f1306ef1aeeb744ef38abaa28bb6c836c2ab0124d93dd9586cae8dd17"}
+   * @example Successful response with generated client id of 123:
+   *   HTTP/1.1 201 Created
+   *   Location: /123/spdz-connection
+   * @example Response if waiting for a connection:
+   *   HTTP/1.1 202 Accepted
+   *   Location: /123/spdz-connection
+   *   {
+   *     queuePosition: 2
+   *   }
+   * @example Error response:
+   *   HTTP/1.1 400 Bad Requst
+   *   {
+   *     status: 400,
+   *     message: Socket for client 123 received error. ECONNREFUSED.
+   *   }
+   * @access public
+   */
+  router.post('/connect-to-spdz', (req, res, next) => {
+    const clientId = req.body.clientId
+    const clientPublicKey = req.body.clientPublicKey
+    if (clientId !== undefined && clientIds.isWebSocketClientId(clientId)) {
+      const err = new Error(
+        'Unable to setup SPDZ connection, client ids starting with ws- are reserved for web socket connections.'
+      )
       err.status = HttpStatus.BAD_REQUEST
-      next(err)
+      return next(err)
+    }
+    // Once queued the response has been sent, the client polls for the outcome.
+    let queued = false
+    // Client gave up before the response was sent, so stop trying to connect.
+    let abandoned = false
+    res.on('close', () => {
+      abandoned = !res.headersSent
     })
-})
+    spdzEngine
+      .setupConnection(clientId, clientPublicKey, undefined, undefined, {
+        decodeOutput: req.body.decode === true,
+        waitMs: Math.min(Number(req.query.waitMs) || 0, maxConnectWaitMs),
+        isCancelled: () => abandoned,
+        notifyQueuePosition: (queuePosition, queuedClientId) => {
+          if (!queued) {
+            queued = true
+            res
+              .status(HttpStatus.ACCEPTED)
+              .location(`${req.baseUrl}/${queuedClientId}/spdz-connection`)
+              .json({ queuePosition: queuePosition })
+          }
+        }
+      })
+      .then(generatedClientId => {
+        if (!queued) {
+          res
+            .status(201)
+            .location(`${req.baseUrl}/${generatedClientId}/spdz-connection`)
+            .send()
+        }
+      })
+      .catch(err => {
+        if (queued) {
+          logger.info(`Queued client unable to connect to SPDZ. ${err.message}`)
+        } else {
+          err.status = HttpStatus.BAD_REQUEST
+          next(err)
+        }
+      })
+  })
 
-/**
- * @description GET /:clientId/spdz-connection. Check client to SPDZ connection.
- * @alias restGetSpdzConnection
- * @param {String} clientId  Client id returned by previous /connect-to-spdz call.
- *
- * @example Sending the request:
- *   GET /123/spdz-connection
- * @example Successful response:
- *   HTTP/1.1 200 Ok
- * @example Error response:
- *   HTTP/1.1 404 Not Found
- *   {
- *     status: 404,
- *     message: No connection found for client id 123.
- *   }
- * @access public
- */
-router.get('/:clientId/spdz-connection', (req, res, next) => {
-  const clientId = req.params.clientId
-  if (spdzEngine.checkConnection(clientId)) {
-    res.status(HttpStatus.OK).send('')
-  } else {
-    const err = new Error(`No connection found for client id ${clientId}.`)
-    err.status = HttpStatus.NOT_FOUND
-    next(err)
-  }
-})
+  /**
+   * @description GET /:clientId/spdz-connection. Check client to SPDZ connection.
+   * If the client is waiting for a connection, responds 202 Accepted with the position in the admission queue,
+   * or 0 if the connection is being established.
+   * @alias restGetSpdzConnection
+   * @param {String} clientId  Client id returned by previous /connect-to-spdz call.
+   *
+   * @example Sending the request:
+   *   GET /123/spdz-connection
+   * @example Successful response:
+   *   HTTP/1.1 200 Ok
+   * @example Response if waiting for a connection:
+   *   HTTP/1.1 202 Accepted
+   *   {
+   *     queuePosition: 1
+   *   }
+   * @example Error response:
+   *   HTTP/1.1 404 Not Found
+   *   {
+   *     status: 404,
+   *     message: No connection found for client id 123.
+   *   }
+   * @access public
+   */
+  router.get('/:clientId/spdz-connection', (req, res, next) => {
+    const clientId = req.params.clientId
+    const connectionStatus = spdzEngine.getConnectionStatus(clientId)
+    if (connectionStatus.state === 'connected') {
+      res.status(HttpStatus.OK).send('')
+    } else if (
+      connectionStatus.state === 'queued' ||
+      connectionStatus.state === 'connecting'
+    ) {
+      res
+        .status(HttpStatus.ACCEPTED)
+        .json({ queuePosition: connectionStatus.queuePosition })
+    } else {
+      const err = new Error(`No connection found for client id ${clientId}.`)
+      err.status = HttpStatus.NOT_FOUND
+      next(err)
+    }
+  })
 
-/**
- * @description DELETE /:clientId/spdz-connection. Close the socket connection to SPDZ.
- * @alias restDeleteSpdzConnection
- * @param {String} clientId  Client id returned by previous /connect-to-spdz call.
- *
- * @example Sending the request:
- *   DELETE /123/spdz-connection
- * @example Successful response:
- *   HTTP/1.1 200 Ok
- * @example Error response:
- *   HTTP/1.1 404 Not Found
- *   {
- *     status: 404,
- *     message: No connection found for client id 123.
- *   }
- * @access public
- */
-router.delete('/:clientId/spdz-connection', (req, res, next) => {
-  const clientId = req.params.clientId
-  const result = spdzEngine.closeConnection(clientId)
-  if (result === true) {
-    res.status(HttpStatus.OK).send('')
-  } else {
-    const err = new Error(`No connection found for client id ${clientId}.`)
-    err.status = HttpStatus.NOT_FOUND
-    next(err)
-  }
-})
+  /**
+   * @description DELETE /:clientId/spdz-connection?graceful=true&waitForOutput=true&timeoutMs=5000. Close the socket connection to SPDZ.
+   * By default the connection is closed immediately, which may drop the last data sent if SPDZ has not yet read it.
+   * A graceful close refuses further send-data requests, waits for data already sent to be flushed to SPDZ and optionally
+   * for SPDZ to write its last output and close the connection, then closes. Data not consumed before the close is discarded.
+   * A client still waiting in the admission queue or connecting is cancelled.
+   * @alias restDeleteSpdzConnection
+   * @param {String} clientId  Client id returned by previous /connect-to-spdz call.
+   * @param {boolean} [graceful=false] Optional query parameter, if true wait before closing.
+   * @param {boolean} [waitForOutput=false] Optional query parameter, if true a graceful close also waits for SPDZ to close the connection.
+   * @param {Number} [timeoutMs=5000] Optional query parameter, longest time in milliSecs a graceful close waits before forcing the close.
+   * @return {Object} JSON {mode : immediate | graceful | forced (a graceful close which timed out)}
+   *
+   * @example Sending the request:
+   *   DELETE /123/spdz-connection?graceful=true
+   * @example Successful response:
+   *   HTTP/1.1 200 Ok
+   *   Content-Type: application/json; charset=utf-8
+   *
+   *   {"mode": "graceful"}
+   * @example Error response:
+   *   HTTP/1.1 404 Not Found
+   *   {
+   *     status: 404,
+   *     message: No connection found for client id 123.
+   *   }
+   * @access public
+   */
+  router.delete('/:clientId/spdz-connection', (req, res, next) => {
+    const clientId = req.params.clientId
+    const timeoutMs = Number(req.query.timeoutMs)
+    const closing =
+      req.query.graceful === 'true'
+        ? spdzEngine.closeConnectionGracefully(clientId, {
+            waitForOutput: req.query.waitForOutput === 'true',
+            timeoutMs:
+              req.query.timeoutMs !== undefined && !isNaN(timeoutMs)
+                ? timeoutMs
+                : undefined
+          })
+        : Promise.resolve({
+            closed: spdzEngine.closeConnection(clientId),
+            mode: 'immediate'
+          })
+    closing.then(result => {
+      if (result.closed === true) {
+        res.status(HttpStatus.OK).json({ mode: result.mode })
+      } else {
+        const err = new Error(`No connection found for client id ${clientId}.`)
+        err.status = HttpStatus.NOT_FOUND
+        next(err)
+      }
+    })
+  })
 
-/**
- * @description POST /:clientId/consume-data?waitMs=1500. Consume and return SPDZ engine supplied data.
- * See SPDZ instructions sint.write_shares_to_socket, regint.write_to_socket.
- * @alias restConsumeData
- * @param {String} clientId  Client id returned by previous /connect-to-spdz call.
- * @param {Number} [waitMs=0] Optional query parameter, length of time in milliSecs to wait for data to become available.
- *
- * @return {Buffer} body data containing binary SPDZ data in little endian format.
- * Data is optionally encrypted depending on restConnectToSpdz parameters.
- *
- * @example Sending the request:
- *   POST /spdzapi/123/consume-data?waitMs=1000
- * @example Successful response:
- *   HTTP/1.1 200 Ok
- *   Content-Type: application/octet-stream
- *
- *   ...binary.....
- * @example Error response:
- *   HTTP/1.1 204 No Content
- *   {
- *      status: 204,
- *      message: No buffer records are availabe to send to client 123.
- *   }
- * @access public
- */
-router.post('/:clientId/consume-data', (req, res, next) => {
-  const clientId = req.params.clientId
-  const waitMs = req.query.waitMs || 0
+  /**
+   * @description GET /:clientId/send-queue. Check how much data is waiting to be flushed to SPDZ.
+   * Once queuedBytes reaches highWaterMark send-data requests are refused until SPDZ reads the data.
+   * @alias restGetSendQueue
+   * @param {String} clientId  Client id returned by previous /connect-to-spdz call.
+   *
+   * @example Sending the request:
+   *   GET /123/send-queue
+   * @example Successful response:
+   *   HTTP/1.1 200 Ok
+   *   {
+   *     queuedBytes: 2048,
+   *     queuedWrites: 1,
+   *     highWaterMark: 16777216,
+   *     paused: false
+   *   }
+   * @example Error response:
+   *   HTTP/1.1 404 Not Found
+   *   {
+   *     status: 404,
+   *     message: No connection found for client id 123.
+   *   }
+   * @access public
+   */
+  router.get('/:clientId/send-queue', (req, res, next) => {
+    const clientId = req.params.clientId
+    const queueDepth = spdzEngine.getQueueDepth(clientId)
+    if (queueDepth !== null) {
+      res.status(HttpStatus.OK).json(queueDepth)
+    } else {
+      const err = new Error(`No connection found for client id ${clientId}.`)
+      err.status = HttpStatus.NOT_FOUND
+      next(err)
+    }
+  })
 
-  try {
-    let spdzData = spdzEngine.getServerTransmission(clientId)
+  /**
+   * @description POST /:clientId/consume-data?waitMs=1500. Consume and return SPDZ engine supplied data.
+   * See SPDZ instructions sint.write_shares_to_socket, regint.write_to_socket.
+   * With waitMs the request is held open (long polling) and answered as soon as data arrives.
+   * @alias restConsumeData
+   * @param {String} clientId  Client id returned by previous /connect-to-spdz call.
+   * @param {Number} [waitMs=0] Optional query parameter, longest time in milliSecs to wait for data to become available,
+   * capped by the proxy configuration (MAX_CONSUME_WAIT_MS).
+   *
+   * @return {Buffer} body data containing binary SPDZ data in little endian format.
+   * Data is optionally encrypted depending on restConnectToSpdz parameters.
+   * If restConnectToSpdz requested decode, messages with a data type header are returned as JSON
+   * {type : tripleShares | modp | int32 | int64 | fix, values : [...]}.
+   *
+   * @example Sending the request:
+   *   POST /spdzapi/123/consume-data?waitMs=1000
+   * @example Successful response:
+   *   HTTP/1.1 200 Ok
+   *   Content-Type: application/octet-stream
+   *
+   *   ...binary.....
+   * @example Successful response with decode:
+   *   HTTP/1.1 200 Ok
+   *   Content-Type: application/json; charset=utf-8
+   *
+   *   { "type": "int32", "values": [ 12, 34 ] }
+   * @example Error response:
+   *   HTTP/1.1 204 No Content
+   *   {
+   *      status: 204,
+   *      message: No buffer records are availabe to send to client 123.
+   *   }
+   * @example Error response when the SPDZ connection was closed because SPDZ sent data which could not be parsed:
+   *   HTTP/1.1 502 Bad Gateway
+   *   {
+   *      status: 502,
+   *      message: SPDZ connection for client 123 was closed after a protocol error. ...
+   *   }
+   * @example Error response when the SPDZ connection closed while waiting for data:
+   *   HTTP/1.1 410 Gone
+   *   {
+   *      status: 410,
+   *      message: SPDZ connection for client 123 closed while waiting for data.
+   *   }
+   * @access public
+   */
+  router.post('/:clientId/consume-data', (req, res, next) => {
+    const clientId = req.params.clientId
+    const waitMs = Math.min(Number(req.query.waitMs) || 0, maxConsumeWaitMs)
 
-    if (spdzData !== null) {
-      res.status(HttpStatus.OK).send(spdzData)
-    } else {
-      if (waitMs > 0) {
-        logger.debug(
-          `No data to consume initially by client ${
-            clientId
-          }, going to wait for ${waitMs}ms.`
-        )
-        setTimeout(() => {
-          // Need to handle exception here, exception propagation in async funcs does not work.
-          let spdzData = null
-          try {
-            spdzData = spdzEngine.getServerTransmission(clientId)
-          } catch (err) {
-            logger.warn(
-              `Got error in delayed consume, for client ${clientId}, error ${
-                err.message
-              }.`
-            )
-          }
-          if (spdzData !== null) {
-            logger.debug(
-              `Found data to consume by client ${clientId}, after wait of ${
-                waitMs
-              }ms.`
-            )
-            res.status(HttpStatus.OK).send(spdzData)
-          } else {
-            logger.debug(
-              `No data to consume by client ${clientId}, after wait of ${
-                waitMs
-              }ms.`
-            )
-            res.status(HttpStatus.NO_CONTENT).end()
-          }
-        }, waitMs)
+    const sendTransmission = spdzData => {
+      if (spdzData !== null) {
+        res.status(HttpStatus.OK).send(spdzData)
       } else {
         res.status(HttpStatus.NO_CONTENT).end()
       }
     }
-  } catch (err) {
-    err.status = HttpStatus.NOT_FOUND
-    next(err)
-  }
-})
 
-/**
- * @description POST /:clientId/send-data. Send array of 128 bit big integers to SPDZ engine.
- * See SPDZ instruction cint, sint read_from_socket.
- * @alias restSendData
- * @param {String} clientId  Client id returned by previous /connect-to-spdz call.
- * @param {String} body JSON structure containing array of base64 encoded 16 bytes (big endian).
- * @example Sending the request:
- *   POST /spdzapi/123/send-data
- *   Host: my-domain:8080
- *   Content-Type: 'application/json; charset=utf-8'
- *
- *   [
- *     'J72LqIgKBjKu5zFKt1vo4g==',
- *     'J72LqIgKBjKu5zFKt1vo4g=='
- *   ]
- * @example Successful response:
- *   HTTP/1.1 200 Ok
- * @example Error response:
- *   HTTP/1.1 400 Bad Request
- *   {
- *      status: 400,
- *      message: Unable to process data as expecting a JSON array of base64 encoded integers.
- *   }
- * @access public
- */
-router.post('/:clientId/send-data', (req, res, next) => {
-  const clientId = req.params.clientId
+    try {
+      const spdzData = spdzEngine.getServerTransmission(clientId)
 
-  if (req.body instanceof Array) {
-    if (spdzEngine.sendBigIntegers(clientId, req.body)) {
-      res.status(HttpStatus.OK).end()
-    } else {
-      const err = new Error('Unable to send data to SPDZ engine.')
-      err.status = HttpStatus.INTERNAL_SERVER_ERROR
+      if (spdzData !== null || waitMs <= 0) {
+        return sendTransmission(spdzData)
+      }
+      logger.debug(
+        `No data to consume initially by client ${clientId}, going to wait for up to ${waitMs}ms.`
+      )
+      const waiting = spdzEngine.waitForServerTransmission(clientId, waitMs)
+      // Stop waiting if the client goes away, also fires once the response is sent.
+      res.on('close', waiting.cancel)
+      waiting.ready.then(reason => {
+        if (reason === 'cancelled') {
+          logger.debug(
+            `Client ${clientId} stopped waiting for data to consume.`
+          )
+          return
+        }
+        // Need to handle exception here, exception propagation in async funcs does not work.
+        let spdzData = null
+        try {
+          spdzData = spdzEngine.getServerTransmission(clientId)
+        } catch (err) {
+          logger.warn(
+            `Got error in delayed consume, for client ${clientId}, error ${err.message}.`
+          )
+          if (err.protocolError) {
+            err.status = HttpStatus.BAD_GATEWAY
+            return next(err)
+          }
+        }
+        if (spdzData === null && reason === 'closed') {
+          const err = new Error(
+            `SPDZ connection for client ${clientId} closed while waiting for data.`
+          )
+          err.status = HttpStatus.GONE
+          return next(err)
+        }
+        logger.debug(
+          `${spdzData !== null ? 'Found' : 'No'} data to consume by client ${clientId}, after wait finished with ${reason}.`
+        )
+        sendTransmission(spdzData)
+      })
+    } catch (err) {
+      err.status = err.protocolError
+        ? HttpStatus.BAD_GATEWAY
+        : HttpStatus.NOT_FOUND
       next(err)
     }
-  } else {
-    const err = new Error(
-      'Unable to process data as expecting a JSON array of base64 encoded integers.'
+  })
+
+  /**
+   * @description POST /:clientId/consume-batch?maxMessages=100. Consume and return up to maxMessages SPDZ engine supplied
+   * messages in one response, e.g. when a SPDZ program writes many small results.
+   * The response format is chosen with the Accept header, application/json (default) for a JSON envelope
+   * {messages : [{seq, data}]} with data base64 encoded, or {type, values} if restConnectToSpdz requested decode,
+   * or application/octet-stream for the binary messages each preceded by a 4 byte little endian length.
+   * See SPDZ instructions sint.write_shares_to_socket, regint.write_to_socket.
+   * @alias restConsumeBatch
+   * @param {String} clientId  Client id returned by previous /connect-to-spdz call.
+   * @param {Number} [maxMessages=100] Optional query parameter, most messages to return, at most 10000.
+   *
+   * @return {Object|Buffer} body containing the messages in the order received from SPDZ.
+   *
+   * @example Sending the request:
+   *   POST /spdzapi/123/consume-batch?maxMessages=500
+   *   Accept: application/json
+   * @example Successful response:
+   *   HTTP/1.1 200 Ok
+   *   Content-Type: application/json; charset=utf-8
+   *
+   *   {
+   *     "messages": [
+   *       { "seq": 1, "data": "6OIAAAAAAAAAAAAAAAAAAA==" },
+   *       { "seq": 2, "data": { "type": "int32", "values": [ 12, 34 ] } }
+   *     ]
+   *   }
+   * @example Successful binary response, with 2 messages of 16 bytes:
+   *   HTTP/1.1 200 Ok
+   *   Content-Type: application/octet-stream
+   *
+   *   ...binary.....
+   * @example Error response:
+   *   HTTP/1.1 204 No Content
+   * @example Error response if neither format is acceptable:
+   *   HTTP/1.1 406 Not Acceptable
+   *   {
+   *      status: 406,
+   *      message: Unable to return messages, accept either application/json or application/octet-stream.
+   *   }
+   * @access public
+   */
+  router.post('/:clientId/consume-batch', (req, res, next) => {
+    const clientId = req.params.clientId
+    const maxMessages = Math.min(
+      Number(req.query.maxMessages) || DEFAULT_BATCH_MESSAGES,
+      MAX_BATCH_MESSAGES
     )
-    err.status = HttpStatus.BAD_REQUEST
-    next(err)
-  }
-})
-
-// Must come last to handle 404s (for api only)
-router.use(function(req, res, next) {
-  const err = new Error(
-    `Using ${req.method} against path ${req.path} is not part of the api.`
-  )
-  err.status = HttpStatus.NOT_FOUND
-  next(err)
-})
-
-// Error handler - note next is needed as param.
-router.use((err, req, res, next) => {
-  // Only providing error stack to client in development
-  const stack = environ === 'development' ? err.stack : {}
-  const status = err.status || HttpStatus.INTERNAL_SERVER_ERROR
-
-  logger.warn('Got a REST error.', status, err.message)
-  logger.debug(stack)
-  res.status(status).json({
-    status: status,
-    message: err.message,
-    stack: stack
+    const format = req.accepts(['application/json', 'application/octet-stream'])
+
+    if (!format) {
+      const err = new Error(
+        'Unable to return messages, accept either application/json or application/octet-stream.'
+      )
+      err.status = HttpStatus.NOT_ACCEPTABLE
+      return next(err)
+    }
+
+    let transmissions
+    try {
+      transmissions = spdzEngine.getServerTransmissions(
+        clientId,
+        maxMessages,
+        format === 'application/octet-stream'
+      )
+    } catch (err) {
+      err.status = err.protocolError
+        ? HttpStatus.BAD_GATEWAY
+        : HttpStatus.NOT_FOUND
+      return next(err)
+    }
+
+    if (transmissions.length === 0) {
+      res.status(HttpStatus.NO_CONTENT).end()
+    } else if (format === 'application/octet-stream') {
+      const frames = []
+      transmissions.forEach(transmission => {
+        const header = Buffer.alloc(4)
+        header.writeUInt32LE(transmission.data.length, 0)
+        frames.push(header, transmission.data)
+      })
+      res
+        .status(HttpStatus.OK)
+        .type('application/octet-stream')
+        .send(Buffer.concat(frames))
+    } else {
+      res.status(HttpStatus.OK).json({
+        messages: transmissions.map(transmission => ({
+          seq: transmission.seq,
+          data: Buffer.isBuffer(transmission.data)
+            ? transmission.data.toString('base64')
+            : transmission.data
+        }))
+      })
+    }
+  })
+
+  /**
+   * @description GET /:clientId/events. Stream SPDZ engine supplied data as Server-Sent Events, e.g. with a browser EventSource.
+   * Each SPDZ message is sent as a message event with the message sequence number as the event id, the data is the
+   * base64 encoded binary message, or a JSON object if restConnectToSpdz requested decode.
+   * Messages received while no stream is open are kept and sent when the client reconnects. Messages written to the
+   * stream are kept until a reconnecting EventSource acknowledges them with the Last-Event-ID header, so messages lost
+   * when a stream drops are sent again and messages already received are not, or until they have been on an open stream
+   * for a minute. Messages kept for a client which does not reconnect are freed when the connection is deleted, or by the
+   * proxy's connection limits if configured (IDLE_TIMEOUT_MS, MAX_BUFFERED_BYTES, MAX_MESSAGE_AGE_MS).
+   * A comment line is sent every 15 seconds so that proxies do not close an idle stream.
+   * When the SPDZ connection closes a socketDisconnected event is sent and the stream ends. Call close on the EventSource
+   * to stop it reconnecting, otherwise the reconnect is answered with 204 No Content.
+   * Consume-data takes messages from the same buffer, so use one or the other.
+   * @alias restEvents
+   * @param {String} clientId  Client id returned by previous /connect-to-spdz call.
+   * @param {String} [Last-Event-ID] Optional header, id of the last message received, messages up to this one are discarded.
+   *
+   * @example Sending the request:
+   *   GET /spdzapi/123/events
+   *   Accept: text/event-stream
+   * @example Successful response:
+   *   HTTP/1.1 200 Ok
+   *   Content-Type: text/event-stream
+   *
+   *   id: 1
+   *   data: 6OIAAAAAAAAAAAAAAAAAAA==
+   *
+   *   id: 2
+   *   data: {"type":"int32","values":[12,34]}
+   *
+   *   event: socketDisconnected
+   *   data: {"reason":"Client idle for more than 1800000ms."}
+   * @example Client code:
+   *   const events = new EventSource('/spdzapi/123/events')
+   *   events.onmessage = event => console.log(event.lastEventId, event.data)
+   *   events.addEventListener('socketDisconnected', event => events.close())
+   * @example Error response:
+   *   HTTP/1.1 404 Not Found
+   *   {
+   *      status: 404,
+   *      message: Unable to get data for client 123, there is no SPDZ socket connection.
+   *   }
+   * @access public
+   */
+  router.get('/:clientId/events', (req, res, next) => {
+    const clientId = req.params.clientId
+    const lastEventId = Number(req.get('Last-Event-ID'))
+    let nextSeq = 1
+
+    try {
+      if (Number.isInteger(lastEventId) && lastEventId > 0) {
+        spdzEngine.acknowledgeServerTransmissions(clientId, lastEventId)
+        nextSeq = lastEventId + 1
+      }
+      if (
+        !spdzEngine.checkConnection(clientId) &&
+        spdzEngine.getServerTransmissionsFrom(clientId, nextSeq).length === 0
+      ) {
+        // Nothing more will arrive, tells an EventSource to stop reconnecting.
+        return res.status(HttpStatus.NO_CONTENT).end()
+      }
+    } catch (err) {
+      err.status = HttpStatus.NOT_FOUND
+      return next(err)
+    }
+
+    // Messages written to the stream and not yet freed, {seq, writtenAt} in the order written.
+    const written = []
+
+    const acknowledge = seq => {
+      try {
+        spdzEngine.acknowledgeServerTransmissions(clientId, seq)
+      } catch (err) {
+        logger.debug(
+          `Unable to remove streamed message ${seq} for client ${clientId}. ${err.message}`
+        )
+      }
+    }
+
+    const sendMessages = () => {
+      let transmissions = []
+      try {
+        transmissions = spdzEngine.getServerTransmissionsFrom(clientId, nextSeq)
+      } catch (err) {
+        logger.debug(
+          `Unable to stream messages to client ${clientId}. ${err.message}`
+        )
+      }
+      transmissions.forEach(transmission => {
+        const data = Buffer.isBuffer(transmission.data)
+          ? transmission.data.toString('base64')
+          : JSON.stringify(transmission.data)
+        nextSeq = transmission.seq + 1
+        res.write(`id: ${transmission.seq}\ndata: ${data}\n\n`)
+        written.push({ seq: transmission.seq, writtenAt: Date.now() })
+      })
+    }
+
+    // Free messages which have been on the stream long enough to have reached the client.
+    const freeDelivered = () => {
+      const writtenBefore = Date.now() - eventRetentionMs
+      let deliveredSeq = 0
+      while (written.length > 0 && written[0].writtenAt <= writtenBefore) {
+        deliveredSeq = written.shift().seq
+      }
+      if (deliveredSeq > 0) {
+        acknowledge(deliveredSeq)
+      }
+    }
+
+    res.status(HttpStatus.OK).set({
+      'Content-Type': 'text/event-stream',
+      'Cache-Control': 'no-cache',
+      Connection: 'keep-alive',
+      // Stop nginx buffering the stream.
+      'X-Accel-Buffering': 'no'
+    })
+    res.flushHeaders()
+
+    const heartbeat = setInterval(() => {
+      res.write(': heartbeat\n\n')
+      freeDelivered()
+    }, eventHeartbeatMs)
+    const stopWatching = spdzEngine.watchServerTransmissions(clientId, {
+      onMessage: sendMessages,
+      onClose: reason => {
+        clearInterval(heartbeat)
+        sendMessages()
+        res.end(
+          `event: socketDisconnected\ndata: ${JSON.stringify({
+            reason: reason
+          })}\n\n`
+        )
+      }
+    })
+    res.on('close', () => {
+      clearInterval(heartbeat)
+      stopWatching()
+    })
+    sendMessages()
   })
-})
 
-module.exports = spdzEngineInterface => {
-  spdzEngine = spdzEngineInterface
+  /**
+   * @description POST /:clientId/send-data?type=modp. Send array of inputs to SPDZ engine.
+   * See SPDZ instruction cint, sint, regint, sfix, cfix read_from_socket.
+   * The body is either a JSON array of values of the type given in the query, a typed JSON object
+   * {type, values, f, k}, or binary (Content-Type application/octet-stream).
+   * Binary bodies with a type are values packed as 16 (modp), 4 (int32, uint32) or 8 (int64, uint64) bytes each,
+   * sent in one frame. Binary bodies without a type are sent as is, and must already be one or more SPDZ frames,
+   * each a 4 byte little endian payload length header followed by the payload.
+   * @alias restSendData
+   * @param {String} clientId  Client id returned by previous /connect-to-spdz call.
+   * @param {String} [type=modp] Optional query parameter or typed body field, either modp - base64 encoded 16 bytes (big endian),
+   * int32, uint32, int64, uint64 - integers as numbers or decimal strings,
+   * gfp - field elements as decimal or 0x prefixed hex strings, converted into modp Montgomery format,
+   * or fix - fixed point numbers or decimal strings, scaled by 2^f and sent as modp integers.
+   * For binary bodies only modp and the integer types.
+   * @param {Number} [f] Optional query parameter or typed body field, for fix the number of fractional bits, defaults to proxy configuration.
+   * @param {Number} [k] Optional query parameter or typed body field, for fix the total number of bits, defaults to proxy configuration.
+   * @param {String} [byteOrder=little] Optional query parameter, for binary bodies with a type the byte order of each value, little or big.
+   * @param {String} body JSON array of values, JSON object {type, values}, or binary data.
+   * @example Sending the request:
+   *   POST /spdzapi/123/send-data
+   *   Host: my-domain:8080
+   *   Content-Type: 'application/json; charset=utf-8'
+   *
+   *   [
+   *     'J72LqIgKBjKu5zFKt1vo4g==',
+   *     'J72LqIgKBjKu5zFKt1vo4g=='
+   *   ]
+   * @example Sending fixed point values:
+   *   POST /spdzapi/123/send-data?type=fix&f=20&k=40
+   *   Host: my-domain:8080
+   *   Content-Type: 'application/json; charset=utf-8'
+   *
+   *   [ 12.5, "-0.0625" ]
+   * @example Sending a typed body of 32 bit integers:
+   *   POST /spdzapi/123/send-data
+   *   Host: my-domain:8080
+   *   Content-Type: 'application/json; charset=utf-8'
+   *
+   *   { "type": "int32", "values": [ 3, 1510314061 ] }
+   * @example Sending binary 64 bit integers, big endian:
+   *   POST /spdzapi/123/send-data?type=int64&byteOrder=big
+   *   Host: my-domain:8080
+   *   Content-Type: application/octet-stream
+   *
+   *   ...binary.....
+   * @example Sending binary data already in SPDZ frames:
+   *   POST /spdzapi/123/send-data
+   *   Host: my-domain:8080
+   *   Content-Type: application/octet-stream
+   *
+   *   ...binary.....
+   * @example Successful response, sent once the data is flushed to SPDZ:
+   *   HTTP/1.1 200 Ok
+   * @example Error response:
+   *   HTTP/1.1 400 Bad Request
+   *   {
+   *      status: 400,
+   *      message: Invalid request, query.type should be equal to one of the allowed values.,
+   *      errors: [ "query.type should be equal to one of the allowed values" ]
+   *   }
+   * @example Error response if SPDZ is not reading the data already sent, retry after the Retry-After seconds:
+   *   HTTP/1.1 503 Service Unavailable
+   *   Retry-After: 1
+   *   {
+   *      status: 503,
+   *      message: SPDZ engine is not reading input, 16777216 bytes are waiting to be sent. Try again later.
+   *   }
+   * @example Error response if the connection is being closed, 410 Gone if it closed before the data was sent:
+   *   HTTP/1.1 409 Conflict
+   *   {
+   *      status: 409,
+   *      message: SPDZ connection for client 123 is closing, no more data can be sent.
+   *   }
+   * @access public
+   */
+  router.post('/:clientId/send-data', (req, res, next) => {
+    const clientId = req.params.clientId
+    const isBinary = Buffer.isBuffer(req.body)
+    const isTyped =
+      !isBinary &&
+      req.body !== null &&
+      typeof req.body === 'object' &&
+      typeof req.body.type === 'string'
+    const input = isTyped
+      ? req.body
+      : {
+          type: req.query.type,
+          values: req.body,
+          f: req.query.f,
+          k: req.query.k
+        }
+    const dataType = input.type || 'modp'
+    const values = input.values
+
+    const sendFunctions = {
+      modp: () => spdzEngine.sendBigIntegers(clientId, values),
+      int32: () => spdzEngine.sendIntegers(clientId, values, 'int32'),
+      uint32: () => spdzEngine.sendIntegers(clientId, values, 'uint32'),
+      int64: () => spdzEngine.sendIntegers(clientId, values, 'int64'),
+      uint64: () => spdzEngine.sendIntegers(clientId, values, 'uint64'),
+      gfp: () => spdzEngine.sendFieldElements(clientId, values),
+      fix: () =>
+        spdzEngine.sendFixedPoint(clientId, values, {
+          f: input.f !== undefined ? Number(input.f) : undefined,
+          k: input.k !== undefined ? Number(input.k) : undefined
+        })
+    }
+
+    // The request is validated, so the data type is known and JSON values are an array.
+    const send = !isBinary
+      ? sendFunctions[dataType]
+      : req.query.type === undefined
+        ? () => spdzEngine.sendFramed(clientId, req.body)
+        : () =>
+            spdzEngine.sendBinary(
+              clientId,
+              req.query.type,
+              req.body,
+              req.query.byteOrder
+            )
+
+    let sending
+    try {
+      sending = send()
+    } catch (err) {
+      err.status = HttpStatus.BAD_REQUEST
+      return next(err)
+    }
+    // Respond once the data is flushed to SPDZ.
+    Promise.resolve(sending)
+      .then(sent => {
+        if (sent) {
+          res.status(HttpStatus.OK).end()
+        } else {
+          const err = new Error('Unable to send data to SPDZ engine.')
+          err.status = HttpStatus.INTERNAL_SERVER_ERROR
+          next(err)
+        }
+      })
+      .catch(err => {
+        // Only back pressure is worth retrying, the connection is otherwise closing or has gone.
+        if (err.backPressure) {
+          err.status = HttpStatus.SERVICE_UNAVAILABLE
+          res.set('Retry-After', String(SEND_RETRY_AFTER_SECONDS))
+        } else if (err.closing) {
+          err.status = HttpStatus.CONFLICT
+        } else {
+          err.status = HttpStatus.GONE
+        }
+        next(err)
+      })
+  })
+
+  // Must come last to handle 404s (for api only)
+  router.use(notFoundHandler)
+  router.use(errorHandler)
+
   return router
 }
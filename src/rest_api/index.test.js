@@ -64,12 +64,16 @@ describe('The SPDZ proxy REST api', () => {
   describe('Allows client socket connections to a SPDZ engine to be managed', () => {
     afterEach(() => {
       mockSpdzInterface.checkConnection.mockClear()
+      mockSpdzInterface.getConnectionStatus.mockClear()
       mockSpdzInterface.setupConnection.mockClear()
       mockSpdzInterface.closeConnection.mockClear()
     })
 
     it('checks the status of a valid connection', done => {
-      mockSpdzInterface.checkConnection.mockReturnValueOnce(true)
+      mockSpdzInterface.getConnectionStatus.mockReturnValueOnce({
+        state: 'connected',
+        queuePosition: 0
+      })
 
       httptest(app)
         .get('/24/spdz-connection')
@@ -81,8 +85,27 @@ describe('The SPDZ proxy REST api', () => {
         })
     })
 
+    it('checks the status of a connection waiting in the admission queue', done => {
+      mockSpdzInterface.getConnectionStatus.mockReturnValueOnce({
+        state: 'queued',
+        queuePosition: 3
+      })
+
+      httptest(app)
+        .get('/24/spdz-connection')
+        .end((err, res) => {
+          supertestWithJest(err, res, done, () => {
+            expect(res.status).toEqual(HttpStatus.ACCEPTED)
+            expect(res.body).toEqual({ queuePosition: 3 })
+          })
+        })
+    })
+
     it('checks the status of a missing connection', done => {
-      mockSpdzInterface.checkConnection.mockReturnValueOnce(false)
+      mockSpdzInterface.getConnectionStatus.mockReturnValueOnce({
+        state: 'none',
+        queuePosition: 0
+      })
 
       httptest(app)
         .get('/24/spdz-connection')
@@ -113,6 +136,24 @@ describe('The SPDZ proxy REST api', () => {
         })
     })
 
+    it('will not create a connection with a client id reserved for web sockets', done => {
+      mockSpdzInterface.setupConnection.mockClear()
+
+      httptest(app)
+        .post('/connect-to-spdz')
+        .type('json')
+        .send({ clientId: 'ws-0123456789abcdef' })
+        .end((err, res) => {
+          supertestWithJest(err, res, done, () => {
+            expect(res.status).toEqual(HttpStatus.BAD_REQUEST)
+            expect(res.body.message).toEqual(
+              'Unable to setup SPDZ connection, client ids starting with ws- are reserved for web socket connections.'
+            )
+            expect(mockSpdzInterface.setupConnection).not.toHaveBeenCalled()
+          })
+        })
+    })
+
     it('allows a client to create a connection, clientId provided', done => {
       const clientId = 123456
       mockSpdzInterface.setupConnection.mockImplementation(() => {
@@ -129,12 +170,132 @@ describe('The SPDZ proxy REST api', () => {
             expect(res.header.location).toEqual(`/${clientId}/spdz-connection`)
             expect(mockSpdzInterface.setupConnection).toHaveBeenCalledWith(
               `${clientId}`,
-              undefined
+              undefined,
+              undefined,
+              undefined,
+              {
+                decodeOutput: false,
+                waitMs: 0,
+                isCancelled: expect.any(Function),
+                notifyQueuePosition: expect.any(Function)
+              }
+            )
+          })
+        })
+    })
+
+    it('allows a client to create a connection with decoded output', done => {
+      mockSpdzInterface.setupConnection.mockImplementation(() => {
+        return Promise.resolve(46)
+      })
+
+      httptest(app)
+        .post('/connect-to-spdz')
+        .type('json')
+        .send({ decode: true })
+        .end((err, res) => {
+          supertestWithJest(err, res, done, () => {
+            expect(res.status).toEqual(HttpStatus.CREATED)
+            expect(mockSpdzInterface.setupConnection).toHaveBeenCalledWith(
+              undefined,
+              undefined,
+              undefined,
+              undefined,
+              {
+                decodeOutput: true,
+                waitMs: 0,
+                isCancelled: expect.any(Function),
+                notifyQueuePosition: expect.any(Function)
+              }
             )
           })
         })
     })
 
+    it('allows a client to wait for SPDZ to accept the connection', done => {
+      mockSpdzInterface.setupConnection.mockImplementation(() => {
+        return Promise.resolve(47)
+      })
+
+      httptest(app)
+        .post('/connect-to-spdz')
+        .query({ waitMs: 5000 })
+        .type('json')
+        .send({})
+        .end((err, res) => {
+          supertestWithJest(err, res, done, () => {
+            expect(res.status).toEqual(HttpStatus.CREATED)
+            expect(
+              mockSpdzInterface.setupConnection.mock.calls[0][4].waitMs
+            ).toEqual(5000)
+          })
+        })
+    })
+
+    it('caps the time a client may wait for SPDZ to accept the connection', done => {
+      mockSpdzInterface.setupConnection.mockImplementation(() => {
+        return Promise.resolve(48)
+      })
+
+      httptest(app)
+        .post('/connect-to-spdz')
+        .query({ waitMs: 600000 })
+        .type('json')
+        .send({})
+        .end((err, res) => {
+          supertestWithJest(err, res, done, () => {
+            expect(res.status).toEqual(HttpStatus.CREATED)
+            expect(
+              mockSpdzInterface.setupConnection.mock.calls[0][4].waitMs
+            ).toEqual(60000)
+          })
+        })
+    })
+
+    it('stops trying to connect if the client aborts the request', done => {
+      mockSpdzInterface.setupConnection.mockImplementation(
+        () => new Promise(() => {})
+      )
+
+      httptest(app)
+        .post('/connect-to-spdz')
+        .query({ waitMs: 5000 })
+        .type('json')
+        .send({})
+        .timeout(50)
+        .end(err => {
+          expect(err.timeout).toEqual(50)
+          const options = mockSpdzInterface.setupConnection.mock.calls[0][4]
+          expect(options.isCancelled()).toBe(false)
+          // Give the server time to see the aborted request.
+          setTimeout(() => {
+            expect(options.isCancelled()).toBe(true)
+            done()
+          }, 50)
+        })
+    })
+
+    it('tells a client it is waiting in the admission queue', done => {
+      mockSpdzInterface.setupConnection.mockImplementation(
+        (clientId, publicKey, messageCallBack, closedCallBack, options) => {
+          options.notifyQueuePosition(2, 48)
+          return new Promise(() => {})
+        }
+      )
+
+      httptest(app)
+        .post('/connect-to-spdz')
+        .type('json')
+        .send({})
+        .end((err, res) => {
+          supertestWithJest(err, res, done, () => {
+            expect(res.status).toEqual(HttpStatus.ACCEPTED)
+            expect(res.header.location).toEqual('/48/spdz-connection')
+            expect(res.body).toEqual({ queuePosition: 2 })
+          })
+        })
+    })
+
     it('displays an error if the client cannot create a connection', done => {
       mockSpdzInterface.setupConnection.mockImplementation(() => {
         return Promise.reject(new Error('Fake connection error for testing.'))
@@ -160,7 +321,51 @@ describe('The SPDZ proxy REST api', () => {
         .end((err, res) => {
           supertestWithJest(err, res, done, () => {
             expect(res.status).toEqual(HttpStatus.OK)
-            expect(res.text).toEqual('')
+            expect(res.body).toEqual({ mode: 'immediate' })
+          })
+        })
+    })
+
+    it('allows a client to close a connection gracefully', done => {
+      mockSpdzInterface.closeConnectionGracefully.mockImplementationOnce(() =>
+        Promise.resolve({ closed: true, mode: 'graceful' })
+      )
+
+      httptest(app)
+        .delete(
+          '/1/spdz-connection?graceful=true&waitForOutput=true&timeoutMs=200'
+        )
+        .end((err, res) => {
+          supertestWithJest(err, res, done, () => {
+            expect(res.status).toEqual(HttpStatus.OK)
+            expect(res.body).toEqual({ mode: 'graceful' })
+            expect(
+              mockSpdzInterface.closeConnectionGracefully
+            ).toHaveBeenCalledWith('1', { waitForOutput: true, timeoutMs: 200 })
+          })
+        })
+    })
+
+    it('allows a client to cancel a connection which is still being established', done => {
+      // Real spdz interface, with SPDZ not yet accepting the connection.
+      const spdzInterface = require.requireActual('../spdz_interface')
+      const engine = spdzInterface.createSpdzEngine({
+        setupConnection: jest.fn(() => new Promise(() => {})),
+        checkConnection: jest.fn(() => false),
+        closeConnection: jest.fn(() => false)
+      })
+      engine.init('localhost', 14000, { reapIntervalMs: 0 })
+      const engineApp = express()
+      engineApp.use('/', routerUnderTest(engine))
+
+      engine.setupConnection('slow')
+      httptest(engineApp)
+        .delete('/slow/spdz-connection')
+        .end((err, res) => {
+          supertestWithJest(err, res, done, () => {
+            expect(res.status).toEqual(HttpStatus.OK)
+            expect(res.body).toEqual({ mode: 'immediate' })
+            expect(engine.getConnectionStatus('slow').state).toEqual('none')
           })
         })
     })
@@ -183,7 +388,8 @@ describe('The SPDZ proxy REST api', () => {
 
   describe('Allows clients to retrieve server transmissions from a SPDZ engine', () => {
     afterEach(() => {
-      mockSpdzInterface.getServerTransmission.mockClear()
+      mockSpdzInterface.getServerTransmission.mockReset()
+      mockSpdzInterface.waitForServerTransmission.mockReset()
     })
 
     it('retrieves a transmission when one is available', done => {
@@ -211,6 +417,9 @@ describe('The SPDZ proxy REST api', () => {
       mockSpdzInterface.getServerTransmission
         .mockImplementationOnce(() => null)
         .mockImplementationOnce(() => exampleData)
+      mockSpdzInterface.waitForServerTransmission.mockImplementationOnce(
+        () => ({ ready: Promise.resolve('message'), cancel: jest.fn() })
+      )
 
       httptest(app)
         .post('/23/consume-data')
@@ -223,6 +432,85 @@ describe('The SPDZ proxy REST api', () => {
             expect(res.type).toEqual('application/octet-stream')
             expect(res.header['content-length']).toEqual('16')
             expect(res.body).toEqual(exampleData)
+            expect(
+              mockSpdzInterface.waitForServerTransmission
+            ).toHaveBeenCalledWith('23', 500)
+          })
+        })
+    })
+
+    it('does not wait for longer than the configured maximum', done => {
+      mockSpdzInterface.getServerTransmission.mockImplementation(() => null)
+      mockSpdzInterface.waitForServerTransmission.mockImplementationOnce(
+        () => ({ ready: Promise.resolve('timeout'), cancel: jest.fn() })
+      )
+
+      httptest(app)
+        .post('/23/consume-data')
+        .query({ waitMs: '600000' })
+        .end((err, res) => {
+          supertestWithJest(err, res, done, () => {
+            expect(res.status).toEqual(HttpStatus.NO_CONTENT)
+            expect(
+              mockSpdzInterface.waitForServerTransmission
+            ).toHaveBeenCalledWith('23', 30000)
+          })
+        })
+    })
+
+    it('displays an error if the SPDZ connection closes while waiting', done => {
+      mockSpdzInterface.getServerTransmission.mockImplementation(() => null)
+      mockSpdzInterface.waitForServerTransmission.mockImplementationOnce(
+        () => ({ ready: Promise.resolve('closed'), cancel: jest.fn() })
+      )
+
+      httptest(app)
+        .post('/23/consume-data')
+        .query({ waitMs: '1000' })
+        .end((err, res) => {
+          supertestWithJest(err, res, done, () => {
+            expect(res.status).toEqual(HttpStatus.GONE)
+            expect(res.body.message).toEqual(
+              'SPDZ connection for client 23 closed while waiting for data.'
+            )
+          })
+        })
+    })
+
+    it('stops waiting if the client aborts the request', done => {
+      const cancel = jest.fn()
+      mockSpdzInterface.getServerTransmission.mockImplementation(() => null)
+      mockSpdzInterface.waitForServerTransmission.mockImplementationOnce(
+        () => ({ ready: new Promise(() => {}), cancel: cancel })
+      )
+
+      httptest(app)
+        .post('/23/consume-data')
+        .query({ waitMs: '1000' })
+        .timeout(50)
+        .end(err => {
+          expect(err.timeout).toEqual(50)
+          // Give the server time to see the aborted request.
+          setTimeout(() => {
+            expect(cancel).toHaveBeenCalled()
+            done()
+          }, 50)
+        })
+    })
+
+    it('retrieves a decoded transmission as JSON', done => {
+      const exampleData = { type: 'int32', values: [12, -2] }
+      mockSpdzInterface.getServerTransmission.mockImplementationOnce(
+        () => exampleData
+      )
+
+      httptest(app)
+        .post('/23/consume-data')
+        .end((err, res) => {
+          supertestWithJest(err, res, done, () => {
+            expect(res.status).toEqual(HttpStatus.OK)
+            expect(res.type).toEqual('application/json')
+            expect(res.body).toEqual(exampleData)
           })
         })
     })
@@ -241,6 +529,23 @@ describe('The SPDZ proxy REST api', () => {
         })
     })
 
+    it('displays an error when the SPDZ connection was closed after a protocol error', done => {
+      mockSpdzInterface.getServerTransmission.mockImplementationOnce(() => {
+        const err = new Error('Closed after a protocol error.')
+        err.protocolError = true
+        throw err
+      })
+
+      httptest(app)
+        .post('/23/consume-data')
+        .end((err, res) => {
+          supertestWithJest(err, res, done, () => {
+            expect(res.status).toEqual(HttpStatus.BAD_GATEWAY)
+            expect(res.body.message).toEqual('Closed after a protocol error.')
+          })
+        })
+    })
+
     it('displays an error when retrieving a transmission for an unknown client connection', done => {
       const errMsg =
         'Force failure of retrieving transmission for unknown client.'
@@ -259,67 +564,754 @@ describe('The SPDZ proxy REST api', () => {
     })
   })
 
-  describe('Allows clients to send data to the SPDZ engine', () => {
+  describe('Allows clients to retrieve several server transmissions at once', () => {
     afterEach(() => {
-      mockSpdzInterface.sendBigIntegers.mockClear()
+      mockSpdzInterface.getServerTransmissions.mockReset()
     })
 
-    it('is able to send a JSON array of base64 values', done => {
-      const examplePayloadData = [
-        'J72LqIgKBjKu5zFKt1vo4g==',
-        'J72LqIgKBjKu5zFKt1vo4g=='
-      ]
-      mockSpdzInterface.sendBigIntegers.mockReturnValueOnce(true)
+    it('retrieves transmissions as JSON by default', done => {
+      mockSpdzInterface.getServerTransmissions.mockImplementationOnce(() => [
+        { seq: 4, data: Buffer.from('e8e2', 'hex') },
+        { seq: 5, data: { type: 'int32', values: [12, -2] } }
+      ])
 
       httptest(app)
-        .post('/23/send-data')
-        .type('json')
-        .send(examplePayloadData)
+        .post('/23/consume-batch')
+        .query({ maxMessages: '500' })
         .end((err, res) => {
           supertestWithJest(err, res, done, () => {
             expect(res.status).toEqual(HttpStatus.OK)
-            expect(mockSpdzInterface.sendBigIntegers).toHaveBeenCalledWith(
-              '23',
-              examplePayloadData
-            )
+            expect(res.type).toEqual('application/json')
+            expect(res.body).toEqual({
+              messages: [
+                { seq: 4, data: '6OI=' },
+                { seq: 5, data: { type: 'int32', values: [12, -2] } }
+              ]
+            })
+            expect(
+              mockSpdzInterface.getServerTransmissions
+            ).toHaveBeenCalledWith('23', 500, false)
           })
         })
     })
 
-    it('will not except base64 values if not in an array', done => {
-      const examplePayloadData = { value: 'J72LqIgKBjKu5zFKt1vo4g==' }
+    it('retrieves transmissions as length prefixed binary if accepted', done => {
+      mockSpdzInterface.getServerTransmissions.mockImplementationOnce(() => [
+        { seq: 1, data: Buffer.from('e8e2', 'hex') },
+        { seq: 2, data: Buffer.from('07', 'hex') }
+      ])
 
       httptest(app)
-        .post('/23/send-data')
-        .type('json')
-        .send(examplePayloadData)
+        .post('/23/consume-batch')
+        .query({ maxMessages: '20000' })
+        .set('Accept', 'application/octet-stream')
+        .buffer(true)
+        .parse(binaryParser)
         .end((err, res) => {
           supertestWithJest(err, res, done, () => {
-            expect(res.status).toEqual(HttpStatus.BAD_REQUEST)
-            expect(res.body.message).toEqual(
-              'Unable to process data as expecting a JSON array of base64 encoded integers.'
+            expect(res.status).toEqual(HttpStatus.OK)
+            expect(res.type).toEqual('application/octet-stream')
+            expect(res.body).toEqual(
+              Buffer.from('02000000e8e20100000007', 'hex')
             )
+            expect(
+              mockSpdzInterface.getServerTransmissions
+            ).toHaveBeenCalledWith('23', 10000, true)
           })
         })
     })
 
-    it('displays an error if unable to send data', done => {
-      const examplePayloadData = [
-        'J72LqIgKBjKu5zFKt1vo4g==',
-        'J72LqIgKBjKu5zFKt1vo4g=='
-      ]
-      mockSpdzInterface.sendBigIntegers.mockReturnValueOnce(false)
+    it('does not retrieve transmissions when none are available', done => {
+      mockSpdzInterface.getServerTransmissions.mockImplementationOnce(() => [])
 
       httptest(app)
-        .post('/23/send-data')
-        .type('json')
-        .send(examplePayloadData)
+        .post('/23/consume-batch')
         .end((err, res) => {
           supertestWithJest(err, res, done, () => {
-            expect(res.status).toEqual(HttpStatus.INTERNAL_SERVER_ERROR)
-            expect(res.body.message).toEqual(
-              'Unable to send data to SPDZ engine.'
+            expect(res.status).toEqual(HttpStatus.NO_CONTENT)
+            expect(
+              mockSpdzInterface.getServerTransmissions
+            ).toHaveBeenCalledWith('23', 100, false)
+          })
+        })
+    })
+
+    it('displays an error if neither format is acceptable', done => {
+      httptest(app)
+        .post('/23/consume-batch')
+        .set('Accept', 'text/html')
+        .end((err, res) => {
+          supertestWithJest(err, res, done, () => {
+            expect(res.status).toEqual(HttpStatus.NOT_ACCEPTABLE)
+            expect(
+              mockSpdzInterface.getServerTransmissions
+            ).not.toHaveBeenCalled()
+          })
+        })
+    })
+
+    it('displays an error when the SPDZ connection was closed after a protocol error', done => {
+      mockSpdzInterface.getServerTransmissions.mockImplementationOnce(() => {
+        const err = new Error('Closed after a protocol error.')
+        err.protocolError = true
+        throw err
+      })
+
+      httptest(app)
+        .post('/23/consume-batch')
+        .end((err, res) => {
+          supertestWithJest(err, res, done, () => {
+            expect(res.status).toEqual(HttpStatus.BAD_GATEWAY)
+            expect(res.body.message).toEqual('Closed after a protocol error.')
+          })
+        })
+    })
+  })
+
+  describe('Allows clients to stream server transmissions from a SPDZ engine', () => {
+    // Collect the event stream as text.
+    const textParser = (res, callback) => {
+      res.data = ''
+      res.setEncoding('utf8')
+      res.on('data', chunk => {
+        res.data += chunk
+      })
+      res.on('end', () => {
+        callback(null, res.data)
+      })
+    }
+
+    afterEach(() => {
+      mockSpdzInterface.checkConnection.mockReset()
+      mockSpdzInterface.getServerTransmissionsFrom.mockReset()
+      mockSpdzInterface.acknowledgeServerTransmissions.mockReset()
+      mockSpdzInterface.watchServerTransmissions.mockReset()
+    })
+
+    it('streams each message and the connection closing as events', done => {
+      const stopWatching = jest.fn()
+      mockSpdzInterface.checkConnection.mockImplementation(() => true)
+      mockSpdzInterface.getServerTransmissionsFrom
+        .mockImplementationOnce(() => [
+          { seq: 1, data: Buffer.from('e8e2', 'hex') },
+          { seq: 2, data: { type: 'int32', values: [12, -2] } }
+        ])
+        .mockImplementation(() => [])
+      mockSpdzInterface.watchServerTransmissions.mockImplementationOnce(
+        (clientId, listeners) => {
+          setImmediate(() => listeners.onClose('Client idle.'))
+          return stopWatching
+        }
+      )
+
+      httptest(app)
+        .get('/23/events')
+        .buffer(true)
+        .parse(textParser)
+        .end((err, res) => {
+          supertestWithJest(err, res, done, () => {
+            expect(res.status).toEqual(HttpStatus.OK)
+            expect(res.type).toEqual('text/event-stream')
+            expect(res.body).toEqual(
+              'id: 1\ndata: 6OI=\n\n' +
+                'id: 2\ndata: {"type":"int32","values":[12,-2]}\n\n' +
+                'event: socketDisconnected\ndata: {"reason":"Client idle."}\n\n'
+            )
+            expect(
+              mockSpdzInterface.getServerTransmissionsFrom
+            ).toHaveBeenLastCalledWith('23', 3)
+            // Kept until the client acknowledges them by reconnecting.
+            expect(
+              mockSpdzInterface.acknowledgeServerTransmissions
+            ).not.toHaveBeenCalled()
+            expect(stopWatching).toHaveBeenCalled()
+          })
+        })
+    })
+
+    it('sends heartbeats and frees messages once they have been on the stream for the retention time', done => {
+      const streamApp = express()
+      streamApp.use(
+        '/',
+        routerUnderTest(mockSpdzInterface, {
+          eventHeartbeatMs: 20,
+          eventRetentionMs: 0
+        })
+      )
+      mockSpdzInterface.checkConnection.mockImplementation(() => true)
+      mockSpdzInterface.getServerTransmissionsFrom
+        .mockImplementationOnce(() => [
+          { seq: 1, data: Buffer.from('e8e2', 'hex') },
+          { seq: 2, data: Buffer.from('e8e3', 'hex') }
+        ])
+        .mockImplementation(() => [])
+      mockSpdzInterface.watchServerTransmissions.mockImplementationOnce(
+        (clientId, listeners) => {
+          setTimeout(() => listeners.onClose('Client idle.'), 70)
+          return () => {}
+        }
+      )
+
+      httptest(streamApp)
+        .get('/23/events')
+        .buffer(true)
+        .parse(textParser)
+        .end((err, res) => {
+          supertestWithJest(err, res, done, () => {
+            expect(res.body).toMatch(
+              /^id: 1\ndata: 6OI=\n\nid: 2\ndata: 6OM=\n\n: heartbeat\n\n/
             )
+            expect(
+              mockSpdzInterface.acknowledgeServerTransmissions.mock.calls
+            ).toEqual([['23', 2]])
+          })
+        })
+    })
+
+    it('resumes after the last event id, stopping once nothing more will arrive', done => {
+      mockSpdzInterface.checkConnection.mockImplementation(() => false)
+      mockSpdzInterface.getServerTransmissionsFrom.mockImplementation(() => [])
+
+      httptest(app)
+        .get('/23/events')
+        .set('Last-Event-ID', '5')
+        .end((err, res) => {
+          supertestWithJest(err, res, done, () => {
+            expect(res.status).toEqual(HttpStatus.NO_CONTENT)
+            expect(
+              mockSpdzInterface.acknowledgeServerTransmissions
+            ).toHaveBeenCalledWith('23', 5)
+            expect(
+              mockSpdzInterface.getServerTransmissionsFrom
+            ).toHaveBeenCalledWith('23', 6)
+            expect(
+              mockSpdzInterface.watchServerTransmissions
+            ).not.toHaveBeenCalled()
+          })
+        })
+    })
+
+    it('displays an error when streaming for an unknown client connection', done => {
+      const errMsg =
+        'Unable to get data for client 999, there is no SPDZ socket connection.'
+      mockSpdzInterface.checkConnection.mockImplementation(() => false)
+      mockSpdzInterface.getServerTransmissionsFrom.mockImplementation(() => {
+        throw new Error(errMsg)
+      })
+
+      httptest(app)
+        .get('/999/events')
+        .end((err, res) => {
+          supertestWithJest(err, res, done, () => {
+            expect(res.status).toEqual(HttpStatus.NOT_FOUND)
+            expect(res.body.message).toEqual(errMsg)
+          })
+        })
+    })
+  })
+
+  describe('Allows clients to send data to the SPDZ engine', () => {
+    afterEach(() => {
+      mockSpdzInterface.sendBigIntegers.mockClear()
+      mockSpdzInterface.sendFixedPoint.mockClear()
+      mockSpdzInterface.sendIntegers.mockClear()
+      mockSpdzInterface.sendFieldElements.mockClear()
+    })
+
+    it('is able to send a JSON array of base64 values', done => {
+      const examplePayloadData = [
+        'J72LqIgKBjKu5zFKt1vo4g==',
+        'J72LqIgKBjKu5zFKt1vo4g=='
+      ]
+      mockSpdzInterface.sendBigIntegers.mockReturnValueOnce(true)
+
+      httptest(app)
+        .post('/23/send-data')
+        .type('json')
+        .send(examplePayloadData)
+        .end((err, res) => {
+          supertestWithJest(err, res, done, () => {
+            expect(res.status).toEqual(HttpStatus.OK)
+            expect(mockSpdzInterface.sendBigIntegers).toHaveBeenCalledWith(
+              '23',
+              examplePayloadData
+            )
+          })
+        })
+    })
+
+    it('will not except base64 values if not in an array', done => {
+      const examplePayloadData = { value: 'J72LqIgKBjKu5zFKt1vo4g==' }
+
+      httptest(app)
+        .post('/23/send-data')
+        .type('json')
+        .send(examplePayloadData)
+        .end((err, res) => {
+          supertestWithJest(err, res, done, () => {
+            expect(res.status).toEqual(HttpStatus.BAD_REQUEST)
+            expect(res.body.message).toEqual(
+              "Invalid request, body should be array, body should have required property 'type', body should have required property 'values', body should match exactly one schema in oneOf."
+            )
+          })
+        })
+    })
+
+    it('displays an error if unable to send data', done => {
+      const examplePayloadData = [
+        'J72LqIgKBjKu5zFKt1vo4g==',
+        'J72LqIgKBjKu5zFKt1vo4g=='
+      ]
+      mockSpdzInterface.sendBigIntegers.mockReturnValueOnce(false)
+
+      httptest(app)
+        .post('/23/send-data')
+        .type('json')
+        .send(examplePayloadData)
+        .end((err, res) => {
+          supertestWithJest(err, res, done, () => {
+            expect(res.status).toEqual(HttpStatus.INTERNAL_SERVER_ERROR)
+            expect(res.body.message).toEqual(
+              'Unable to send data to SPDZ engine.'
+            )
+          })
+        })
+    })
+
+    it('is able to send a JSON array of fixed point values', done => {
+      const examplePayloadData = [1.5, '-0.25']
+      mockSpdzInterface.sendFixedPoint.mockReturnValueOnce(true)
+
+      httptest(app)
+        .post('/23/send-data')
+        .query({ type: 'fix', f: '16', k: '32' })
+        .type('json')
+        .send(examplePayloadData)
+        .end((err, res) => {
+          supertestWithJest(err, res, done, () => {
+            expect(res.status).toEqual(HttpStatus.OK)
+            expect(mockSpdzInterface.sendFixedPoint).toHaveBeenCalledWith(
+              '23',
+              examplePayloadData,
+              { f: 16, k: 32 }
+            )
+          })
+        })
+    })
+
+    it('displays an error if fixed point values cannot be converted', done => {
+      mockSpdzInterface.sendFixedPoint.mockImplementationOnce(() => {
+        throw new Error('Value 12a is not a valid decimal number.')
+      })
+
+      httptest(app)
+        .post('/23/send-data')
+        .query({ type: 'fix' })
+        .type('json')
+        .send(['12a'])
+        .end((err, res) => {
+          supertestWithJest(err, res, done, () => {
+            expect(res.status).toEqual(HttpStatus.BAD_REQUEST)
+            expect(res.body.message).toEqual(
+              'Value 12a is not a valid decimal number.'
+            )
+          })
+        })
+    })
+
+    it('is able to send a JSON array of uint64 values', done => {
+      const examplePayloadData = ['18446744073709551615', 7]
+      mockSpdzInterface.sendIntegers.mockReturnValueOnce(true)
+
+      httptest(app)
+        .post('/23/send-data')
+        .query({ type: 'uint64' })
+        .type('json')
+        .send(examplePayloadData)
+        .end((err, res) => {
+          supertestWithJest(err, res, done, () => {
+            expect(res.status).toEqual(HttpStatus.OK)
+            expect(mockSpdzInterface.sendIntegers).toHaveBeenCalledWith(
+              '23',
+              examplePayloadData,
+              'uint64'
+            )
+          })
+        })
+    })
+
+    it('displays an error if a field element is out of range', done => {
+      mockSpdzInterface.sendFieldElements.mockImplementationOnce(() => {
+        throw new Error(
+          'Field element -1 must be in the range 0 <= value < prime.'
+        )
+      })
+
+      httptest(app)
+        .post('/23/send-data')
+        .query({ type: 'gfp' })
+        .type('json')
+        .send(['-1'])
+        .end((err, res) => {
+          supertestWithJest(err, res, done, () => {
+            expect(res.status).toEqual(HttpStatus.BAD_REQUEST)
+            expect(res.body.message).toEqual(
+              'Field element -1 must be in the range 0 <= value < prime.'
+            )
+          })
+        })
+    })
+
+    it('will not accept an unknown data type', done => {
+      httptest(app)
+        .post('/23/send-data')
+        .query({ type: 'sfloat' })
+        .type('json')
+        .send([1])
+        .end((err, res) => {
+          supertestWithJest(err, res, done, () => {
+            expect(res.status).toEqual(HttpStatus.BAD_REQUEST)
+            expect(res.body.message).toEqual(
+              'Invalid request, query.type should be equal to one of the allowed values.'
+            )
+            expect(res.body.errors).toEqual([
+              'query.type should be equal to one of the allowed values'
+            ])
+          })
+        })
+    })
+
+    it('will refuse data if SPDZ is not reading input', done => {
+      mockSpdzInterface.sendIntegers.mockImplementationOnce(() => {
+        const err = new Error(
+          'SPDZ engine is not reading input, 1024 bytes are waiting to be sent. Try again later.'
+        )
+        err.backPressure = true
+        return Promise.reject(err)
+      })
+
+      httptest(app)
+        .post('/23/send-data')
+        .query({ type: 'int32' })
+        .type('json')
+        .send([1, 2])
+        .end((err, res) => {
+          supertestWithJest(err, res, done, () => {
+            expect(res.status).toEqual(HttpStatus.SERVICE_UNAVAILABLE)
+            expect(res.headers['retry-after']).toEqual('1')
+            expect(res.body.message).toEqual(
+              'SPDZ engine is not reading input, 1024 bytes are waiting to be sent. Try again later.'
+            )
+          })
+        })
+    })
+
+    it('will refuse data for a closing connection without asking to retry', done => {
+      mockSpdzInterface.sendIntegers.mockImplementationOnce(() => {
+        const err = new Error(
+          'SPDZ connection for client 23 is closing, no more data can be sent.'
+        )
+        err.closing = true
+        return Promise.reject(err)
+      })
+
+      httptest(app)
+        .post('/23/send-data')
+        .query({ type: 'int32' })
+        .type('json')
+        .send([1, 2])
+        .end((err, res) => {
+          supertestWithJest(err, res, done, () => {
+            expect(res.status).toEqual(HttpStatus.CONFLICT)
+            expect(res.headers['retry-after']).toBeUndefined()
+          })
+        })
+    })
+
+    it('reports data lost when the connection closed before it was sent', done => {
+      mockSpdzInterface.sendIntegers.mockImplementationOnce(() =>
+        Promise.reject(
+          new Error(
+            'SPDZ connection for client 23 closed before data was sent.'
+          )
+        )
+      )
+
+      httptest(app)
+        .post('/23/send-data')
+        .query({ type: 'int32' })
+        .type('json')
+        .send([1, 2])
+        .end((err, res) => {
+          supertestWithJest(err, res, done, () => {
+            expect(res.status).toEqual(HttpStatus.GONE)
+            expect(res.body.message).toEqual(
+              'SPDZ connection for client 23 closed before data was sent.'
+            )
+          })
+        })
+    })
+
+    it('is able to send a typed JSON body of int32 values', done => {
+      const examplePayloadData = [3, -1510314061]
+      mockSpdzInterface.sendIntegers.mockReturnValueOnce(true)
+
+      httptest(app)
+        .post('/23/send-data')
+        .type('json')
+        .send({ type: 'int32', values: examplePayloadData })
+        .end((err, res) => {
+          supertestWithJest(err, res, done, () => {
+            expect(res.status).toEqual(HttpStatus.OK)
+            expect(mockSpdzInterface.sendIntegers).toHaveBeenCalledWith(
+              '23',
+              examplePayloadData,
+              'int32'
+            )
+          })
+        })
+    })
+
+    it('will not accept a typed JSON body without an array of values', done => {
+      httptest(app)
+        .post('/23/send-data')
+        .type('json')
+        .send({ type: 'fix', values: 1.5 })
+        .end((err, res) => {
+          supertestWithJest(err, res, done, () => {
+            expect(res.status).toEqual(HttpStatus.BAD_REQUEST)
+            expect(res.body.message).toEqual(
+              'Invalid request, body should be array, body.values should be array, body should match exactly one schema in oneOf.'
+            )
+          })
+        })
+    })
+
+    it('is able to send typed binary values', done => {
+      const examplePayloadData = Buffer.from([0, 0, 0, 1, 0, 0, 0, 2])
+      mockSpdzInterface.sendBinary.mockReturnValueOnce(true)
+
+      httptest(app)
+        .post('/23/send-data')
+        .query({ type: 'int32', byteOrder: 'big' })
+        .type('application/octet-stream')
+        .send(examplePayloadData)
+        .end((err, res) => {
+          supertestWithJest(err, res, done, () => {
+            expect(res.status).toEqual(HttpStatus.OK)
+            expect(mockSpdzInterface.sendBinary).toHaveBeenCalledWith(
+              '23',
+              'int32',
+              examplePayloadData,
+              'big'
+            )
+          })
+        })
+    })
+
+    it('is able to send binary data already in SPDZ frames', done => {
+      const examplePayloadData = Buffer.from([4, 0, 0, 0, 1, 2, 3, 4])
+      mockSpdzInterface.sendFramed.mockReturnValueOnce(true)
+
+      httptest(app)
+        .post('/23/send-data')
+        .type('application/octet-stream')
+        .send(examplePayloadData)
+        .end((err, res) => {
+          supertestWithJest(err, res, done, () => {
+            expect(res.status).toEqual(HttpStatus.OK)
+            expect(mockSpdzInterface.sendFramed).toHaveBeenCalledWith(
+              '23',
+              examplePayloadData
+            )
+          })
+        })
+    })
+
+    it('displays an error if binary data is not in SPDZ frames', done => {
+      mockSpdzInterface.sendFramed.mockImplementationOnce(() => {
+        throw new Error(
+          'Data must be a sequence of complete SPDZ frames, each with a 4 byte payload length header.'
+        )
+      })
+
+      httptest(app)
+        .post('/23/send-data')
+        .type('application/octet-stream')
+        .send(Buffer.from([9, 0, 0, 0, 1]))
+        .end((err, res) => {
+          supertestWithJest(err, res, done, () => {
+            expect(res.status).toEqual(HttpStatus.BAD_REQUEST)
+            expect(res.body.message).toEqual(
+              'Data must be a sequence of complete SPDZ frames, each with a 4 byte payload length header.'
+            )
+          })
+        })
+    })
+  })
+
+  describe('Allows clients to check data waiting to be sent to the SPDZ engine', () => {
+    afterEach(() => {
+      mockSpdzInterface.getQueueDepth.mockClear()
+    })
+
+    it('returns the send queue depth of a valid connection', done => {
+      const queueDepth = {
+        queuedBytes: 32,
+        queuedWrites: 2,
+        highWaterMark: 1024,
+        paused: false
+      }
+      mockSpdzInterface.getQueueDepth.mockReturnValueOnce(queueDepth)
+
+      httptest(app)
+        .get('/23/send-queue')
+        .end((err, res) => {
+          supertestWithJest(err, res, done, () => {
+            expect(res.status).toEqual(HttpStatus.OK)
+            expect(res.body).toEqual(queueDepth)
+          })
+        })
+    })
+
+    it('returns not found for a missing connection', done => {
+      mockSpdzInterface.getQueueDepth.mockReturnValueOnce(null)
+
+      httptest(app)
+        .get('/23/send-queue')
+        .end((err, res) => {
+          supertestWithJest(err, res, done, () => {
+            expect(res.status).toEqual(HttpStatus.NOT_FOUND)
+            expect(res.body.message).toEqual(
+              'No connection found for client id 23.'
+            )
+          })
+        })
+    })
+  })
+
+  describe('Describes and validates requests with an OpenAPI document', () => {
+    afterEach(() => {
+      mockSpdzInterface.getServerTransmission.mockReset()
+      mockSpdzInterface.setupConnection.mockReset()
+    })
+
+    it('serves the OpenAPI document with the server url of the engine', done => {
+      const engineApp = express()
+      engineApp.use('/spdzapi/voting', routerUnderTest(mockSpdzInterface))
+
+      httptest(engineApp)
+        .get('/spdzapi/voting/openapi.json')
+        .end((err, res) => {
+          supertestWithJest(err, res, done, () => {
+            expect(res.status).toEqual(HttpStatus.OK)
+            expect(res.body.openapi).toEqual('3.0.0')
+            expect(res.body.servers).toEqual([{ url: '/spdzapi/voting' }])
+            expect(Object.keys(res.body.paths)).toEqual([
+              '/openapi.json',
+              '/engines',
+              '/runs',
+              '/runs/{id}',
+              '/connect-to-spdz',
+              '/{clientId}/spdz-connection',
+              '/{clientId}/send-queue',
+              '/{clientId}/consume-data',
+              '/{clientId}/consume-batch',
+              '/{clientId}/events',
+              '/{clientId}/send-data'
+            ])
+            // Routes served under other paths give their own server.
+            expect(res.body.paths['/engines'].servers).toEqual([
+              { url: '/spdzapi' }
+            ])
+            expect(res.body.paths['/runs/{id}'].servers).toEqual([
+              { url: '/spdzstart' }
+            ])
+          })
+        })
+    })
+
+    it('refuses a request with invalid query parameters', done => {
+      httptest(app)
+        .post('/23/consume-data')
+        .query({ waitMs: 'soon' })
+        .end((err, res) => {
+          supertestWithJest(err, res, done, () => {
+            expect(res.status).toEqual(HttpStatus.BAD_REQUEST)
+            expect(res.body.message).toEqual(
+              'Invalid request, query.waitMs should be integer.'
+            )
+            expect(res.body.errors).toEqual(['query.waitMs should be integer'])
+            expect(
+              mockSpdzInterface.getServerTransmission
+            ).not.toHaveBeenCalled()
+          })
+        })
+    })
+
+    it('refuses a wait longer than the OpenAPI document allows', done => {
+      httptest(app)
+        .post('/23/consume-data')
+        .query({ waitMs: 600001 })
+        .end((err, res) => {
+          supertestWithJest(err, res, done, () => {
+            expect(res.status).toEqual(HttpStatus.BAD_REQUEST)
+            expect(res.body.errors).toEqual([
+              'query.waitMs should be <= 600000'
+            ])
+          })
+        })
+    })
+
+    it('refuses a request with an invalid body, listing each problem', done => {
+      httptest(app)
+        .post('/connect-to-spdz')
+        .type('json')
+        .send({ clientId: 123, decode: 'yes' })
+        .end((err, res) => {
+          supertestWithJest(err, res, done, () => {
+            expect(res.status).toEqual(HttpStatus.BAD_REQUEST)
+            expect(res.body.errors).toEqual([
+              'body.clientId should be string',
+              'body.decode should be boolean'
+            ])
+            expect(mockSpdzInterface.setupConnection).not.toHaveBeenCalled()
+          })
+        })
+    })
+
+    it('refuses a request with an invalid header', done => {
+      httptest(app)
+        .get('/23/events')
+        .set('Last-Event-ID', 'first')
+        .end((err, res) => {
+          supertestWithJest(err, res, done, () => {
+            expect(res.status).toEqual(HttpStatus.BAD_REQUEST)
+            expect(res.body.errors).toEqual([
+              "header['last-event-id'] should be integer"
+            ])
+          })
+        })
+    })
+  })
+
+  describe('Serves each SPDZ engine from its own router', () => {
+    it('routes requests to the engine the router was created for', done => {
+      const otherEngine = {
+        getQueueDepth: jest.fn(() => null)
+      }
+      const multiApp = express()
+      multiApp.use('/auction', routerUnderTest(mockSpdzInterface))
+      multiApp.use('/voting', routerUnderTest(otherEngine))
+      mockSpdzInterface.getQueueDepth.mockClear()
+
+      httptest(multiApp)
+        .get('/voting/23/send-queue')
+        .end((err, res) => {
+          supertestWithJest(err, res, done, () => {
+            expect(res.status).toEqual(HttpStatus.NOT_FOUND)
+            expect(otherEngine.getQueueDepth).toHaveBeenCalledWith('23')
+            expect(mockSpdzInterface.getQueueDepth).not.toHaveBeenCalled()
           })
         })
     })
@@ -0,0 +1,480 @@
+/**
+ * OpenAPI (3.0) description of the REST API, served at openapi.json for generating clients,
+ * and used by validateRequest to check requests before they reach the route handlers.
+ * Paths are relative to an engine's /spdzapi path, the engines list and the bootstrap runs, which are served
+ * under other paths, give their own servers.
+ * Keep in step with the routes and JSDoc in index.js, spdz_engines and spdz_bootstrap/bootstrapRouter.js.
+ */
+'use strict'
+
+const packageVersion = require('../../package.json').version
+
+// SPDZ data types accepted by send-data.
+const DATA_TYPES = ['modp', 'int32', 'uint32', 'int64', 'uint64', 'gfp', 'fix']
+
+const clientIdParameter = {
+  name: 'clientId',
+  in: 'path',
+  required: true,
+  description: 'Client id returned by previous /connect-to-spdz call.',
+  schema: { type: 'string' }
+}
+
+// Largest waitMs accepted, the proxy configuration may cap waits further.
+const MAX_WAIT_MS = 600000
+
+const waitMsParameter = {
+  name: 'waitMs',
+  in: 'query',
+  description:
+    'Longest time in milliSecs to wait, values above the proxy configured maximum are capped.',
+  schema: { type: 'integer', minimum: 0, maximum: MAX_WAIT_MS }
+}
+
+const errorResponse = description => ({
+  description: description,
+  content: {
+    'application/json': { schema: { $ref: '#/components/schemas/Error' } }
+  }
+})
+
+const binaryContent = {
+  'application/octet-stream': { schema: { type: 'string', format: 'binary' } }
+}
+
+const document = {
+  openapi: '3.0.0',
+  info: {
+    title: 'SPDZ proxy REST interface',
+    description:
+      'Connect to a SPDZ engine, write input and read output. See api.md for examples.',
+    version: packageVersion
+  },
+  paths: {
+    '/openapi.json': {
+      get: {
+        operationId: 'getOpenApi',
+        summary: 'Get this description of the REST interface, see restOpenApi.',
+        responses: {
+          '200': {
+            description: 'OpenAPI document.',
+            content: { 'application/json': { schema: { type: 'object' } } }
+          }
+        }
+      }
+    },
+    '/engines': {
+      servers: [{ url: '/spdzapi' }],
+      get: {
+        operationId: 'listEngines',
+        summary: 'List the SPDZ engines served by the proxy, see listEngines.',
+        responses: {
+          '200': {
+            description: 'Engines with their paths.',
+            content: {
+              'application/json': {
+                schema: {
+                  type: 'array',
+                  items: {
+                    type: 'object',
+                    properties: {
+                      name: { type: 'string' },
+                      path: { type: 'string' }
+                    }
+                  }
+                }
+              }
+            }
+          }
+        }
+      }
+    },
+    '/runs': {
+      servers: [{ url: '/spdzstart' }],
+      post: {
+        operationId: 'startSpdz',
+        summary:
+          'Stop a running SPDZ process and start a SPDZ program, see restStartSpdz.',
+        requestBody: {
+          required: true,
+          content: {
+            'application/json': {
+              schema: {
+                type: 'object',
+                required: ['spdzProgram'],
+                properties: {
+                  spdzProgram: {
+                    type: 'string',
+                    minLength: 1,
+                    maxLength: 19,
+                    pattern: '^[a-zA-Z0-9_]*$'
+                  },
+                  forceStop: { type: 'boolean' }
+                }
+              }
+            }
+          }
+        },
+        responses: {
+          '201': {
+            description: 'Run started, Location header holds the run.',
+            content: {
+              'application/json': {
+                schema: { $ref: '#/components/schemas/Run' }
+              }
+            }
+          },
+          '400': errorResponse('Invalid request.'),
+          '409': errorResponse('A run is already in progress.')
+        }
+      }
+    },
+    '/runs/{id}': {
+      servers: [{ url: '/spdzstart' }],
+      parameters: [
+        {
+          name: 'id',
+          in: 'path',
+          required: true,
+          description: 'Run id from the Location header returned by /runs.',
+          schema: { type: 'string' }
+        }
+      ],
+      get: {
+        operationId: 'getSpdzRun',
+        summary:
+          'Get the status and script output of a run, see restGetSpdzRun.',
+        responses: {
+          '200': {
+            description: 'The run.',
+            content: {
+              'application/json': {
+                schema: { $ref: '#/components/schemas/Run' }
+              }
+            }
+          },
+          '404': errorResponse('No such run.')
+        }
+      }
+    },
+    '/connect-to-spdz': {
+      post: {
+        operationId: 'connectToSpdz',
+        summary:
+          'Establish a TCP connection to the running SPDZ process, see restConnectToSpdz.',
+        parameters: [waitMsParameter],
+        requestBody: {
+          content: {
+            'application/json': {
+              schema: {
+                type: 'object',
+                properties: {
+                  clientId: { type: 'string' },
+                  clientPublicKey: {
+                    type: 'string',
+                    description: 'Client public key as 64 char hex string.'
+                  },
+                  decode: { type: 'boolean' }
+                }
+              }
+            }
+          }
+        },
+        responses: {
+          '201': {
+            description: 'Connected, Location header holds the client id.'
+          },
+          '202': {
+            description: 'Waiting in the admission queue.',
+            content: {
+              'application/json': {
+                schema: { $ref: '#/components/schemas/QueuePosition' }
+              }
+            }
+          },
+          '400': errorResponse('Unable to connect.')
+        }
+      }
+    },
+    '/{clientId}/spdz-connection': {
+      parameters: [clientIdParameter],
+      get: {
+        operationId: 'getSpdzConnection',
+        summary: 'Check client to SPDZ connection, see restGetSpdzConnection.',
+        responses: {
+          '200': { description: 'Connected.' },
+          '202': {
+            description: 'Waiting in the admission queue.',
+            content: {
+              'application/json': {
+                schema: { $ref: '#/components/schemas/QueuePosition' }
+              }
+            }
+          },
+          '404': errorResponse('No connection.')
+        }
+      },
+      delete: {
+        operationId: 'deleteSpdzConnection',
+        summary: 'Close the connection to SPDZ, see restDeleteSpdzConnection.',
+        parameters: [
+          { name: 'graceful', in: 'query', schema: { type: 'boolean' } },
+          { name: 'waitForOutput', in: 'query', schema: { type: 'boolean' } },
+          {
+            name: 'timeoutMs',
+            in: 'query',
+            schema: { type: 'integer', minimum: 0 }
+          }
+        ],
+        responses: {
+          '200': {
+            description: 'Closed.',
+            content: {
+              'application/json': {
+                schema: {
+                  type: 'object',
+                  properties: {
+                    mode: {
+                      type: 'string',
+                      enum: ['immediate', 'graceful', 'forced']
+                    }
+                  }
+                }
+              }
+            }
+          },
+          '404': errorResponse('No connection.')
+        }
+      }
+    },
+    '/{clientId}/send-queue': {
+      parameters: [clientIdParameter],
+      get: {
+        operationId: 'getSendQueue',
+        summary:
+          'Check how much data is waiting to be flushed to SPDZ, see restGetSendQueue.',
+        responses: {
+          '200': {
+            description: 'Send queue depth.',
+            content: {
+              'application/json': {
+                schema: {
+                  type: 'object',
+                  properties: {
+                    queuedBytes: { type: 'integer' },
+                    queuedWrites: { type: 'integer' },
+                    highWaterMark: { type: 'integer' },
+                    paused: { type: 'boolean' }
+                  }
+                }
+              }
+            }
+          },
+          '404': errorResponse('No connection.')
+        }
+      }
+    },
+    '/{clientId}/consume-data': {
+      parameters: [clientIdParameter],
+      post: {
+        operationId: 'consumeData',
+        summary:
+          'Consume and return SPDZ engine supplied data, see restConsumeData.',
+        parameters: [waitMsParameter],
+        responses: {
+          '200': {
+            description: 'A message, binary or decoded.',
+            content: Object.assign({}, binaryContent, {
+              'application/json': {
+                schema: { $ref: '#/components/schemas/DecodedMessage' }
+              }
+            })
+          },
+          '204': { description: 'No message available.' },
+          '404': errorResponse('No connection.'),
+          '410': errorResponse('The SPDZ connection closed while waiting.'),
+          '502': errorResponse(
+            'The SPDZ connection closed after a protocol error.'
+          )
+        }
+      }
+    },
+    '/{clientId}/consume-batch': {
+      parameters: [clientIdParameter],
+      post: {
+        operationId: 'consumeBatch',
+        summary:
+          'Consume and return several SPDZ engine supplied messages, see restConsumeBatch.',
+        parameters: [
+          {
+            name: 'maxMessages',
+            in: 'query',
+            schema: { type: 'integer', minimum: 1 }
+          }
+        ],
+        responses: {
+          '200': {
+            description:
+              'Messages as JSON, or binary each preceded by a 4 byte little endian length.',
+            content: Object.assign({}, binaryContent, {
+              'application/json': {
+                schema: {
+                  type: 'object',
+                  properties: {
+                    messages: {
+                      type: 'array',
+                      items: {
+                        type: 'object',
+                        properties: {
+                          seq: { type: 'integer' },
+                          data: {
+                            oneOf: [
+                              { type: 'string', format: 'byte' },
+                              { $ref: '#/components/schemas/DecodedMessage' }
+                            ]
+                          }
+                        }
+                      }
+                    }
+                  }
+                }
+              }
+            })
+          },
+          '204': { description: 'No messages available.' },
+          '404': errorResponse('No connection.'),
+          '406': errorResponse('Neither format is acceptable.'),
+          '502': errorResponse(
+            'The SPDZ connection closed after a protocol error.'
+          )
+        }
+      }
+    },
+    '/{clientId}/events': {
+      parameters: [clientIdParameter],
+      get: {
+        operationId: 'events',
+        summary:
+          'Stream SPDZ engine supplied data as Server-Sent Events, see restEvents.',
+        parameters: [
+          {
+            name: 'Last-Event-ID',
+            in: 'header',
+            schema: { type: 'integer', minimum: 0 }
+          }
+        ],
+        responses: {
+          '200': {
+            description: 'Event stream.',
+            content: { 'text/event-stream': { schema: { type: 'string' } } }
+          },
+          '204': { description: 'The SPDZ connection is closed.' },
+          '404': errorResponse('No connection.')
+        }
+      }
+    },
+    '/{clientId}/send-data': {
+      parameters: [clientIdParameter],
+      post: {
+        operationId: 'sendData',
+        summary: 'Send inputs to the SPDZ engine, see restSendData.',
+        parameters: [
+          {
+            name: 'type',
+            in: 'query',
+            schema: { type: 'string', enum: DATA_TYPES }
+          },
+          { name: 'f', in: 'query', schema: { type: 'integer', minimum: 0 } },
+          { name: 'k', in: 'query', schema: { type: 'integer', minimum: 1 } },
+          {
+            name: 'byteOrder',
+            in: 'query',
+            schema: { type: 'string', enum: ['little', 'big'] }
+          }
+        ],
+        requestBody: {
+          required: true,
+          content: Object.assign({}, binaryContent, {
+            'application/json': {
+              schema: {
+                oneOf: [
+                  { $ref: '#/components/schemas/Values' },
+                  {
+                    type: 'object',
+                    required: ['type', 'values'],
+                    properties: {
+                      type: { type: 'string', enum: DATA_TYPES },
+                      values: { $ref: '#/components/schemas/Values' },
+                      f: { type: 'integer', minimum: 0 },
+                      k: { type: 'integer', minimum: 1 }
+                    }
+                  }
+                ]
+              }
+            }
+          })
+        },
+        responses: {
+          '200': { description: 'The data was flushed to SPDZ.' },
+          '400': errorResponse('The data could not be converted.'),
+          '500': errorResponse('Unable to send data, e.g. no connection.'),
+          '409': errorResponse('The SPDZ connection is closing.'),
+          '410': errorResponse(
+            'The SPDZ connection closed before the data was sent.'
+          ),
+          '503': errorResponse(
+            'SPDZ is not reading input, retry after the Retry-After seconds.'
+          )
+        }
+      }
+    }
+  },
+  components: {
+    schemas: {
+      Error: {
+        type: 'object',
+        properties: {
+          status: { type: 'integer' },
+          message: { type: 'string' },
+          errors: {
+            type: 'array',
+            description: 'For invalid requests, each problem found.',
+            items: { type: 'string' }
+          }
+        }
+      },
+      Run: {
+        type: 'object',
+        properties: {
+          id: { type: 'integer' },
+          spdzProgram: { type: 'string' },
+          forceStop: { type: 'boolean' },
+          status: { type: 'string', enum: ['running', 'succeeded', 'failed'] },
+          output: { type: 'string' },
+          err: { type: 'string' },
+          startedAt: { type: 'string', format: 'date-time' },
+          finishedAt: { type: 'string', format: 'date-time' }
+        }
+      },
+      QueuePosition: {
+        type: 'object',
+        properties: { queuePosition: { type: 'integer' } }
+      },
+      DecodedMessage: {
+        type: 'object',
+        properties: {
+          type: { type: 'string' },
+          values: { type: 'array', items: {} }
+        }
+      },
+      Values: {
+        type: 'array',
+        description:
+          'Values of the data type, base64 strings for modp, numbers or decimal strings otherwise.',
+        items: { oneOf: [{ type: 'string' }, { type: 'number' }] }
+      }
+    }
+  }
+}
+
+module.exports = document
@@ -0,0 +1,127 @@
+/**
+ * Express middleware to check requests against the OpenAPI description of the REST API,
+ * before they reach the route handlers.
+ * An invalid request is passed to the error handler with status 400, a message describing each problem
+ * and errors, the list of problems, e.g. ['query.waitMs should be integer'].
+ */
+'use strict'
+
+const Ajv = require('ajv')
+const HttpStatus = require('http-status-codes')
+
+// Parameter locations checked, with where express holds the values.
+const parameterLocations = {
+  path: req => req.params,
+  query: req => req.query,
+  header: req => req.headers
+}
+
+/**
+ * Header names are case insensitive, express holds them in lower case.
+ */
+const propertyName = parameter =>
+  parameter.in === 'header' ? parameter.name.toLowerCase() : parameter.name
+
+/**
+ * Combine the parameters for a location into one object schema.
+ */
+const parametersSchema = (parameters, location) => {
+  const schema = { type: 'object', properties: {}, required: [] }
+  parameters
+    .filter(parameter => parameter.in === location)
+    .forEach(parameter => {
+      schema.properties[propertyName(parameter)] = parameter.schema
+      if (parameter.required === true) {
+        schema.required.push(propertyName(parameter))
+      }
+    })
+  return schema.required.length > 0 || Object.keys(schema.properties).length > 0
+    ? schema
+    : undefined
+}
+
+const describeErrors = (location, errors) =>
+  errors.map(error => `${location}${error.dataPath} ${error.message}`)
+
+/**
+ * Create a function to make validation middleware for the operations in an OpenAPI document.
+ * @param {Object} document OpenAPI 3.0 document.
+ * @returns {Function} (path, method) returning express middleware validating requests for the operation,
+ *          path as in the document, e.g. /{clientId}/send-data.
+ */
+const createRequestValidator = document => {
+  // Parameters always arrive as strings so are converted to the schema type, JSON bodies are not.
+  const parameterAjv = new Ajv({
+    allErrors: true,
+    coerceTypes: true,
+    unknownFormats: 'ignore'
+  })
+  const bodyAjv = new Ajv({ allErrors: true, unknownFormats: 'ignore' })
+
+  return (path, method) => {
+    const pathItem = document.paths[path]
+    const operation = pathItem[method]
+    const parameters = (pathItem.parameters || []).concat(
+      operation.parameters || []
+    )
+
+    const parameterChecks = Object.keys(parameterLocations)
+      .map(location => ({
+        location: location,
+        schema: parametersSchema(parameters, location)
+      }))
+      .filter(check => check.schema !== undefined)
+      .map(check => ({
+        location: check.location,
+        validate: parameterAjv.compile(check.schema)
+      }))
+
+    const jsonBody =
+      operation.requestBody !== undefined
+        ? operation.requestBody.content['application/json']
+        : undefined
+    // Include the document components so that references to them resolve.
+    const validateBody =
+      jsonBody !== undefined
+        ? bodyAjv.compile(
+            Object.assign({}, jsonBody.schema, {
+              components: document.components
+            })
+          )
+        : undefined
+
+    return (req, res, next) => {
+      let errors = []
+      parameterChecks.forEach(check => {
+        // Validate a copy, as coercion changes the values.
+        const values = Object.assign(
+          {},
+          parameterLocations[check.location](req)
+        )
+        if (!check.validate(values)) {
+          errors = errors.concat(
+            describeErrors(check.location, check.validate.errors)
+          )
+        }
+      })
+      // Binary bodies are parsed into a Buffer and not checked.
+      if (
+        validateBody !== undefined &&
+        !Buffer.isBuffer(req.body) &&
+        !validateBody(req.body)
+      ) {
+        errors = errors.concat(describeErrors('body', validateBody.errors))
+      }
+
+      if (errors.length > 0) {
+        const err = new Error(`Invalid request, ${errors.join(', ')}.`)
+        err.status = HttpStatus.BAD_REQUEST
+        err.errors = errors
+        return next(err)
+      }
+      next()
+    }
+  }
+}
+
+module.exports = createRequestValidator
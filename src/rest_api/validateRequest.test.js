@@ -0,0 +1,92 @@
+'use strict'
+
+const createRequestValidator = require('./validateRequest')
+
+const document = {
+  openapi: '3.0.0',
+  paths: {
+    '/{id}/items': {
+      parameters: [
+        { name: 'id', in: 'path', required: true, schema: { type: 'string' } }
+      ],
+      post: {
+        parameters: [
+          { name: 'limit', in: 'query', schema: { type: 'integer' } },
+          {
+            name: 'X-Version',
+            in: 'header',
+            required: true,
+            schema: { type: 'string', enum: ['1'] }
+          }
+        ],
+        requestBody: {
+          content: {
+            'application/json': {
+              schema: {
+                type: 'array',
+                items: { $ref: '#/components/schemas/Item' }
+              }
+            }
+          }
+        }
+      }
+    }
+  },
+  components: {
+    schemas: { Item: { type: 'object', required: ['name'] } }
+  }
+}
+
+const validateItems = createRequestValidator(document)('/{id}/items', 'post')
+
+/**
+ * Run the middleware, resolving with the error passed to next, or undefined if valid.
+ */
+const validate = req =>
+  new Promise(resolve => {
+    validateItems(
+      Object.assign({ params: { id: '1' }, query: {}, headers: {} }, req),
+      {},
+      resolve
+    )
+  })
+
+describe('Validating requests against an OpenAPI document', () => {
+  it('accepts a valid request without changing it', () => {
+    const query = { limit: '10' }
+    return validate({
+      query: query,
+      headers: { 'x-version': '1' },
+      body: [{ name: 'a' }]
+    }).then(err => {
+      expect(err).toBeUndefined()
+      expect(query.limit).toEqual('10')
+    })
+  })
+
+  it('refuses an invalid request, describing each problem', () => {
+    return validate({
+      query: { limit: 'ten' },
+      body: [{}]
+    }).then(err => {
+      expect(err.status).toEqual(400)
+      expect(err.errors).toEqual([
+        'query.limit should be integer',
+        "header should have required property 'x-version'",
+        "body[0] should have required property 'name'"
+      ])
+      expect(err.message).toEqual(
+        "Invalid request, query.limit should be integer, header should have required property 'x-version', body[0] should have required property 'name'."
+      )
+    })
+  })
+
+  it('does not check binary bodies', () => {
+    return validate({
+      headers: { 'x-version': '1' },
+      body: Buffer.from([1, 2])
+    }).then(err => {
+      expect(err).toBeUndefined()
+    })
+  })
+})
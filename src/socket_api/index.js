@@ -1,10 +1,30 @@
 /**
  * Web socket server to receive client connections and manage interactions with a runnng SPDZ process.
- * Note socket id is used to track the client connection. No additional state here, see spdzEngine.
+ * Note the id of the socket which connected to SPDZ is used to track the client connection, a session
+ * binds it to the current web socket so a reconnected client can resume. See spdzEngine for SPDZ state.
  */
 'use strict'
 
 const logger = require('../support/logging')
+const clientIds = require('../support/clientIds')
+const { onRequest, withRequestId } = require('../support/socketRequests')
+const SpdzSessions = require('./spdzSessions')
+
+// Default longest time a connectToSpdz request keeps retrying if SPDZ is not accepting connections.
+const DEFAULT_MAX_CONNECT_WAIT_MS = 60000
+
+/**
+ * Web sockets observing a session, see observeSpdz.
+ */
+const observersOf = session =>
+  Object.keys(session.observers).map(socketId => session.observers[socketId])
+
+/**
+ * Send a copy of an event pushed to the session's web socket to its observers.
+ */
+const notifyObservers = (session, eventName, ...args) => {
+  observersOf(session).forEach(observer => observer.emit(eventName, ...args))
+}
 
 /**
  * Notified that new SPDZ message for this client is avaliable so consume and send to web socket.
@@ -17,21 +37,43 @@ const logger = require('../support/logging')
  * @return {String} data containing binary SPDZ data in little endian format. 
  * The SPDZ MPC instruction write_to_socket may write a 4 byte data type header. 
  * Data is optionally encrypted depending on connectToSpdz parameters.
+ * If connectToSpdz requested decode, messages with a data type header are sent as JSON
+ * {type : tripleShares | modp | int32 | int64 | fix, values : [...]}, modp and int64 values as
+ * decimal strings, int32 and fix values as numbers. Other messages are sent as binary.
+ * If connectToSpdz requested reliable delivery, each message is followed by its sequence number (from 1), and is kept
+ * by the proxy and sent again after resumeSession or replayFrom until acknowledged with acknowledgeMessages.
+ * Web sockets observing the client, see observeSpdz, receive a copy of each message.
  * 
  * @example Client code to accept pushed SPDZ messages:
  * 
  * socket.on('spdz_message', response => {
  *   parseSpdzMessage(value)
  * })
+ * @example Client code to accept pushed SPDZ messages when decoding:
+ * 
+ * socket.on('spdz_message', response => {
+ *   if (response.type === 'fix') console.log(response.values)
+ * })
+ * @example Client code to accept pushed SPDZ messages with reliable delivery:
+ *
+ * socket.on('spdz_message', (response, seq) => {
+ *   if (seq > lastSeq) {
+ *     parseSpdzMessage(response)
+ *     lastSeq = seq
+ *   }
+ *   socket.emit('acknowledgeMessages', seq)
+ * })
  * @access public
  */
-const handleNewSpdzMessage = (spdzEngine, clientSocket) => {
+const handleNewSpdzMessage = (spdzEngine, session) => {
+  const clientSocket = session.socket
   if (clientSocket.connected) {
     try {
-      const spdzData = spdzEngine.getServerTransmission(clientSocket.id)
+      const spdzData = spdzEngine.getServerTransmission(session.clientId)
 
       if (spdzData !== null) {
         clientSocket.emit('spdz_message', spdzData)
+        notifyObservers(session, 'spdz_message', spdzData)
       } else {
         logger.warn(
           `Should not be getting notification of new spdz message for client ${clientSocket.id} and then not find one.`
@@ -50,13 +92,15 @@ const handleNewSpdzMessage = (spdzEngine, clientSocket) => {
 }
 
 /**
- * Notified that SPDZ has closed the socket connection to the proxy. Notify back to the client web socket.
+ * Notified that the SPDZ socket connection to the proxy has closed. Notify back to the client web socket.
  * @param {Socket} clientSocket to send message too.
+ * @param {String} reason optional, why the proxy closed the connection, e.g. client idle.
  */
-const handleSpdzSocketClosed = clientSocket => {
+const handleSpdzSocketClosed = (clientSocket, reason) => {
   if (clientSocket.connected) {
     clientSocket.emit('spdz_socketDisconnected', {
-      status: 0
+      status: 0,
+      reason: reason
     })
   } else {
     logger.debug(
@@ -66,36 +110,288 @@ const handleSpdzSocketClosed = clientSocket => {
 }
 
 /**
- * Setup SPDZ socket connection tracking connection with clientSocket id.
+ * Another web socket has resumed the session of this web socket, e.g. the same client after reconnecting.
+ *
+ * @description A session is bound to one web socket at a time. If resumeSession is called with the session token
+ *  while the web socket using the session is still connected, that web socket is sent this event and no longer
+ *  receives SPDZ messages or has a SPDZ connection.
+ * @name sessionTakenOver
+ * @return {String} event name spdz_sessionTakenOver
+ * @return {String} JSON response with {status : 1, err : error message }
+ *
+ * @example Client code to notice the session moving to another web socket:
+ *
+ * socket.on('spdz_sessionTakenOver', response => {
+ *   console.log(response.err)
+ * })
+ * @access public
+ */
+const handleSessionTakenOver = clientSocket => {
+  logger.info(`Session of socket ${clientSocket.id} taken over.`)
+  clientSocket.emit('spdz_sessionTakenOver', {
+    status: 1,
+    err:
+      'Another web socket resumed this session, this web socket is no longer connected to SPDZ.'
+  })
+}
+
+/**
+ * Notified that the data sent by SPDZ could not be parsed, so the SPDZ connection is being closed.
+ *
+ * @description Data sent by SPDZ must be a sequence of messages each with a 4 byte payload length header.
+ *  If a header is corrupt, or declares a payload larger than the proxy maximum, the proxy closes the SPDZ
+ *  connection and pushes this event, followed by spdz_socketDisconnected. Messages received before the
+ *  error are still pushed as spdz_message events.
+ * @name protocolError
+ * @return {String} event name spdz_protocolError
+ * @return {String} JSON response with {status : 1, err : error message }
+ *
+ * @example Client code to accept protocol errors:
+ *
+ * socket.on('spdz_protocolError', response => {
+ *   console.log(response.err)
+ * })
+ * @access public
+ */
+const handleSpdzProtocolError = (clientSocket, err) => {
+  if (clientSocket.connected) {
+    clientSocket.emit('spdz_protocolError', { status: 1, err: err.message })
+  } else {
+    logger.debug(
+      'Getting notification of SPDZ protocol error but client web socket is disconnected.'
+    )
+  }
+}
+
+/**
+ * Notified that the client is waiting for a SPDZ connection, because the proxy limits how many
+ * clients are connected to SPDZ at once.
+ *
+ * @description After connectToSpdz, if the SPDZ engine is already serving the maximum number of clients,
+ *  the client waits in a first come first served queue. This event is pushed when the client joins the queue
+ *  and each time its position changes. connectToSpdz_result is sent once the client reaches the front
+ *  of the queue and is connected. Use disconnectFromSpdz to leave the queue.
+ * @name queuePosition
+ * @return {String} event name spdz_queuePosition
+ * @return {String} JSON response with {status : 0, queuePosition : position in the queue from 1 }
+ *
+ * @example Client code to show the queue position:
+ *
+ * socket.on('spdz_queuePosition', response => {
+ *   console.log(`Waiting at position ${response.queuePosition}.`)
+ * })
+ * @access public
+ */
+const handleQueuePosition = (clientSocket, queuePosition) => {
+  if (clientSocket.connected) {
+    clientSocket.emit('spdz_queuePosition', {
+      status: 0,
+      queuePosition: queuePosition
+    })
+  } else {
+    logger.debug(
+      'Getting notification of SPDZ queue position but client web socket is disconnected.'
+    )
+  }
+}
+
+/**
+ * Push SPDZ messages with their sequence numbers, which have not yet been sent to the session's web socket.
+ * Used for sessions with reliable delivery, messages stay buffered until acknowledged.
+ * @param {Socket} spdzEngine instance of spdzEngine.
+ * @param {Object} session with reliable delivery.
+ * @throws {Error} if the SPDZ connection has been closed by the client.
+ */
+const sendUnsentMessages = (spdzEngine, session) => {
+  spdzEngine
+    .getServerTransmissionsFrom(session.clientId, session.lastSentSeq + 1)
+    .forEach(transmission => {
+      session.socket.emit('spdz_message', transmission.data, transmission.seq)
+      notifyObservers(
+        session,
+        'spdz_message',
+        transmission.data,
+        transmission.seq
+      )
+      session.lastSentSeq = transmission.seq
+    })
+}
+
+/**
+ * Notified that a new SPDZ message is available for a session with reliable delivery.
+ */
+const handleNewReliableSpdzMessage = (spdzEngine, session) => {
+  if (session.socket.connected) {
+    try {
+      sendUnsentMessages(spdzEngine, session)
+    } catch (err) {
+      logger.warn(
+        `Notified of new spdz message, got error trying to send it - ${err.message}.`
+      )
+    }
+  } else {
+    logger.debug(
+      'Getting notification of new SPDZ message but client web socket is disconnected.'
+    )
+  }
+}
+
+/**
+ * Push SPDZ messages buffered while a session had no web socket, e.g. after resuming a session.
+ * With reliable delivery all unacknowledged messages are sent again, as the previous web socket may not have received them.
+ * If SPDZ closed the connection in the meantime, notify the client web socket once the messages are sent.
  * @param {Socket} spdzEngine instance of spdzEngine.
+ * @param {Object} session the resumed session.
+ */
+const sendBufferedMessages = (spdzEngine, session) => {
+  try {
+    if (session.reliable) {
+      session.lastSentSeq = 0
+      sendUnsentMessages(spdzEngine, session)
+    } else {
+      let spdzData = spdzEngine.getServerTransmission(session.clientId)
+      while (spdzData !== null) {
+        session.socket.emit('spdz_message', spdzData)
+        notifyObservers(session, 'spdz_message', spdzData)
+        spdzData = spdzEngine.getServerTransmission(session.clientId)
+      }
+    }
+  } catch (err) {
+    logger.debug(
+      `Stopped sending buffered spdz messages to resumed session - ${err.message}.`
+    )
+  }
+  if (!spdzEngine.checkConnection(session.clientId)) {
+    handleSpdzSocketClosed(session.socket)
+  }
+}
+
+/**
+ * Find the session of a web socket which connected with reliable delivery.
+ * @returns {Object} session or undefined if none, after responding to the request with an error.
+ */
+const reliableSessionFor = (sessions, clientSocket, request) => {
+  const session = sessions.forSocket(clientSocket)
+  if (session === undefined || !session.reliable) {
+    request.respond({
+      status: 1,
+      err:
+        'Messages are only numbered for SPDZ connections made with { reliable: true }.'
+    })
+    return undefined
+  }
+  return session
+}
+
+const isSequenceNumber = seq => Number.isInteger(seq) && seq > 0
+
+/**
+ * Find the engine client id for the web socket, the client id given to the SPDZ connection
+ * if the web socket has a session, otherwise the web socket id.
+ */
+const clientIdFor = (sessions, clientSocket) => {
+  const session = sessions.forSocket(clientSocket)
+  return session !== undefined ? session.clientId : clientSocket.id
+}
+
+/**
+ * True for a client id sent by a client, REST client ids may be strings or numbers.
+ */
+const isClientId = clientId =>
+  (typeof clientId === 'string' && clientId.length > 0) ||
+  Number.isInteger(clientId)
+
+/**
+ * Close a SPDZ connection, immediately or if options.graceful is true gracefully, see disconnectFromSpdz.
+ * @returns Promise resolving {closed : false if no connection was found, mode}.
+ */
+const closeClientConnection = (spdzEngine, clientId, options) =>
+  options !== null && typeof options === 'object' && options.graceful
+    ? spdzEngine.closeConnectionGracefully(clientId, {
+        waitForOutput: options.waitForOutput === true,
+        timeoutMs:
+          typeof options.timeoutMs === 'number' ? options.timeoutMs : undefined
+      })
+    : Promise.resolve({
+        closed: spdzEngine.closeConnection(clientId),
+        mode: 'immediate'
+      })
+
+/**
+ * Setup SPDZ socket connection tracking connection with a new websocket client id, in a new session.
+ * SPDZ notifications are sent to whichever web socket the session is bound to at the time.
+ * @param {Socket} spdzEngine instance of spdzEngine.
+ * @param {SpdzSessions} sessions to hold the new session.
  * @param {socket.io socket} clientSocket 
  * @param {string} clientPublicKey optional client public key.
- * @return Promise resolving with () or rejecting with error.
+ * @param {Object} connectionOptions options passed to spdzEngine setupConnection, and reliable - if true
+ *        messages are numbered and kept until acknowledged.
+ * @return Promise resolving with (session) or rejecting with error.
  */
-const setupSpdzConnection = (spdzEngine, clientSocket, clientPublicKey) => {
+const setupSpdzConnection = (
+  spdzEngine,
+  sessions,
+  clientSocket,
+  clientPublicKey,
+  connectionOptions
+) => {
   return new Promise(function(resolve, reject) {
-    if (spdzEngine.checkConnection(clientSocket.id)) {
+    const clientId = clientIdFor(sessions, clientSocket)
+    const currentSession = sessions.forSocket(clientSocket)
+    if (spdzEngine.checkConnection(clientId)) {
+      reject(
+        new Error(
+          `Unable to setup SPDZ connection, this id ${clientId} is already connected.`
+        )
+      )
+    } else if (currentSession !== undefined && currentSession.connecting) {
+      // The session's connection is queued or connecting, replacing it would leave that connection behind.
       reject(
         new Error(
-          `Unable to setup SPDZ connection, this id ${clientSocket.id} is already connected.`
+          'Unable to setup SPDZ connection, a connection for this web socket is already being set up.'
         )
       )
     } else {
+      const session = sessions.create(
+        clientIds.webSocketClientId(),
+        clientSocket
+      )
+      session.reliable = connectionOptions.reliable === true
+      // True until the SPDZ connection is established or has failed.
+      session.connecting = true
+      // Highest sequence number sent to the session web socket, with reliable delivery.
+      session.lastSentSeq = 0
       spdzEngine
         .setupConnection(
-          clientSocket.id,
+          session.clientId,
           clientPublicKey,
           () => {
-            handleNewSpdzMessage(spdzEngine, clientSocket)
+            session.reliable
+              ? handleNewReliableSpdzMessage(spdzEngine, session)
+              : handleNewSpdzMessage(spdzEngine, session)
           },
-          () => {
-            handleSpdzSocketClosed(clientSocket)
-          }
+          reason => {
+            handleSpdzSocketClosed(session.socket, reason)
+            observersOf(session).forEach(observer => {
+              handleSpdzSocketClosed(observer, reason)
+            })
+          },
+          Object.assign({}, connectionOptions, {
+            notifyProtocolError: err => {
+              handleSpdzProtocolError(session.socket, err)
+            },
+            notifyQueuePosition: queuePosition => {
+              handleQueuePosition(session.socket, queuePosition)
+            }
+          })
         )
         .then(() => {
-          resolve()
+          session.connecting = false
+          resolve(session)
         })
         .catch(err => {
+          session.connecting = false
+          sessions.remove(session.token)
           reject(err)
         })
     }
@@ -104,9 +400,17 @@ const setupSpdzConnection = (spdzEngine, clientSocket, clientPublicKey) => {
 
 /**
  * Setup web socket server to receive client socket connections.
+ * @param {Object} [options] optional, sessionGraceMs - time in ms to keep a SPDZ connection open
+ *        after the web socket disconnects, so the session can be resumed,
+ *        maxConnectWaitMs - longest waitMs allowed for connectToSpdz, default 60000.
  */
-const setupSpdzInteraction = (io, namespace, spdzEngine) => {
+const setupSpdzInteraction = (io, namespace, spdzEngine, options = {}) => {
   const ns = io.of(namespace)
+  const sessions = new SpdzSessions(options.sessionGraceMs)
+  const maxConnectWaitMs =
+    options.maxConnectWaitMs !== undefined
+      ? options.maxConnectWaitMs
+      : DEFAULT_MAX_CONNECT_WAIT_MS
 
   ns.on('connection', socket => {
     logger.debug(`Socket ${socket.id} connected.`)
@@ -124,48 +428,117 @@ const setupSpdzInteraction = (io, namespace, spdzEngine) => {
      * })
      * @access public
      */
-    socket.on('isSpdzConnected', () => {
-      const connected = spdzEngine.checkConnection(socket.id)
-      socket.emit('isSpdzConnected_result', { status: connected ? 0 : 1 })
+    onRequest(socket, 'isSpdzConnected', request => {
+      const connected = spdzEngine.checkConnection(
+        clientIdFor(sessions, socket)
+      )
+      request.respond({ status: connected ? 0 : 1 })
     })
 
     /**
      * @description Establish a stateful TCP connection to the running SPDZ process.
      *  See SPDZ instructions listen, acceptclientconnection.
+     *  Refused while a previous connectToSpdz from this web socket is still queued or connecting.
      * @alias connectToSpdz
      * @param {String} [clientPublicKey] Optional client public key as 64 char hex string.
      *  If supplied all data will be encrypted with RSA authenticated encryption. Client must have access to SPDZ engine 
      *  public key. See SPDZ instruction regint.read_client_public_key.
+     * @param {Object} [options] Optional connection options, { decode : true } to receive spdz_message
+     *  events decoded into JSON {type, values} where the message has a write_to_socket data type header.
+     *  Not available with encryption. { waitMs : 10000 } to keep retrying for up to waitMs (capped by the proxy
+     *  configuration) if SPDZ is not yet accepting connections, for example just after startSpdz. Retrying stops if
+     *  the web socket disconnects or sends disconnectFromSpdz. Each failed attempt sends a connectToSpdz_progress
+     *  event with {status : 0, attempt : number of failed attempts, delayMs : time until the next attempt, err : error message }.
+     *  { reliable : true } for at least once delivery, each spdz_message carries a sequence number and is kept by the proxy
+     *  until acknowledged, see acknowledgeMessages. Unacknowledged messages are sent again after resumeSession or replayFrom,
+     *  so may be received more than once.
      * @return {String} event name connectToSpdz_result
-     * @return {String} JSON response with {status : 0 (succes) | 1 (error), err : error message } 
+     * @return {String} JSON response with {status : 0 (succes) | 1 (error), sessionToken : token to resume the
+     *  session from a new web socket, see resumeSession, clientId : id of the SPDZ connection, which can be used with the
+     *  REST interface when the proxy serves both interfaces, err : error message } 
      * @example Client code to connect to SPDZ:
      * 
      * socket.emit('connectToSpdz', 'e0c5f66f1306ef1aeeb744ef38abaa28bb6c836c2ab0124d93dd9586cae8dd17')
      * socket.on('connectToSpdz_result', response => {
      *   console.log(response.status)
+     *   sessionToken = response.sessionToken
+     * })
+     * @example Client code to connect to SPDZ without encryption and receive decoded messages:
+     * 
+     * socket.emit('connectToSpdz', '', { decode: true })
+     * @example Client code to connect to a SPDZ engine which is starting up:
+     * 
+     * socket.emit('connectToSpdz', '', { waitMs: 10000 })
+     * socket.on('connectToSpdz_progress', progress => {
+     *   console.log(`Attempt ${progress.attempt} failed, retrying in ${progress.delayMs}ms.`)
      * })
+     * @example Client code to connect to SPDZ with reliable delivery:
+     * 
+     * socket.emit('connectToSpdz', '', { reliable: true })
      * @access public
      */
-    socket.on('connectToSpdz', clientPublicKey => {
+    onRequest(socket, 'connectToSpdz', (request, clientPublicKey, options) => {
       const reformatClientPublicKey =
-        clientPublicKey !== undefined && clientPublicKey.length === 0
+        clientPublicKey !== undefined &&
+        clientPublicKey !== null &&
+        clientPublicKey.length === 0
           ? undefined
           : clientPublicKey
-      setupSpdzConnection(spdzEngine, socket, reformatClientPublicKey)
-        .then(() => socket.emit('connectToSpdz_result', { status: 0 }))
+      const validOptions =
+        options !== null && typeof options === 'object' ? options : {}
+      setupSpdzConnection(
+        spdzEngine,
+        sessions,
+        socket,
+        reformatClientPublicKey,
+        {
+          decodeOutput: validOptions.decode === true,
+          waitMs: Math.min(Number(validOptions.waitMs) || 0, maxConnectWaitMs),
+          reliable: validOptions.reliable === true,
+          notifyRetry: retry => {
+            socket.emit(
+              'connectToSpdz_progress',
+              withRequestId(request.requestId, {
+                status: 0,
+                attempt: retry.attempt,
+                delayMs: retry.delayMs,
+                err: retry.err.message
+              })
+            )
+          }
+        }
+      )
+        .then(session =>
+          request.respond({
+            status: 0,
+            sessionToken: session.token,
+            clientId: session.clientId
+          })
+        )
         .catch(err => {
-          socket.emit('connectToSpdz_result', { status: 1, err: err.message })
+          request.respond({ status: 1, err: err.message })
         })
     })
 
     /**
      * @description Send an array of inputs to the SPDZ engine over the previously established TCP socket.
-     *  See SPDZ instructions sint, cint, regint read_from_socket.
+     *  See SPDZ instructions sint, cint, regint, sfix, cfix read_from_socket.
      * @alias sendData
-     * @param {String} dataType Either; modp - 128 bit Big Integer in Gfp field, Montgomery format, or int32 - 32 bit signed integer.
-     * @param {Array} dataArray JSON structure containing array of base64 encoded 16 bytes (big endian) or integers.
-     * @return {String} event name sendData_result
-     * @return {String} JSON response with {status : 0 (succes) | 1 (error), err : error message } 
+     * @param {String} dataType Either; modp - 128 bit Big Integer in Gfp field, Montgomery format, int32 - 32 bit signed integer,
+     *  uint32 - 32 bit unsigned integer, int64 - 64 bit signed integer, uint64 - 64 bit unsigned integer,
+     *  gfp - field element converted by the proxy into modp Montgomery format
+     *  or fix - fixed point number scaled by 2^f and sent as a modp integer (gfp and fix need the proxy to be configured with the SPDZ prime).
+     * @param {Array} dataArray JSON structure containing array of base64 encoded 16 bytes (big endian), integers
+     *  (as decimal strings for 64 bit values beyond 2^53), for gfp decimal or 0x prefixed hex strings,
+     *  or for fix, numbers or decimal strings.
+     *  Alternatively for modp and integer types, a binary attachment (ArrayBuffer or Buffer) containing the
+     *  values packed as 16 (modp), 4 (int32, uint32) or 8 (int64, uint64) bytes each.
+     * @param {Object} [options] Optional, for fix the precision {f : fractional bits, k : total bits},
+     *  defaults to the proxy configuration. For binary data the byte order of each value
+     *  {byteOrder : little (default) | big}.
+     * @return {String} event name sendData_result, sent once the data is flushed to SPDZ.
+     * @return {String} JSON response with {status : 0 (succes) | 1 (error), err : error message }.
+     *  If SPDZ is not reading the data already sent the request is refused with status 1, retry later.
      * @example Client code to send modp big integers to SPDZ, for example shares of inputs:
      * 
      * socket.emit('sendData', 'modp', [
@@ -176,57 +549,535 @@ const setupSpdzInteraction = (io, namespace, spdzEngine) => {
      * 
      * socket.emit('sendData', 'int32', [1234, 7654])
      * 
+     * @example Client code to send 64 bit integers to SPDZ, large values as strings:
+     * 
+     * socket.emit('sendData', 'int64', [1510314061000, '9007199254740993'])
+     * 
+     * @example Client code to send field elements to SPDZ, converted by the proxy into Montgomery form:
+     * 
+     * socket.emit('sendData', 'gfp', ['1234567890123456789012345', '0x1f'])
+     * 
+     * @example Client code to send modp big integers to SPDZ as a binary attachment, little endian Montgomery form:
+     * 
+     * socket.emit('sendData', 'modp', sharesArrayBuffer, { byteOrder: 'little' })
+     * 
+     * @example Client code to send fixed point numbers to SPDZ:
+     * 
+     * socket.emit('sendData', 'fix', [12.5, '-0.0625'], { f: 20, k: 40 })
+     * 
      * @example Client code to accept the result:
      * 
      * socket.on('sendData_result', response => {
      *   console.log(response.status)
      * })
+     * @example Client code to send data concurrently, matching each result to its request:
+     * 
+     * socket.emit('sendData', 'int32', [1234], { requestId: 1 }, response => {
+     *   console.log(response.requestId, response.status)
+     * })
+     * socket.emit('sendData', 'int32', [7654], { requestId: 2 }, response => {
+     *   console.log(response.requestId, response.status)
+     * })
      * @access public
      */
-    socket.on('sendData', (dataType, dataArray) => {
-      if (dataType === 'modp' && dataArray instanceof Array) {
-        if (spdzEngine.sendBigIntegers(socket.id, dataArray)) {
-          socket.emit('sendData_result', { status: 0 })
-        } else {
-          socket.emit('sendData_result', {
-            status: 1,
-            err: 'Unable to send data (modp) to SPDZ engine.'
-          })
-        }
-      } else if (dataType === 'int32' && dataArray instanceof Array) {
-        if (spdzEngine.sendIntegers(socket.id, dataArray)) {
-          socket.emit('sendData_result', { status: 0 })
-        } else {
-          socket.emit('sendData_result', {
+    onRequest(socket, 'sendData', (request, dataType, dataArray, options) => {
+      const clientId = clientIdFor(sessions, socket)
+      const sendFunctions = {
+        modp: () => spdzEngine.sendBigIntegers(clientId, dataArray),
+        int32: () => spdzEngine.sendIntegers(clientId, dataArray),
+        uint32: () => spdzEngine.sendIntegers(clientId, dataArray, 'uint32'),
+        int64: () => spdzEngine.sendIntegers(clientId, dataArray, 'int64'),
+        uint64: () => spdzEngine.sendIntegers(clientId, dataArray, 'uint64'),
+        gfp: () => spdzEngine.sendFieldElements(clientId, dataArray),
+        fix: () => spdzEngine.sendFixedPoint(clientId, dataArray, options)
+      }
+
+      const isBinary =
+        Buffer.isBuffer(dataArray) || dataArray instanceof ArrayBuffer
+
+      if (
+        sendFunctions.hasOwnProperty(dataType) &&
+        (dataArray instanceof Array || isBinary)
+      ) {
+        try {
+          const sending = isBinary
+            ? spdzEngine.sendBinary(
+                clientId,
+                dataType,
+                // Buffer.from on an ArrayBuffer creates a view, not a copy.
+                Buffer.isBuffer(dataArray) ? dataArray : Buffer.from(dataArray),
+                options !== null && typeof options === 'object'
+                  ? options.byteOrder
+                  : undefined
+              )
+            : sendFunctions[dataType]()
+          // Reply once the data is flushed to SPDZ.
+          Promise.resolve(sending)
+            .then(sent => {
+              if (sent) {
+                request.respond({ status: 0 })
+              } else {
+                request.respond({
+                  status: 1,
+                  err: `Unable to send data (${dataType}) to SPDZ engine.`
+                })
+              }
+            })
+            .catch(err => {
+              request.respond({
+                status: 1,
+                err: `Unable to send data (${dataType}) to SPDZ engine. ${err.message}`
+              })
+            })
+        } catch (err) {
+          request.respond({
             status: 1,
-            err: 'Unable to send data (int32) to SPDZ engine.'
+            err: `Unable to convert data (${dataType}) to send to SPDZ engine. ${err.message}`
           })
         }
       } else {
-        socket.emit('sendData_result', {
+        request.respond({
           status: 1,
           err: `Unable to process sendData request, unexpected data type ${dataType} or input type.`
         })
       }
     })
 
+    /**
+     * @description Send an ordered list of inputs of mixed data types to the SPDZ engine, for a SPDZ program
+     *  which reads a sequence such as a regint count, sint shares and a regint flag.
+     *  All segments are validated before anything is sent to SPDZ.
+     * @alias sendStructured
+     * @param {Array} segments JSON structure containing an array of {type, values}, where type and values are as for sendData.
+     *  Fix segments may include precision f and k.
+     * @param {Object} [options] Optional, { framePerSegment : true } to send each segment as a separate SPDZ message
+     *  rather than packed into one message (default).
+     * @return {String} event name sendStructured_result, sent once the data is flushed to SPDZ.
+     * @return {String} JSON response with {status : 0 (succes) | 1 (error), err : error message } 
+     * @example Client code to send a count, shares and a flag to SPDZ as one message:
+     * 
+     * socket.emit('sendStructured', [
+     *  { type: 'int32', values: [2] },
+     *  { type: 'modp', values: ['J72LqIgKBjKu5zFKt1vo4g==', 'J72LqIgKBjKu5zFKt1vo4g=='] },
+     *  { type: 'int32', values: [1] }
+     * ])
+     * socket.on('sendStructured_result', response => {
+     *   console.log(response.status)
+     * })
+     * @access public
+     */
+    onRequest(socket, 'sendStructured', (request, segments, options) => {
+      const framePerSegment =
+        options !== null &&
+        typeof options === 'object' &&
+        options.framePerSegment === true
+      try {
+        Promise.resolve(
+          spdzEngine.sendStructured(
+            clientIdFor(sessions, socket),
+            segments,
+            framePerSegment
+          )
+        )
+          .then(sent => {
+            if (sent) {
+              request.respond({ status: 0 })
+            } else {
+              request.respond({
+                status: 1,
+                err: 'Unable to send structured data to SPDZ engine.'
+              })
+            }
+          })
+          .catch(err => {
+            request.respond({
+              status: 1,
+              err: `Unable to send structured data to SPDZ engine. ${err.message}`
+            })
+          })
+      } catch (err) {
+        request.respond({
+          status: 1,
+          err: `Unable to process sendStructured request. ${err.message}`
+        })
+      }
+    })
+
+    /**
+     * @description Check how much data sent by this web socket is waiting to be flushed to SPDZ.
+     *  Once queuedBytes reaches highWaterMark sendData requests are refused until SPDZ reads the data.
+     * @alias getQueueDepth
+     * @return {String} event name getQueueDepth_result
+     * @return {String} JSON response with {status : 0 (success) | 1 (not connected), queuedBytes, queuedWrites,
+     *  highWaterMark, paused, err : error message }
+     * @example Client code to check the queue:
+     * 
+     * socket.emit('getQueueDepth')
+     * socket.on('getQueueDepth_result', response => {
+     *   console.log(response.queuedBytes)
+     * })
+     * @access public
+     */
+    onRequest(socket, 'getQueueDepth', request => {
+      const queueDepth = spdzEngine.getQueueDepth(clientIdFor(sessions, socket))
+      if (queueDepth !== null) {
+        request.respond(Object.assign({ status: 0 }, queueDepth))
+      } else {
+        request.respond({
+          status: 1,
+          err: 'No SPDZ connection exists for this client.'
+        })
+      }
+    })
+
+    /**
+     * @description Acknowledge SPDZ messages received with reliable delivery, so that the proxy can free them.
+     *  Acknowledges all messages up to and including the sequence number. Unacknowledged messages count towards the
+     *  limits on data waiting to be consumed, after which the SPDZ connection is closed.
+     * @alias acknowledgeMessages
+     * @param {Number} seq sequence number of the last spdz_message received.
+     * @return {String} event name acknowledgeMessages_result
+     * @return {String} JSON response with {status : 0 (success) | 1 (error), acknowledged : number of messages freed,
+     *  err : error message }
+     * @example Client code to acknowledge messages:
+     * 
+     * socket.emit('acknowledgeMessages', 12)
+     * socket.on('acknowledgeMessages_result', response => {
+     *   console.log(response.acknowledged)
+     * })
+     * @access public
+     */
+    onRequest(socket, 'acknowledgeMessages', (request, seq) => {
+      const session = reliableSessionFor(sessions, socket, request)
+      if (session === undefined) {
+        return
+      }
+      if (!isSequenceNumber(seq)) {
+        request.respond({
+          status: 1,
+          err: 'Unable to acknowledge messages, expecting a sequence number.'
+        })
+        return
+      }
+      try {
+        const acknowledged = spdzEngine.acknowledgeServerTransmissions(
+          session.clientId,
+          seq
+        )
+        request.respond({
+          status: 0,
+          acknowledged: acknowledged
+        })
+      } catch (err) {
+        request.respond({
+          status: 1,
+          err: `Unable to acknowledge messages. ${err.message}`
+        })
+      }
+    })
+
+    /**
+     * @description Ask for unacknowledged SPDZ messages to be sent again, with reliable delivery, for example if the
+     *  client lost messages it had not yet processed. Messages from the sequence number onwards are pushed as
+     *  spdz_message events before the result.
+     * @alias replayFrom
+     * @param {Number} seq sequence number of the first spdz_message to send again.
+     * @return {String} event name replayFrom_result
+     * @return {String} JSON response with {status : 0 (success) | 1 (error), err : error message }
+     * @example Client code to replay messages after the last one processed:
+     * 
+     * socket.emit('replayFrom', lastSeq + 1)
+     * socket.on('replayFrom_result', response => {
+     *   console.log(response.status)
+     * })
+     * @access public
+     */
+    onRequest(socket, 'replayFrom', (request, seq) => {
+      const session = reliableSessionFor(sessions, socket, request)
+      if (session === undefined) {
+        return
+      }
+      if (!isSequenceNumber(seq)) {
+        request.respond({
+          status: 1,
+          err: 'Unable to replay messages, expecting a sequence number.'
+        })
+        return
+      }
+      try {
+        session.lastSentSeq = Math.min(session.lastSentSeq, seq - 1)
+        sendUnsentMessages(spdzEngine, session)
+        request.respond({ status: 0 })
+      } catch (err) {
+        request.respond({
+          status: 1,
+          err: `Unable to replay messages. ${err.message}`
+        })
+      }
+    })
+
+    /**
+     * @description Get a token to share with other web sockets, for example a dashboard, so they can watch this
+     *  client's SPDZ output with observeSpdz. The same token is returned until the SPDZ connection is closed.
+     * @alias createObserverToken
+     * @return {String} event name createObserverToken_result
+     * @return {String} JSON response with {status : 0 (success) | 1 (error), observerToken : token for observeSpdz,
+     *  err : error message }
+     * @example Client code to share SPDZ output:
+     * 
+     * socket.emit('createObserverToken')
+     * socket.on('createObserverToken_result', response => {
+     *   shareWithDashboard(response.observerToken)
+     * })
+     * @access public
+     */
+    onRequest(socket, 'createObserverToken', request => {
+      const session = sessions.forSocket(socket)
+      if (session === undefined) {
+        request.respond({
+          status: 1,
+          err:
+            'Unable to create an observer token, this web socket is not connected to SPDZ.'
+        })
+      } else {
+        request.respond({
+          status: 0,
+          observerToken: sessions.observerTokenFor(session)
+        })
+      }
+    })
+
+    /**
+     * @description Watch the SPDZ output of another client, using the token it created with createObserverToken.
+     *  The observing web socket receives a copy of each spdz_message event pushed to the client, and
+     *  spdz_socketDisconnected when the SPDZ connection closes. An observer cannot send data to SPDZ or
+     *  acknowledge messages. A web socket observes one client at a time, observing another replaces it.
+     * @alias observeSpdz
+     * @param {String} observerToken token from createObserverToken.
+     * @return {String} event name observeSpdz_result
+     * @return {String} JSON response with {status : 0 (success) | 1 (error), connected : true if the client is
+     *  connected to SPDZ, err : error message }
+     * @example Client code to watch SPDZ output:
+     * 
+     * socket.emit('observeSpdz', observerToken)
+     * socket.on('spdz_message', response => {
+     *   showResult(response)
+     * })
+     * @access public
+     */
+    onRequest(socket, 'observeSpdz', (request, observerToken) => {
+      const session = sessions.observe(observerToken, socket)
+      if (session === undefined) {
+        request.respond({
+          status: 1,
+          err:
+            'Unable to observe, the observer token is unknown or the SPDZ connection has been closed.'
+        })
+      } else {
+        logger.debug(
+          `Socket ${socket.id} observing SPDZ output for client ${session.clientId}.`
+        )
+        request.respond({
+          status: 0,
+          connected: spdzEngine.checkConnection(session.clientId)
+        })
+      }
+    })
+
     /**
      * @description Disconnect the client represented by this web socket from the SPDZ TCP connection.
+     *  By default the connection is closed immediately, which may drop the last data sent if SPDZ has not yet
+     *  read it. A graceful disconnect refuses further sendData requests, waits for data already sent to be
+     *  flushed to SPDZ and optionally for SPDZ to write its last output and close the connection, then closes.
+     *  SPDZ messages received while waiting are pushed as spdz_message events before the result.
      * @alias disconnectFromSpdz
+     * @param {Object} [options] Optional {graceful : true to wait before closing, waitForOutput : true to also wait for
+     *  SPDZ to close the connection, timeoutMs : longest time to wait before forcing the close, default 5000}.
      * @return {String} event name disconnectFromSpdz_result
-     * @return {String} JSON response with {status : 0 (success)} 
+     * @return {String} JSON response with {status : 0 (success), mode : immediate | graceful |
+     *  forced (a graceful disconnect which timed out)}
      * @example Client code to disconnect connection:
      * 
      * socket.emit('disconnectFromSpdz')
+     * @example Client code to disconnect once the last input is sent and SPDZ has sent its last output:
+     * 
+     * socket.emit('disconnectFromSpdz', { graceful: true, waitForOutput: true, timeoutMs: 10000 })
+     * socket.on('disconnectFromSpdz_result', response => {
+     *   console.log(response.mode)
+     * })
+     * @access public
+     */
+    onRequest(socket, 'disconnectFromSpdz', (request, options) => {
+      const session = sessions.forSocket(socket)
+      const clientId = clientIdFor(sessions, socket)
+      if (session !== undefined) {
+        sessions.remove(session.token)
+      }
+      closeClientConnection(spdzEngine, clientId, options).then(result => {
+        request.respond({
+          status: 0,
+          mode: result.mode
+        })
+      })
+    })
+
+    /**
+     * @description Check the SPDZ connection of a client id, e.g. a connection opened with the REST interface when the
+     *  proxy serves both interfaces, or the clientId returned in connectToSpdz_result. As for the REST interface this
+     *  counts as activity of that client, so polling keeps a waiting client from being closed as idle.
+     * @alias getSpdzConnection
+     * @param {String} clientId client id of the connection.
+     * @return {String} event name getSpdzConnection_result
+     * @return {String} JSON response with {status : 0 (success) | 1 (no connection found), state : connected |
+     *  connecting | queued, queuePosition : position in the admission queue from 1 if queued otherwise 0,
+     *  err : error message }
+     * @example Client code to check a connection opened with the REST interface:
+     *
+     * socket.emit('getSpdzConnection', '123')
+     * socket.on('getSpdzConnection_result', response => {
+     *   console.log(response.state)
+     * })
+     * @access public
+     */
+    onRequest(socket, 'getSpdzConnection', (request, clientId) => {
+      if (!isClientId(clientId)) {
+        request.respond({ status: 1, err: 'A client id is required.' })
+        return
+      }
+      const connectionStatus = spdzEngine.getConnectionStatus(String(clientId))
+      request.respond(
+        connectionStatus.state !== 'none'
+          ? {
+              status: 0,
+              state: connectionStatus.state,
+              queuePosition: connectionStatus.queuePosition
+            }
+          : { status: 1, err: `No connection found for client id ${clientId}.` }
+      )
+    })
+
+    /**
+     * @description Close the SPDZ connection of a client id, e.g. a connection opened with the REST interface when the
+     *  proxy serves both interfaces. A client still waiting in the admission queue or connecting is cancelled.
+     *  Use disconnectFromSpdz for the connection of this web socket.
+     * @alias closeSpdzConnection
+     * @param {String} clientId client id of the connection.
+     * @param {Object} [options] Optional, as for disconnectFromSpdz {graceful : true to wait before closing,
+     *  waitForOutput : true to also wait for SPDZ to close the connection, timeoutMs : longest time to wait}.
+     * @return {String} event name closeSpdzConnection_result
+     * @return {String} JSON response with {status : 0 (success) | 1 (no connection found), mode : immediate |
+     *  graceful | forced (a graceful close which timed out), err : error message }
+     * @example Client code to close a connection opened with the REST interface:
+     *
+     * socket.emit('closeSpdzConnection', '123', { graceful: true })
+     * socket.on('closeSpdzConnection_result', response => {
+     *   console.log(response.mode)
+     * })
+     * @access public
+     */
+    onRequest(socket, 'closeSpdzConnection', (request, clientId, options) => {
+      if (!isClientId(clientId)) {
+        request.respond({ status: 1, err: 'A client id is required.' })
+        return
+      }
+      closeClientConnection(spdzEngine, String(clientId), options).then(
+        result => {
+          request.respond(
+            result.closed
+              ? { status: 0, mode: result.mode }
+              : {
+                  status: 1,
+                  err: `No connection found for client id ${clientId}.`
+                }
+          )
+        }
+      )
+    })
+
+    /**
+     * @description Rebind a SPDZ connection to this web socket, for example after a network interruption
+     *  caused the web socket to reconnect with a new id. The SPDZ connection is kept open for a grace period
+     *  after the web socket disconnects. Once resumed any SPDZ messages received in the meantime are
+     *  pushed as spdz_message events, followed by spdz_socketDisconnected if SPDZ has since closed the connection.
+     *  If the web socket using the session is still connected it is sent spdz_sessionTakenOver.
+     * @alias resumeSession
+     * @param {String} sessionToken token returned in connectToSpdz_result.
+     * @return {String} event name resumeSession_result
+     * @return {String} JSON response with {status : 0 (success) | 1 (error), connected : true if the
+     *  SPDZ connection is still open, err : error message }
+     * @example Client code to resume a session after the web socket reconnects:
+     * 
+     * socket.on('reconnect', () => {
+     *   socket.emit('resumeSession', sessionToken)
+     * })
+     * socket.on('resumeSession_result', response => {
+     *   console.log(response.status)
+     * })
      * @access public
      */
-    socket.on('disconnectFromSpdz', () => {
-      spdzEngine.closeConnection(socket.id)
-      socket.emit('disconnectFromSpdz_result', { status: 0 })
+    onRequest(socket, 'resumeSession', (request, sessionToken) => {
+      const currentSession = sessions.forSocket(socket)
+      if (
+        currentSession !== undefined &&
+        currentSession.token !== sessionToken &&
+        spdzEngine.checkConnection(currentSession.clientId)
+      ) {
+        request.respond({
+          status: 1,
+          err:
+            'Unable to resume session, this web socket is already connected to SPDZ.'
+        })
+        return
+      }
+
+      const session = sessions.resume(
+        sessionToken,
+        socket,
+        handleSessionTakenOver
+      )
+      if (session === undefined) {
+        request.respond({
+          status: 1,
+          err:
+            'Unable to resume session, the session token is unknown or has expired.'
+        })
+        return
+      }
+      if (currentSession !== undefined && currentSession !== session) {
+        // Previous session for this web socket has no SPDZ connection, discard its buffered data.
+        spdzEngine.closeConnection(currentSession.clientId)
+        sessions.remove(currentSession.token)
+      }
+
+      logger.debug(
+        `Socket ${socket.id} resumed session for client ${session.clientId}.`
+      )
+      request.respond({
+        status: 0,
+        connected: spdzEngine.checkConnection(session.clientId)
+      })
+      sendBufferedMessages(spdzEngine, session)
     })
 
     socket.on('disconnect', () => {
       logger.debug(`Socket ${socket.id} disconnected.`)
+      sessions.stopObserving(socket)
+      const currentSession = sessions.forSocket(socket)
+      if (currentSession !== undefined && currentSession.connecting) {
+        // The client has not been given the session token, so cannot resume, stop connecting.
+        logger.info(
+          `Socket ${socket.id} disconnected while connecting, cancelling SPDZ connection for client ${currentSession.clientId}.`
+        )
+        sessions.remove(currentSession.token)
+        spdzEngine.closeConnection(currentSession.clientId)
+        return
+      }
+      sessions.release(socket, session => {
+        logger.info(
+          `Session for client ${session.clientId} was not resumed, closing SPDZ connection.`
+        )
+        spdzEngine.closeConnection(session.clientId)
+      })
     })
   })
 }
@@ -18,7 +18,7 @@ let socket
 beforeAll(() => {
   webServer = http.createServer().listen(8099)
   const io = new Io(webServer, { path: '/spdz/socket.io' })
-  setupSpdzInteraction(io, '/spdzapi', mockSpdzEngine)
+  setupSpdzInteraction(io, '/spdzapi', mockSpdzEngine, { sessionGraceMs: 500 })
 })
 
 afterAll(() => {
@@ -41,8 +41,18 @@ afterEach(() => {
   mockSpdzEngine.checkConnection.mockClear()
   mockSpdzEngine.setupConnection.mockClear()
   mockSpdzEngine.closeConnection.mockClear()
+  mockSpdzEngine.closeConnectionGracefully.mockClear()
+  mockSpdzEngine.getConnectionStatus.mockClear()
   mockSpdzEngine.sendBigIntegers.mockClear()
   mockSpdzEngine.sendIntegers.mockClear()
+  mockSpdzEngine.sendFixedPoint.mockClear()
+  mockSpdzEngine.sendFieldElements.mockClear()
+  mockSpdzEngine.sendStructured.mockClear()
+  mockSpdzEngine.sendBinary.mockClear()
+  mockSpdzEngine.getQueueDepth.mockClear()
+  mockSpdzEngine.getServerTransmission.mockClear()
+  mockSpdzEngine.getServerTransmissionsFrom.mockClear()
+  mockSpdzEngine.acknowledgeServerTransmissions.mockClear()
 })
 
 describe('Web socket interface', () => {
@@ -69,7 +79,12 @@ describe('Web socket interface', () => {
     socket.on('connectToSpdz_result', result => {
       try {
         expect(result.status).toEqual(0)
+        expect(result.sessionToken).toMatch(/^[0-9a-f]{32}$/)
+        expect(result.clientId).toMatch(/^ws-[0-9a-f]{16}$/)
         expect(mockSpdzEngine.setupConnection).toBeCalled()
+        expect(mockSpdzEngine.setupConnection.mock.calls[0][0]).toBe(
+          result.clientId
+        )
         expect(mockSpdzEngine.setupConnection.mock.calls[0][1]).toBe('pubkey')
         done()
       } catch (err) {
@@ -80,6 +95,478 @@ describe('Web socket interface', () => {
     socket.emit('connectToSpdz', 'pubkey')
   })
 
+  it('Refuses a second connectToSpdz event while the first is still connecting', done => {
+    let finishConnecting
+    mockSpdzEngine.setupConnection.mockImplementationOnce(
+      () =>
+        new Promise(resolve => {
+          finishConnecting = resolve
+        })
+    )
+    const results = []
+
+    socket.on('connectToSpdz_result', result => {
+      results.push(result)
+      if (results.length === 1) {
+        finishConnecting()
+        return
+      }
+      try {
+        expect(results[0]).toEqual({
+          status: 1,
+          err:
+            'Unable to setup SPDZ connection, a connection for this web socket is already being set up.'
+        })
+        expect(results[1].status).toEqual(0)
+        expect(mockSpdzEngine.setupConnection).toHaveBeenCalledTimes(1)
+        done()
+      } catch (err) {
+        done.fail(err)
+      }
+    })
+
+    socket.emit('connectToSpdz', '')
+    socket.emit('connectToSpdz', '')
+  })
+
+  it('Sends connectToSpdz_progress events while retrying a connection', done => {
+    mockSpdzEngine.setupConnection.mockImplementationOnce(
+      (clientId, publicKey, messageCallBack, closedCallBack, options) => {
+        options.notifyRetry({
+          attempt: 1,
+          delayMs: 100,
+          err: new Error('connect ECONNREFUSED 127.0.0.1:14000')
+        })
+        return Promise.resolve()
+      }
+    )
+    const progressCallBack = jest.fn()
+    socket.on('connectToSpdz_progress', progressCallBack)
+
+    socket.on('connectToSpdz_result', result => {
+      try {
+        expect(result.status).toEqual(0)
+        expect(mockSpdzEngine.setupConnection.mock.calls[0][4].waitMs).toEqual(
+          5000
+        )
+        expect(progressCallBack).toHaveBeenCalledWith({
+          status: 0,
+          attempt: 1,
+          delayMs: 100,
+          err: 'connect ECONNREFUSED 127.0.0.1:14000'
+        })
+        done()
+      } catch (err) {
+        done.fail(err)
+      }
+    })
+
+    socket.emit('connectToSpdz', '', { waitMs: 5000 })
+  })
+
+  it('Caps the time a connectToSpdz event may wait for SPDZ', done => {
+    mockSpdzEngine.setupConnection.mockImplementationOnce(() =>
+      Promise.resolve()
+    )
+
+    socket.on('connectToSpdz_result', result => {
+      try {
+        expect(result.status).toEqual(0)
+        expect(mockSpdzEngine.setupConnection.mock.calls[0][4].waitMs).toEqual(
+          60000
+        )
+        done()
+      } catch (err) {
+        done.fail(err)
+      }
+    })
+
+    socket.emit('connectToSpdz', '', { waitMs: 600000 })
+  })
+
+  it('Cancels a SPDZ connection still being set up when the web socket disconnects', done => {
+    mockSpdzEngine.setupConnection.mockImplementationOnce(
+      () => new Promise(() => {})
+    )
+    mockSpdzEngine.closeConnection.mockImplementationOnce(() => true)
+
+    socket.emit('connectToSpdz', '', { waitMs: 5000 })
+    setTimeout(() => {
+      const clientId = mockSpdzEngine.setupConnection.mock.calls[0][0]
+      socket.disconnect()
+      // Closed straight away, not after the session grace period.
+      setTimeout(() => {
+        try {
+          expect(mockSpdzEngine.closeConnection).toHaveBeenCalledWith(clientId)
+          done()
+        } catch (err) {
+          done.fail(err)
+        }
+      }, 50)
+    }, 50)
+  })
+
+  it('Pushes spdz_queuePosition events while waiting for a SPDZ connection', done => {
+    mockSpdzEngine.setupConnection.mockImplementationOnce(
+      (clientId, publicKey, messageCallBack, closedCallBack, options) => {
+        options.notifyQueuePosition(2)
+        setTimeout(() => {
+          options.notifyQueuePosition(1)
+        }, 10)
+        return new Promise(resolve => setTimeout(resolve, 20))
+      }
+    )
+    const queuePositions = []
+    socket.on('spdz_queuePosition', result => {
+      queuePositions.push(result)
+    })
+
+    socket.on('connectToSpdz_result', result => {
+      try {
+        expect(result.status).toEqual(0)
+        expect(queuePositions).toEqual([
+          { status: 0, queuePosition: 2 },
+          { status: 0, queuePosition: 1 }
+        ])
+        done()
+      } catch (err) {
+        done.fail(err)
+      }
+    })
+
+    socket.emit('connectToSpdz', '')
+  })
+
+  it('Can request decoded SPDZ messages in a connectToSpdz event', done => {
+    mockSpdzEngine.setupConnection.mockImplementationOnce(() =>
+      Promise.resolve()
+    )
+
+    socket.on('connectToSpdz_result', result => {
+      try {
+        expect(result.status).toEqual(0)
+        expect(mockSpdzEngine.setupConnection.mock.calls[0][1]).toBeUndefined()
+        expect(
+          mockSpdzEngine.setupConnection.mock.calls[0][4].decodeOutput
+        ).toBe(true)
+        done()
+      } catch (err) {
+        done.fail(err)
+      }
+    })
+
+    socket.emit('connectToSpdz', '', { decode: true })
+  })
+
+  it('Pushes a spdz_protocolError event if SPDZ sends data which cannot be parsed', done => {
+    mockSpdzEngine.setupConnection.mockImplementationOnce(
+      (clientId, publicKey, messageCallBack, closedCallBack, options) => {
+        setTimeout(() => {
+          options.notifyProtocolError(new Error('Testing protocol error'))
+        }, 10)
+        return Promise.resolve()
+      }
+    )
+
+    socket.on('spdz_protocolError', result => {
+      try {
+        expect(result.status).toEqual(1)
+        expect(result.err).toEqual('Testing protocol error')
+        done()
+      } catch (err) {
+        done.fail(err)
+      }
+    })
+
+    socket.emit('connectToSpdz', '')
+  })
+
+  it('Pushes a spdz_socketDisconnected event with the reason if the proxy closes an idle connection', done => {
+    mockSpdzEngine.setupConnection.mockImplementationOnce(
+      (clientId, publicKey, messageCallBack, closedCallBack) => {
+        setTimeout(() => {
+          closedCallBack('No client activity for 1000 ms.')
+        }, 10)
+        return Promise.resolve()
+      }
+    )
+
+    socket.on('spdz_socketDisconnected', result => {
+      try {
+        expect(result).toEqual({
+          status: 0,
+          reason: 'No client activity for 1000 ms.'
+        })
+        done()
+      } catch (err) {
+        done.fail(err)
+      }
+    })
+
+    socket.emit('connectToSpdz', '')
+  })
+
+  it('Tells the web socket using a session when another web socket resumes it', done => {
+    mockSpdzEngine.setupConnection.mockImplementationOnce(() =>
+      Promise.resolve()
+    )
+    const otherSocket = IoClient('http://localhost:8099/spdzapi', {
+      path: '/spdz/socket.io',
+      reconnection: false
+    })
+
+    socket.on('spdz_sessionTakenOver', result => {
+      otherSocket.disconnect()
+      try {
+        expect(result).toEqual({
+          status: 1,
+          err:
+            'Another web socket resumed this session, this web socket is no longer connected to SPDZ.'
+        })
+        done()
+      } catch (err) {
+        done.fail(err)
+      }
+    })
+
+    socket.on('connectToSpdz_result', result => {
+      mockSpdzEngine.checkConnection
+        .mockReturnValueOnce(true)
+        .mockReturnValueOnce(true)
+      mockSpdzEngine.getServerTransmission.mockReturnValueOnce(null)
+      otherSocket.emit('resumeSession', result.sessionToken)
+    })
+
+    socket.emit('connectToSpdz', '')
+  })
+
+  it('Can resume a session from a new web socket and receive buffered messages', done => {
+    mockSpdzEngine.setupConnection.mockImplementationOnce(() =>
+      Promise.resolve()
+    )
+    let resumedSocket
+
+    socket.on('connectToSpdz_result', result => {
+      const clientId = mockSpdzEngine.setupConnection.mock.calls[0][0]
+      // Network interruption, client reconnects with a new web socket.
+      socket.disconnect()
+      resumedSocket = IoClient('http://localhost:8099/spdzapi', {
+        path: '/spdz/socket.io',
+        reconnection: false
+      })
+      mockSpdzEngine.checkConnection
+        .mockReturnValueOnce(true)
+        .mockReturnValueOnce(true)
+      mockSpdzEngine.getServerTransmission
+        .mockReturnValueOnce(Buffer.from('0102', 'hex'))
+        .mockReturnValueOnce(null)
+
+      resumedSocket.on('resumeSession_result', resumeResult => {
+        try {
+          expect(resumeResult).toEqual({ status: 0, connected: true })
+        } catch (err) {
+          resumedSocket.disconnect()
+          done.fail(err)
+        }
+      })
+      resumedSocket.on('spdz_message', message => {
+        try {
+          expect(Buffer.from(message)).toEqual(Buffer.from('0102', 'hex'))
+          expect(mockSpdzEngine.getServerTransmission).toHaveBeenCalledWith(
+            clientId
+          )
+          expect(mockSpdzEngine.closeConnection).not.toHaveBeenCalledWith(
+            clientId
+          )
+          resumedSocket.disconnect()
+          done()
+        } catch (err) {
+          resumedSocket.disconnect()
+          done.fail(err)
+        }
+      })
+      resumedSocket.once('connect', () => {
+        resumedSocket.emit('resumeSession', result.sessionToken)
+      })
+    })
+
+    socket.emit('connectToSpdz', '')
+  })
+
+  it('Pushes numbered spdz_message events with reliable delivery until acknowledged', done => {
+    let messageCallback
+    mockSpdzEngine.setupConnection.mockImplementationOnce(
+      (clientId, clientPublicKey, spdzMessageCallBack) => {
+        messageCallback = spdzMessageCallBack
+        return Promise.resolve()
+      }
+    )
+
+    socket.on('connectToSpdz_result', result => {
+      expect(result.status).toEqual(0)
+      mockSpdzEngine.getServerTransmissionsFrom.mockReturnValueOnce([
+        { seq: 1, data: Buffer.from('01', 'hex') }
+      ])
+      messageCallback()
+    })
+    socket.on('spdz_message', (message, seq) => {
+      if (seq === 1) {
+        expect(Buffer.from(message)).toEqual(Buffer.from('01', 'hex'))
+        mockSpdzEngine.acknowledgeServerTransmissions.mockReturnValueOnce(1)
+        socket.emit('acknowledgeMessages', seq)
+      }
+    })
+    socket.on('acknowledgeMessages_result', result => {
+      try {
+        const clientId = mockSpdzEngine.setupConnection.mock.calls[0][0]
+        expect(result).toEqual({ status: 0, acknowledged: 1 })
+        expect(mockSpdzEngine.getServerTransmissionsFrom).toHaveBeenCalledWith(
+          clientId,
+          1
+        )
+        expect(
+          mockSpdzEngine.acknowledgeServerTransmissions
+        ).toHaveBeenCalledWith(clientId, 1)
+        mockSpdzEngine.getServerTransmissionsFrom.mockReturnValueOnce([
+          { seq: 2, data: Buffer.from('02', 'hex') }
+        ])
+        socket.emit('replayFrom', 2)
+      } catch (err) {
+        done.fail(err)
+      }
+    })
+    socket.on('replayFrom_result', result => {
+      try {
+        const clientId = mockSpdzEngine.setupConnection.mock.calls[0][0]
+        expect(result).toEqual({ status: 0 })
+        expect(
+          mockSpdzEngine.getServerTransmissionsFrom
+        ).toHaveBeenLastCalledWith(clientId, 2)
+        done()
+      } catch (err) {
+        done.fail(err)
+      }
+    })
+
+    socket.emit('connectToSpdz', '', { reliable: true })
+  })
+
+  it('Refuses acknowledgements and replays without reliable delivery', done => {
+    socket.on('replayFrom_result', result => {
+      try {
+        expect(result).toEqual({
+          status: 1,
+          err:
+            'Messages are only numbered for SPDZ connections made with { reliable: true }.'
+        })
+        expect(
+          mockSpdzEngine.acknowledgeServerTransmissions
+        ).not.toHaveBeenCalled()
+        done()
+      } catch (err) {
+        done.fail(err)
+      }
+    })
+
+    socket.emit('replayFrom', 1)
+  })
+
+  it('Sends copies of SPDZ output to observers of a client', done => {
+    let messageCallback
+    let closedCallback
+    mockSpdzEngine.setupConnection.mockImplementationOnce(
+      (clientId, clientPublicKey, spdzMessageCallBack, notifyClosed) => {
+        messageCallback = spdzMessageCallBack
+        closedCallback = notifyClosed
+        return Promise.resolve()
+      }
+    )
+    const observer = IoClient('http://localhost:8099/spdzapi', {
+      path: '/spdz/socket.io',
+      reconnection: false
+    })
+    const finish = err => {
+      observer.disconnect()
+      err === undefined ? done() : done.fail(err)
+    }
+
+    socket.on('connectToSpdz_result', () => {
+      socket.emit('createObserverToken')
+    })
+    socket.on('createObserverToken_result', result => {
+      expect(result.status).toEqual(0)
+      mockSpdzEngine.checkConnection.mockReturnValueOnce(true)
+      observer.emit('observeSpdz', result.observerToken)
+    })
+    observer.on('observeSpdz_result', result => {
+      try {
+        expect(result).toEqual({ status: 0, connected: true })
+        mockSpdzEngine.getServerTransmission.mockReturnValueOnce(
+          Buffer.from('0102', 'hex')
+        )
+        messageCallback()
+      } catch (err) {
+        finish(err)
+      }
+    })
+    observer.on('spdz_message', message => {
+      try {
+        expect(Buffer.from(message)).toEqual(Buffer.from('0102', 'hex'))
+        closedCallback('No client activity for 100 ms.')
+      } catch (err) {
+        finish(err)
+      }
+    })
+    observer.on('spdz_socketDisconnected', result => {
+      try {
+        expect(result).toEqual({
+          status: 0,
+          reason: 'No client activity for 100 ms.'
+        })
+        finish()
+      } catch (err) {
+        finish(err)
+      }
+    })
+
+    observer.once('connect', () => {
+      socket.emit('connectToSpdz', '')
+    })
+  })
+
+  it('Will not observe with an unknown observer token', done => {
+    socket.on('observeSpdz_result', result => {
+      try {
+        expect(result).toEqual({
+          status: 1,
+          err:
+            'Unable to observe, the observer token is unknown or the SPDZ connection has been closed.'
+        })
+        done()
+      } catch (err) {
+        done.fail(err)
+      }
+    })
+
+    socket.emit('observeSpdz', 'abcdef')
+  })
+
+  it('Will not resume a session with an unknown token', done => {
+    socket.on('resumeSession_result', result => {
+      try {
+        expect(result.status).toEqual(1)
+        expect(result.err).toEqual(
+          'Unable to resume session, the session token is unknown or has expired.'
+        )
+        done()
+      } catch (err) {
+        done.fail(err)
+      }
+    })
+
+    socket.emit('resumeSession', 'abcdef')
+  })
+
   it('Can respond to an unsuccessful connectToSpdz event', done => {
     mockSpdzEngine.setupConnection.mockImplementationOnce(() =>
       Promise.reject(new Error('Testing rejection'))
@@ -104,6 +591,7 @@ describe('Web socket interface', () => {
     socket.on('disconnectFromSpdz_result', result => {
       try {
         expect(result.status).toEqual(0)
+        expect(result.mode).toEqual('immediate')
         done()
       } catch (err) {
         done.fail(err)
@@ -113,6 +601,125 @@ describe('Web socket interface', () => {
     socket.emit('disconnectFromSpdz')
   })
 
+  it('Can respond to a graceful disconnectFromSpdz event', done => {
+    mockSpdzEngine.closeConnectionGracefully.mockImplementationOnce(() =>
+      Promise.resolve({ closed: true, mode: 'forced' })
+    )
+
+    socket.on('disconnectFromSpdz_result', result => {
+      try {
+        expect(result).toEqual({ status: 0, mode: 'forced' })
+        expect(mockSpdzEngine.closeConnectionGracefully).toHaveBeenCalledWith(
+          socket.id,
+          { waitForOutput: true, timeoutMs: 100 }
+        )
+        done()
+      } catch (err) {
+        done.fail(err)
+      }
+    })
+
+    socket.emit('disconnectFromSpdz', {
+      graceful: true,
+      waitForOutput: true,
+      timeoutMs: 100
+    })
+  })
+
+  it('Can respond to a getSpdzConnection event for a client id connected with REST', done => {
+    mockSpdzEngine.getConnectionStatus.mockImplementationOnce(() => ({
+      state: 'queued',
+      queuePosition: 2
+    }))
+
+    socket.on('getSpdzConnection_result', result => {
+      try {
+        expect(result).toEqual({ status: 0, state: 'queued', queuePosition: 2 })
+        expect(mockSpdzEngine.getConnectionStatus).toHaveBeenCalledWith('123')
+        done()
+      } catch (err) {
+        done.fail(err)
+      }
+    })
+
+    socket.emit('getSpdzConnection', 123)
+  })
+
+  it('Can respond to a getSpdzConnection event for an unknown client id', done => {
+    mockSpdzEngine.getConnectionStatus.mockImplementationOnce(() => ({
+      state: 'none',
+      queuePosition: 0
+    }))
+
+    socket.on('getSpdzConnection_result', result => {
+      try {
+        expect(result).toEqual({
+          status: 1,
+          err: 'No connection found for client id 999.'
+        })
+        done()
+      } catch (err) {
+        done.fail(err)
+      }
+    })
+
+    socket.emit('getSpdzConnection', '999')
+  })
+
+  it('Refuses a getSpdzConnection event without a client id', done => {
+    socket.on('getSpdzConnection_result', result => {
+      try {
+        expect(result).toEqual({ status: 1, err: 'A client id is required.' })
+        expect(mockSpdzEngine.getConnectionStatus).not.toHaveBeenCalled()
+        done()
+      } catch (err) {
+        done.fail(err)
+      }
+    })
+
+    socket.emit('getSpdzConnection', {})
+  })
+
+  it('Can respond to a closeSpdzConnection event for a client id connected with REST', done => {
+    mockSpdzEngine.closeConnectionGracefully.mockImplementationOnce(() =>
+      Promise.resolve({ closed: true, mode: 'graceful' })
+    )
+
+    socket.on('closeSpdzConnection_result', result => {
+      try {
+        expect(result).toEqual({ status: 0, mode: 'graceful' })
+        expect(mockSpdzEngine.closeConnectionGracefully).toHaveBeenCalledWith(
+          '123',
+          { waitForOutput: false, timeoutMs: 50 }
+        )
+        done()
+      } catch (err) {
+        done.fail(err)
+      }
+    })
+
+    socket.emit('closeSpdzConnection', '123', { graceful: true, timeoutMs: 50 })
+  })
+
+  it('Can respond to a closeSpdzConnection event for an unknown client id', done => {
+    mockSpdzEngine.closeConnection.mockImplementationOnce(() => false)
+
+    socket.on('closeSpdzConnection_result', result => {
+      try {
+        expect(result).toEqual({
+          status: 1,
+          err: 'No connection found for client id 999.'
+        })
+        expect(mockSpdzEngine.closeConnection).toHaveBeenCalledWith('999')
+        done()
+      } catch (err) {
+        done.fail(err)
+      }
+    })
+
+    socket.emit('closeSpdzConnection', '999')
+  })
+
   it('Can respond to a successful sendData event of modp integers', done => {
     mockSpdzEngine.sendBigIntegers.mockImplementationOnce(() => true)
 
@@ -143,6 +750,47 @@ describe('Web socket interface', () => {
     socket.emit('sendData', 'int32', [123, 456])
   })
 
+  it('Can respond to a successful sendData event of int64 integers', done => {
+    mockSpdzEngine.sendIntegers.mockImplementationOnce(() => true)
+
+    socket.on('sendData_result', result => {
+      try {
+        expect(result.status).toEqual(0)
+        expect(mockSpdzEngine.sendIntegers.mock.calls[0][1]).toEqual([
+          123,
+          '9007199254740993'
+        ])
+        expect(mockSpdzEngine.sendIntegers.mock.calls[0][2]).toEqual('int64')
+        done()
+      } catch (err) {
+        done.fail(err)
+      }
+    })
+
+    socket.emit('sendData', 'int64', [123, '9007199254740993'])
+  })
+
+  it('Can respond to a successful sendData event with a binary attachment', done => {
+    const binaryData = Buffer.from('0000000100000002', 'hex')
+    mockSpdzEngine.sendBinary.mockImplementationOnce(() => true)
+
+    socket.on('sendData_result', result => {
+      try {
+        expect(result.status).toEqual(0)
+        expect(mockSpdzEngine.sendBinary).toHaveBeenCalledTimes(1)
+        expect(mockSpdzEngine.sendBinary.mock.calls[0][1]).toEqual('int32')
+        expect(mockSpdzEngine.sendBinary.mock.calls[0][2]).toEqual(binaryData)
+        expect(mockSpdzEngine.sendBinary.mock.calls[0][3]).toEqual('big')
+        expect(mockSpdzEngine.sendIntegers).not.toBeCalled()
+        done()
+      } catch (err) {
+        done.fail(err)
+      }
+    })
+
+    socket.emit('sendData', 'int32', binaryData, { byteOrder: 'big' })
+  })
+
   it('Can respond to an unsuccessful sendData event, sfloat and not an array', done => {
     socket.on('sendData_result', result => {
       try {
@@ -174,4 +822,232 @@ describe('Web socket interface', () => {
 
     socket.emit('sendData', 'modp', ['a12b', 'erf='])
   })
+
+  it('Can respond to an unsuccessful sendData event, SPDZ not reading input', done => {
+    mockSpdzEngine.sendIntegers.mockImplementationOnce(() =>
+      Promise.reject(
+        new Error(
+          'SPDZ engine is not reading input, 1024 bytes are waiting to be sent. Try again later.'
+        )
+      )
+    )
+
+    socket.on('sendData_result', result => {
+      try {
+        expect(result.status).toEqual(1)
+        expect(result.err).toEqual(
+          'Unable to send data (int32) to SPDZ engine. SPDZ engine is not reading input, 1024 bytes are waiting to be sent. Try again later.'
+        )
+        done()
+      } catch (err) {
+        done.fail(err)
+      }
+    })
+
+    socket.emit('sendData', 'int32', [123, 456])
+  })
+
+  it('Can respond to a getQueueDepth event', done => {
+    mockSpdzEngine.getQueueDepth.mockImplementationOnce(() => {
+      return {
+        queuedBytes: 32,
+        queuedWrites: 2,
+        highWaterMark: 1024,
+        paused: false
+      }
+    })
+
+    socket.on('getQueueDepth_result', result => {
+      try {
+        expect(result).toEqual({
+          status: 0,
+          queuedBytes: 32,
+          queuedWrites: 2,
+          highWaterMark: 1024,
+          paused: false
+        })
+        done()
+      } catch (err) {
+        done.fail(err)
+      }
+    })
+
+    socket.emit('getQueueDepth')
+  })
+
+  it('Can respond to a successful sendData event of field elements', done => {
+    mockSpdzEngine.sendFieldElements.mockImplementationOnce(() => true)
+
+    socket.on('sendData_result', result => {
+      try {
+        expect(result.status).toEqual(0)
+        expect(mockSpdzEngine.sendFieldElements.mock.calls[0][1]).toEqual([
+          '1234567890123456789012345',
+          '0x1f'
+        ])
+        done()
+      } catch (err) {
+        done.fail(err)
+      }
+    })
+
+    socket.emit('sendData', 'gfp', ['1234567890123456789012345', '0x1f'])
+  })
+
+  it('Can respond to a successful sendData event of fixed point numbers', done => {
+    mockSpdzEngine.sendFixedPoint.mockImplementationOnce(() => true)
+
+    socket.on('sendData_result', result => {
+      try {
+        expect(result.status).toEqual(0)
+        expect(mockSpdzEngine.sendFixedPoint.mock.calls[0][1]).toEqual([
+          1.5,
+          '-0.25'
+        ])
+        expect(mockSpdzEngine.sendFixedPoint.mock.calls[0][2]).toEqual({
+          f: 16,
+          k: 32
+        })
+        done()
+      } catch (err) {
+        done.fail(err)
+      }
+    })
+
+    socket.emit('sendData', 'fix', [1.5, '-0.25'], { f: 16, k: 32 })
+  })
+
+  it('Can respond to an unsuccessful sendData event, fixed point conversion error', done => {
+    mockSpdzEngine.sendFixedPoint.mockImplementationOnce(() => {
+      throw new Error('Fixed point value 1e9 overflows the range.')
+    })
+
+    socket.on('sendData_result', result => {
+      try {
+        expect(result.status).toEqual(1)
+        expect(result.err).toEqual(
+          'Unable to convert data (fix) to send to SPDZ engine. Fixed point value 1e9 overflows the range.'
+        )
+        done()
+      } catch (err) {
+        done.fail(err)
+      }
+    })
+
+    socket.emit('sendData', 'fix', ['1e9'])
+  })
+
+  it('Can respond to a successful sendStructured event', done => {
+    const segments = [
+      { type: 'int32', values: [2] },
+      { type: 'modp', values: ['a12b', 'erf='] }
+    ]
+    mockSpdzEngine.sendStructured.mockImplementationOnce(() => true)
+
+    socket.on('sendStructured_result', result => {
+      try {
+        expect(result.status).toEqual(0)
+        expect(mockSpdzEngine.sendStructured.mock.calls[0][1]).toEqual(segments)
+        expect(mockSpdzEngine.sendStructured.mock.calls[0][2]).toBe(true)
+        done()
+      } catch (err) {
+        done.fail(err)
+      }
+    })
+
+    socket.emit('sendStructured', segments, { framePerSegment: true })
+  })
+
+  it('Can respond to an unsuccessful sendStructured event, invalid segment', done => {
+    mockSpdzEngine.sendStructured.mockImplementationOnce(() => {
+      throw new Error('Segment 0 must contain a known data type.')
+    })
+
+    socket.on('sendStructured_result', result => {
+      try {
+        expect(result.status).toEqual(1)
+        expect(result.err).toEqual(
+          'Unable to process sendStructured request. Segment 0 must contain a known data type.'
+        )
+        done()
+      } catch (err) {
+        done.fail(err)
+      }
+    })
+
+    socket.emit('sendStructured', [{ type: 'sfloat', values: [1] }])
+  })
+
+  it('Answers an event with an acknowledgement callback as well as the result event', done => {
+    mockSpdzEngine.checkConnection.mockImplementationOnce(() => true)
+    let resultEvent
+
+    socket.on('isSpdzConnected_result', result => {
+      resultEvent = result
+    })
+
+    socket.emit('isSpdzConnected', result => {
+      try {
+        expect(result).toEqual({ status: 0 })
+        expect(resultEvent).toEqual({ status: 0 })
+        done()
+      } catch (err) {
+        done.fail(err)
+      }
+    })
+  })
+
+  it('Echoes request ids so concurrent sendData results can be told apart', done => {
+    let finishFirstSend
+    mockSpdzEngine.sendIntegers
+      .mockImplementationOnce(
+        () =>
+          new Promise(resolve => {
+            finishFirstSend = resolve
+          })
+      )
+      .mockImplementationOnce(() => Promise.resolve(false))
+    const results = []
+
+    socket.on('sendData_result', result => {
+      results.push(result)
+      if (results.length === 1) {
+        finishFirstSend(true)
+      }
+    })
+
+    socket.emit('sendData', 'int32', [1], { requestId: 'first' }, result => {
+      try {
+        expect(result).toEqual({ status: 0, requestId: 'first' })
+        expect(results).toEqual([
+          {
+            status: 1,
+            err: 'Unable to send data (int32) to SPDZ engine.',
+            requestId: 'second'
+          },
+          { status: 0, requestId: 'first' }
+        ])
+        done()
+      } catch (err) {
+        done.fail(err)
+      }
+    })
+    socket.emit('sendData', 'int32', [2], { requestId: 'second' })
+  })
+
+  it('Accepts a request id after the parameters of an event', done => {
+    socket.emit('replayFrom', 1, { requestId: 42 }, result => {
+      try {
+        expect(result).toEqual({
+          status: 1,
+          err:
+            'Messages are only numbered for SPDZ connections made with { reliable: true }.',
+          requestId: 42
+        })
+        done()
+      } catch (err) {
+        done.fail(err)
+      }
+    })
+  })
 })
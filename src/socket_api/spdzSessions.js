@@ -0,0 +1,168 @@
+/**
+ * Track resumable sessions, each binding a SPDZ connection (by engine client id) to the web socket
+ * currently using it. A session outlives its web socket for a grace period, so a client whose web
+ * socket reconnects with a new id can rebind to the SPDZ connection with the session token.
+ */
+'use strict'
+
+const crypto = require('crypto')
+
+// Default time to keep a SPDZ connection open after the web socket disconnects.
+const DEFAULT_GRACE_MS = 30000
+
+class SpdzSessions {
+  /**
+   * @param {Number} [graceMs] time in ms a session is kept after its web socket disconnects.
+   */
+  constructor(graceMs = DEFAULT_GRACE_MS) {
+    this.graceMs = graceMs
+    // Map of session tokens to {token, clientId, socket, expiryTimer, observerToken, observers}.
+    this.sessionsByToken = {}
+    // Map of web socket ids to session tokens.
+    this.tokensBySocket = {}
+    // Map of observer tokens to sessions.
+    this.sessionsByObserverToken = {}
+    // Map of observing web socket ids to the observed session.
+    this.observedBySocket = {}
+  }
+
+  /**
+   * Create a session for a SPDZ connection, bound to the web socket.
+   * Replaces any existing session for the web socket.
+   * @param {String} clientId engine client id of the SPDZ connection.
+   * @param {socket.io socket} socket
+   * @returns {Object} session {token, clientId, socket, observers : map of web socket ids to observing web sockets}
+   */
+  create(clientId, socket) {
+    this.remove(this.tokensBySocket[socket.id])
+    const session = {
+      token: crypto.randomBytes(16).toString('hex'),
+      clientId: clientId,
+      socket: socket,
+      expiryTimer: undefined,
+      observerToken: undefined,
+      observers: {}
+    }
+    this.sessionsByToken[session.token] = session
+    this.tokensBySocket[socket.id] = session.token
+    return session
+  }
+
+  /**
+   * @returns {Object} session bound to the web socket, or undefined.
+   */
+  forSocket(socket) {
+    const token = this.tokensBySocket[socket.id]
+    return token !== undefined ? this.sessionsByToken[token] : undefined
+  }
+
+  /**
+   * Rebind a session to a new web socket, cancelling any pending expiry.
+   * @param {String} token session token returned when the session was created.
+   * @param {socket.io socket} socket
+   * @param {Function} [onTakeOver] optional, called before rebinding with the web socket the session is bound to,
+   *        if that web socket is another one which is still connected.
+   * @returns {Object} session, or undefined if the token is unknown or has expired.
+   */
+  resume(token, socket, onTakeOver) {
+    const session =
+      typeof token === 'string' && this.sessionsByToken.hasOwnProperty(token)
+        ? this.sessionsByToken[token]
+        : undefined
+    if (session !== undefined) {
+      if (
+        onTakeOver !== undefined &&
+        session.socket !== socket &&
+        session.socket.connected
+      ) {
+        onTakeOver(session.socket)
+      }
+      clearTimeout(session.expiryTimer)
+      session.expiryTimer = undefined
+      delete this.tokensBySocket[session.socket.id]
+      session.socket = socket
+      this.tokensBySocket[socket.id] = token
+    }
+    return session
+  }
+
+  /**
+   * Web socket has gone, keep the session for the grace period then remove it.
+   * @param {socket.io socket} socket
+   * @param {Function} onExpiry called with the session if it is not resumed in time.
+   */
+  release(socket, onExpiry) {
+    const session = this.forSocket(socket)
+    if (session !== undefined) {
+      delete this.tokensBySocket[socket.id]
+      session.expiryTimer = setTimeout(() => {
+        this.remove(session.token)
+        onExpiry(session)
+      }, this.graceMs)
+    }
+  }
+
+  /**
+   * Get the token other web sockets use to observe the session, created on first use.
+   * @param {Object} session
+   * @returns {String} observer token.
+   */
+  observerTokenFor(session) {
+    if (session.observerToken === undefined) {
+      session.observerToken = crypto.randomBytes(16).toString('hex')
+      this.sessionsByObserverToken[session.observerToken] = session
+    }
+    return session.observerToken
+  }
+
+  /**
+   * Add a web socket as an observer of a session, replacing any session it already observes.
+   * @param {String} observerToken token returned by observerTokenFor.
+   * @param {socket.io socket} socket
+   * @returns {Object} session, or undefined if the token is unknown or the session has been removed.
+   */
+  observe(observerToken, socket) {
+    const session =
+      typeof observerToken === 'string' &&
+      this.sessionsByObserverToken.hasOwnProperty(observerToken)
+        ? this.sessionsByObserverToken[observerToken]
+        : undefined
+    if (session !== undefined) {
+      this.stopObserving(socket)
+      session.observers[socket.id] = socket
+      this.observedBySocket[socket.id] = session
+    }
+    return session
+  }
+
+  /**
+   * Stop a web socket observing, e.g. when it disconnects.
+   * @param {socket.io socket} socket
+   */
+  stopObserving(socket) {
+    const session = this.observedBySocket[socket.id]
+    if (session !== undefined) {
+      delete session.observers[socket.id]
+      delete this.observedBySocket[socket.id]
+    }
+  }
+
+  /**
+   * Remove a session immediately. Existing observers are kept, so they are notified when the SPDZ
+   * connection closes, but no new observers can join.
+   * @param {String} token
+   */
+  remove(token) {
+    const session = this.sessionsByToken[token]
+    if (session !== undefined) {
+      clearTimeout(session.expiryTimer)
+      delete this.sessionsByObserverToken[session.observerToken]
+      if (this.tokensBySocket[session.socket.id] === token) {
+        delete this.tokensBySocket[session.socket.id]
+      }
+      delete this.sessionsByToken[token]
+    }
+  }
+}
+
+module.exports = SpdzSessions
@@ -0,0 +1,126 @@
+'use strict'
+
+const SpdzSessions = require('./spdzSessions')
+
+jest.useFakeTimers()
+
+describe('Track resumable SPDZ sessions', () => {
+  it('creates a session bound to a web socket with a random token', () => {
+    const sessions = new SpdzSessions(1000)
+    const session = sessions.create('socket1', { id: 'socket1' })
+
+    expect(session.token).toMatch(/^[0-9a-f]{32}$/)
+    expect(session.clientId).toEqual('socket1')
+    expect(sessions.forSocket({ id: 'socket1' })).toBe(session)
+    expect(sessions.forSocket({ id: 'socket2' })).toBeUndefined()
+    expect(sessions.create('socket2', { id: 'socket2' }).token).not.toEqual(
+      session.token
+    )
+  })
+
+  it('resumes a released session from a new web socket within the grace period', () => {
+    const sessions = new SpdzSessions(1000)
+    const onExpiry = jest.fn()
+    const session = sessions.create('socket1', { id: 'socket1' })
+
+    sessions.release({ id: 'socket1' }, onExpiry)
+    expect(sessions.forSocket({ id: 'socket1' })).toBeUndefined()
+    jest.runTimersToTime(999)
+
+    const newSocket = { id: 'socket2' }
+    expect(sessions.resume(session.token, newSocket)).toBe(session)
+    expect(session.socket).toBe(newSocket)
+    expect(session.clientId).toEqual('socket1')
+    expect(sessions.forSocket(newSocket)).toBe(session)
+
+    jest.runTimersToTime(2000)
+    expect(onExpiry).not.toHaveBeenCalled()
+  })
+
+  it('expires a released session after the grace period', () => {
+    const sessions = new SpdzSessions(1000)
+    const onExpiry = jest.fn()
+    const session = sessions.create('socket1', { id: 'socket1' })
+
+    sessions.release({ id: 'socket1' }, onExpiry)
+    jest.runTimersToTime(1000)
+
+    expect(onExpiry).toHaveBeenCalledWith(session)
+    expect(sessions.resume(session.token, { id: 'socket2' })).toBeUndefined()
+  })
+
+  it('tells a still connected web socket that its session has been taken over', () => {
+    const sessions = new SpdzSessions(1000)
+    const onTakeOver = jest.fn()
+    const firstSocket = { id: 'socket1', connected: true }
+    const session = sessions.create('socket1', firstSocket)
+
+    const newSocket = { id: 'socket2', connected: true }
+    expect(sessions.resume(session.token, newSocket, onTakeOver)).toBe(session)
+    expect(onTakeOver).toHaveBeenCalledWith(firstSocket)
+    expect(sessions.forSocket(firstSocket)).toBeUndefined()
+
+    // Resuming again from the same web socket, or after the web socket disconnected, is not a take over.
+    sessions.resume(session.token, newSocket, onTakeOver)
+    newSocket.connected = false
+    sessions.resume(session.token, { id: 'socket3' }, onTakeOver)
+    expect(onTakeOver).toHaveBeenCalledTimes(1)
+  })
+
+  it('will not resume an unknown or removed session', () => {
+    const sessions = new SpdzSessions(1000)
+    const session = sessions.create('socket1', { id: 'socket1' })
+    sessions.remove(session.token)
+
+    expect(sessions.resume(session.token, { id: 'socket2' })).toBeUndefined()
+    expect(sessions.resume('toString', { id: 'socket2' })).toBeUndefined()
+    expect(sessions.resume(undefined, { id: 'socket2' })).toBeUndefined()
+    expect(sessions.forSocket({ id: 'socket1' })).toBeUndefined()
+  })
+
+  it('replaces an existing session when the web socket creates a new one', () => {
+    const sessions = new SpdzSessions(1000)
+    const socket = { id: 'socket1' }
+    const firstSession = sessions.create('socket1', socket)
+    const secondSession = sessions.create('socket1', socket)
+
+    expect(sessions.forSocket(socket)).toBe(secondSession)
+    expect(sessions.resume(firstSession.token, socket)).toBeUndefined()
+  })
+
+  it('adds observers of a session with its observer token', () => {
+    const sessions = new SpdzSessions(1000)
+    const session = sessions.create('socket1', { id: 'socket1' })
+    const observerToken = sessions.observerTokenFor(session)
+    const otherSession = sessions.create('socket2', { id: 'socket2' })
+    const observer = { id: 'observer1' }
+
+    expect(observerToken).toMatch(/^[0-9a-f]{32}$/)
+    expect(observerToken).not.toEqual(session.token)
+    expect(sessions.observerTokenFor(session)).toEqual(observerToken)
+    expect(sessions.observe(observerToken, observer)).toBe(session)
+    expect(session.observers).toEqual({ observer1: observer })
+
+    // Observing another session replaces the first.
+    sessions.observe(sessions.observerTokenFor(otherSession), observer)
+    expect(session.observers).toEqual({})
+    expect(otherSession.observers).toEqual({ observer1: observer })
+
+    sessions.stopObserving(observer)
+    expect(otherSession.observers).toEqual({})
+  })
+
+  it('will not add observers with an unknown token or to a removed session', () => {
+    const sessions = new SpdzSessions(1000)
+    const session = sessions.create('socket1', { id: 'socket1' })
+    const observerToken = sessions.observerTokenFor(session)
+    sessions.observe(observerToken, { id: 'observer1' })
+    sessions.remove(session.token)
+
+    expect(sessions.observe(observerToken, { id: 'observer2' })).toBeUndefined()
+    expect(sessions.observe(session.token, { id: 'observer2' })).toBeUndefined()
+    expect(sessions.observe(undefined, { id: 'observer2' })).toBeUndefined()
+    // Existing observers are kept to be told when the SPDZ connection closes.
+    expect(Object.keys(session.observers)).toEqual(['observer1'])
+  })
+})
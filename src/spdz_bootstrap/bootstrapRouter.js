@@ -0,0 +1,204 @@
+/**
+ * REST resources to manage bootstrapping a SPDZ process, for deployments using the REST interface.
+ * Each start request creates a run resource, which clients poll for the outcome of the scripts.
+ */
+'use strict'
+
+const express = require('express')
+const cors = require('cors')
+const bodyParser = require('body-parser')
+const HttpStatus = require('http-status-codes')
+const logger = require('../support/logging')
+const {
+  corsOptions,
+  notFoundHandler,
+  errorHandler
+} = require('../support/restHandlers')
+const runSPDZFunction = require('./runSpdzFunction')
+const openApiDocument = require('../rest_api/openapi')
+const createRequestValidator = require('../rest_api/validateRequest')
+
+// Most finished runs kept for clients to read, the oldest are forgotten first.
+const MAX_FINISHED_RUNS = 20
+
+// Check requests against the OpenAPI document, see validateRequest.
+const validateRequest = createRequestValidator(openApiDocument)
+
+/**
+ * Client view of a run.
+ */
+const runResource = run => ({
+  id: run.id,
+  spdzProgram: run.spdzProgram,
+  forceStop: run.forceStop,
+  status: run.status,
+  output: run.output,
+  err: run.err,
+  startedAt: run.startedAt,
+  finishedAt: run.finishedAt
+})
+
+/**
+ * Create the REST routes to start SPDZ programs.
+ * @param {String} startScript full path name of script to start a SPDZ program.
+ * @param {String} stopScript full path name of script to stop a running SPDZ program.
+ * @param {String} playerId passed to the scripts.
+ * @returns {express.Router}
+ */
+const bootstrapRouter = (startScript, stopScript, playerId) => {
+  const router = express.Router()
+
+  /**
+   * Hold map of run ids to runs, {id, spdzProgram, forceStop, status, output, err, startedAt, finishedAt}.
+   */
+  const runs = new Map()
+  // Ids (as map keys) of finished runs in the order they finished.
+  let finishedRunIds = []
+  let highestRunId = 0
+
+  const isRunning = () =>
+    Array.from(runs.values()).some(run => run.status === 'running')
+
+  const finishRun = (run, err) => {
+    run.status = err === undefined ? 'succeeded' : 'failed'
+    run.err = err !== undefined ? err.message : undefined
+    run.finishedAt = new Date().toISOString()
+    logger.info(`SPDZ bootstrap run ${run.id} ${run.status}.`)
+    finishedRunIds.push(String(run.id))
+    if (finishedRunIds.length > MAX_FINISHED_RUNS) {
+      runs.delete(finishedRunIds.shift())
+    }
+  }
+
+  router.use(cors(corsOptions))
+  router.use(bodyParser.json())
+
+  // Check requests against the OpenAPI document before the route handlers, invalid requests get a 400 response.
+  router.post('/runs', validateRequest('/runs', 'post'))
+  router.get('/runs/:id', validateRequest('/runs/{id}', 'get'))
+
+  /**
+   * @description POST /spdzstart/runs. Run a predefined script to stop a running Spdz process and start a new one, as for startSpdz.
+   * Responds once the run has started, poll the run resource in the Location header for the outcome.
+   * Only one run at a time is allowed.
+   * @alias restStartSpdz
+   * @param {String} spdzProgram The precompiled spdz program name, passed to the start script.
+   * @param {boolean} [forceStop=true] Optional, if true then indicate to the stop script that a running Spdz process must be stopped.
+   * @return {Object} JSON run resource {id, spdzProgram, forceStop, status : running | succeeded | failed,
+   * output : script stdout and stderr, err : error message if failed, startedAt, finishedAt}
+   * @example Sending the request:
+   *   POST /spdzstart/runs
+   *   Host: my-domain:8080
+   *   Content-Type: 'application/json; charset=utf-8'
+   *
+   *   { "spdzProgram": "my_mpc_program", "forceStop": true }
+   * @example Successful response:
+   *   HTTP/1.1 201 Created
+   *   Location: /spdzstart/runs/1
+   *   Content-Type: application/json; charset=utf-8
+   *
+   *   { "id": 1, "spdzProgram": "my_mpc_program", "forceStop": true, "status": "running", "output": "",
+   *     "startedAt": "2017-11-10T11:12:13.000Z" }
+   * @example Error response:
+   *   HTTP/1.1 400 Bad Request
+   *   {
+   *     status: 400,
+   *     message: Invalid request, body.spdzProgram should match pattern "^[a-zA-Z0-9_]*$".,
+   *     errors: ['body.spdzProgram should match pattern "^[a-zA-Z0-9_]*$"']
+   *   }
+   * @example Error response if a run is in progress:
+   *   HTTP/1.1 409 Conflict
+   *   {
+   *     status: 409,
+   *     message: A SPDZ program is already being started, try again later.
+   *   }
+   * @access public
+   */
+  router.post('/runs', (req, res, next) => {
+    const spdzProgram = req.body.spdzProgram
+    const forceStop = req.body.forceStop !== false
+
+    if (isRunning()) {
+      const err = new Error(
+        'A SPDZ program is already being started, try again later.'
+      )
+      err.status = HttpStatus.CONFLICT
+      return next(err)
+    }
+
+    highestRunId += 1
+    const run = {
+      id: highestRunId,
+      spdzProgram: spdzProgram,
+      forceStop: forceStop,
+      status: 'running',
+      output: '',
+      err: undefined,
+      startedAt: new Date().toISOString(),
+      finishedAt: undefined
+    }
+    runs.set(String(run.id), run)
+    logger.info(`SPDZ bootstrap run ${run.id} starting ${spdzProgram}.`)
+
+    runSPDZFunction(
+      startScript,
+      stopScript,
+      playerId,
+      spdzProgram,
+      forceStop,
+      msg => {
+        run.output += msg
+      }
+    )
+      .then(() => finishRun(run))
+      .catch(err => finishRun(run, err))
+
+    res
+      .status(HttpStatus.CREATED)
+      .location(`${req.baseUrl}/runs/${run.id}`)
+      .json(runResource(run))
+  })
+
+  /**
+   * @description GET /spdzstart/runs/:id. Get the status and script output of a run started with restStartSpdz.
+   * The most recent finished runs are kept.
+   * @alias restGetSpdzRun
+   * @param {String} id  Run id from the Location header returned by restStartSpdz.
+   * @return {Object} JSON run resource, as for restStartSpdz.
+   * @example Sending the request:
+   *   GET /spdzstart/runs/1
+   * @example Successful response:
+   *   HTTP/1.1 200 Ok
+   *   Content-Type: application/json; charset=utf-8
+   *
+   *   { "id": 1, "spdzProgram": "my_mpc_program", "forceStop": true, "status": "succeeded",
+   *     "output": "Stopped SPDZ.\nStarted my_mpc_program.\n",
+   *     "startedAt": "2017-11-10T11:12:13.000Z", "finishedAt": "2017-11-10T11:12:15.000Z" }
+   * @example Error response:
+   *   HTTP/1.1 404 Not Found
+   *   {
+   *     status: 404,
+   *     message: No SPDZ bootstrap run found with id 1.
+   *   }
+   * @access public
+   */
+  router.get('/runs/:id', (req, res, next) => {
+    const run = runs.get(req.params.id)
+    if (run === undefined) {
+      const err = new Error(
+        `No SPDZ bootstrap run found with id ${req.params.id}.`
+      )
+      err.status = HttpStatus.NOT_FOUND
+      return next(err)
+    }
+    res.status(HttpStatus.OK).json(runResource(run))
+  })
+
+  // Must come last to handle 404s (for api only)
+  router.use(notFoundHandler)
+  router.use(errorHandler)
+
+  return router
+}
+
+module.exports = bootstrapRouter
@@ -0,0 +1,179 @@
+/**
+ * Run integration style tests using supertest/superagent to send real http requests into
+ * a running express http server. Running the scripts is mocked.
+ */
+'use strict'
+
+const bootstrapRouter = require('./bootstrapRouter')
+const httptest = require('supertest')
+const HttpStatus = require('http-status-codes')
+const supertestWithJest = require('../support/supertestWithJest')
+const express = require('express')
+const logger = require('../support/logging')
+logger.level = 'error'
+
+jest.mock('./runSpdzFunction')
+const mockRunSpdzFunction = require('./runSpdzFunction')
+
+// Test with one instance of express
+const app = express()
+app.use('/spdzstart', bootstrapRouter('start.sh', 'stop.sh', '1'))
+
+/**
+ * Mock running the scripts, returning functions to write output and finish the run.
+ */
+const mockRun = () => {
+  const run = {}
+  mockRunSpdzFunction.mockImplementationOnce(
+    (startScript, stopScript, playerId, spdzProgram, forceStop, onOutput) => {
+      run.onOutput = onOutput
+      return new Promise((resolve, reject) => {
+        run.resolve = resolve
+        run.reject = reject
+      })
+    }
+  )
+  return run
+}
+
+describe('The SPDZ bootstrap REST api', () => {
+  afterEach(() => {
+    mockRunSpdzFunction.mockReset()
+  })
+
+  it('starts a SPDZ program and reports the outcome of the run', done => {
+    const run = mockRun()
+
+    httptest(app)
+      .post('/spdzstart/runs')
+      .send({ spdzProgram: 'spdz_Func1', forceStop: false })
+      .then(res => {
+        expect(res.status).toEqual(HttpStatus.CREATED)
+        expect(res.header.location).toEqual('/spdzstart/runs/1')
+        expect(res.body).toEqual(
+          expect.objectContaining({
+            id: 1,
+            spdzProgram: 'spdz_Func1',
+            forceStop: false,
+            status: 'running',
+            output: ''
+          })
+        )
+        expect(mockRunSpdzFunction.mock.calls[0].slice(0, 5)).toEqual([
+          'start.sh',
+          'stop.sh',
+          '1',
+          'spdz_Func1',
+          false
+        ])
+        run.onOutput('Started spdz_Func1.\n')
+        run.resolve()
+        return run
+      })
+      .then(() => {
+        httptest(app)
+          .get('/spdzstart/runs/1')
+          .end((err, res) => {
+            supertestWithJest(err, res, done, () => {
+              expect(res.status).toEqual(HttpStatus.OK)
+              expect(res.body.status).toEqual('succeeded')
+              expect(res.body.output).toEqual('Started spdz_Func1.\n')
+              expect(res.body.finishedAt).toBeDefined()
+            })
+          })
+      })
+      .catch(err => done.fail(err))
+  })
+
+  it('allows only one run at a time, reporting a failed run', done => {
+    const run = mockRun()
+
+    httptest(app)
+      .post('/spdzstart/runs')
+      .send({ spdzProgram: 'spdz_Func2' })
+      .then(res => {
+        expect(res.status).toEqual(HttpStatus.CREATED)
+        expect(mockRunSpdzFunction.mock.calls[0][4]).toBe(true)
+        return httptest(app)
+          .post('/spdzstart/runs')
+          .send({ spdzProgram: 'spdz_Func3' })
+      })
+      .then(res => {
+        expect(res.status).toEqual(HttpStatus.CONFLICT)
+        expect(res.body.message).toEqual(
+          'A SPDZ program is already being started, try again later.'
+        )
+        run.reject(new Error('stop.sh: not found'))
+        return run
+      })
+      .then(() => {
+        httptest(app)
+          .get('/spdzstart/runs/2')
+          .end((err, res) => {
+            supertestWithJest(err, res, done, () => {
+              expect(res.status).toEqual(HttpStatus.OK)
+              expect(res.body.status).toEqual('failed')
+              expect(res.body.err).toEqual('stop.sh: not found')
+              expect(mockRunSpdzFunction).toHaveBeenCalledTimes(1)
+            })
+          })
+      })
+      .catch(err => done.fail(err))
+  })
+
+  it('will not start a SPDZ program with an invalid name', done => {
+    httptest(app)
+      .post('/spdzstart/runs')
+      .send({ spdzProgram: 'spdz; rm -rf' })
+      .end((err, res) => {
+        supertestWithJest(err, res, done, () => {
+          expect(res.status).toEqual(HttpStatus.BAD_REQUEST)
+          expect(res.body.errors).toEqual([
+            'body.spdzProgram should match pattern "^[a-zA-Z0-9_]*$"'
+          ])
+          expect(mockRunSpdzFunction).not.toHaveBeenCalled()
+        })
+      })
+  })
+
+  it('will not start a SPDZ program unless forceStop is a boolean', done => {
+    httptest(app)
+      .post('/spdzstart/runs')
+      .send({ spdzProgram: 'spdz_Func1', forceStop: 'false' })
+      .end((err, res) => {
+        supertestWithJest(err, res, done, () => {
+          expect(res.status).toEqual(HttpStatus.BAD_REQUEST)
+          expect(res.body.message).toEqual(
+            'Invalid request, body.forceStop should be boolean.'
+          )
+          expect(mockRunSpdzFunction).not.toHaveBeenCalled()
+        })
+      })
+  })
+
+  it('does not find runs with the names of object properties', done => {
+    httptest(app)
+      .get('/spdzstart/runs/__proto__')
+      .end((err, res) => {
+        supertestWithJest(err, res, done, () => {
+          expect(res.status).toEqual(HttpStatus.NOT_FOUND)
+          expect(res.body.message).toEqual(
+            'No SPDZ bootstrap run found with id __proto__.'
+          )
+        })
+      })
+  })
+
+  it('displays an error for an unknown run', done => {
+    httptest(app)
+      .get('/spdzstart/runs/99')
+      .end((err, res) => {
+        supertestWithJest(err, res, done, () => {
+          expect(res.status).toEqual(HttpStatus.NOT_FOUND)
+          expect(res.body.message).toEqual(
+            'No SPDZ bootstrap run found with id 99.'
+          )
+        })
+      })
+  })
+})
@@ -5,7 +5,9 @@
  * running SPDZ process.
  */
 const logger = require('../support/logging')
+const { onRequest } = require('../support/socketRequests')
 const runSPDZFunction = require('./runSpdzFunction')
+const bootstrapRouter = require('./bootstrapRouter')
 
 /**
  * Setup web socket server to manage boostrap commands
@@ -36,13 +38,18 @@ const setupSpdzBootstrap = (
      * socket.on('startSpdz_result', response => {
      *   console.log(response.status, response.err)
      * })
+     * @example Client code to start a SPDZ process, with an acknowledgement callback:
+     * 
+     * socket.emit('startSpdz', 'my_mpc_program', true, response => {
+     *   console.log(response.status, response.err)
+     * })
      * @access public
      */
-    socket.on('startSpdz', (spdzProgram, forceStop) => {
+    onRequest(socket, 'startSpdz', (request, spdzProgram, forceStop) => {
       runSPDZFunction(startScript, stopScript, playerId, spdzProgram, forceStop)
-        .then(() => socket.emit('startSpdz_result', { status: 0 }))
+        .then(() => request.respond({ status: 0 }))
         .catch(err => {
-          socket.emit('startSpdz_result', { status: 1, err: err.message })
+          request.respond({ status: 1, err: err.message })
         })
     })
 
@@ -53,3 +60,4 @@ const setupSpdzBootstrap = (
 }
 
 module.exports = setupSpdzBootstrap
+module.exports.bootstrapRouter = bootstrapRouter
@@ -7,21 +7,28 @@ const logger = require('../support/logging')
 
 /**
  * Create a promise that resolves when script with params is run.
+ * @param {Function} onOutput optional, called with each chunk of script stdout and stderr.
  * @param {String} script full path name 
  * @param {Array<String>} params to pass to script 
  */
-const runScript = (script, ...params) => {
+const runScript = (onOutput, script, ...params) => {
   return new Promise((resolve, reject) => {
     let errorMessages = []
     const child_process = exec(`${script} ${params.join(' ')}`)
 
     child_process.stdout.on('data', msg => {
       logger.debug(`Script ${script} ${params.join(' ')} stdout msg : ${msg}`)
+      if (onOutput !== undefined) {
+        onOutput(msg)
+      }
     })
 
     child_process.stderr.on('data', msg => {
       logger.debug(`Script ${script} ${params.join(' ')} stderr msg : ${msg}`)
       errorMessages.push(msg)
+      if (onOutput !== undefined) {
+        onOutput(msg)
+      }
     })
 
     child_process.on('close', code => {
@@ -35,6 +42,28 @@ const runScript = (script, ...params) => {
   })
 }
 
+/**
+ * Check a SPDZ program name is safe to pass to the scripts.
+ * @param {String} spdzProgram name of compiled SPDZ program
+ * @returns {Error} describing why the name is not accepted, or null if accepted.
+ */
+const checkProgramName = spdzProgram => {
+  //Sanitise spdzProgram name
+  if (
+    spdzProgram !== undefined &&
+    (typeof spdzProgram === 'string' || spdzProgram instanceof String) &&
+    spdzProgram.length > 0 &&
+    spdzProgram.length < 20
+  ) {
+    if (!/^[a-zA-Z0-9_]*$/.test(spdzProgram)) {
+      return new Error('SPDZ Program name not accepted.')
+    }
+  } else {
+    return new Error('SPDZ Program name must be a string less than 20 chars.')
+  }
+  return null
+}
+
 /**
  * Run file system script to stop a running SPDZ program and start a new one.
  * 
@@ -42,32 +71,24 @@ const runScript = (script, ...params) => {
  *                 to full path names of scripts to run.
  * @param {String} spdzProgram name of compiled SPDZ program 
  * @param {boolean} force_stop If already running force stop the SPDZ program. 
+ * @param {Function} onOutput optional, called with each chunk of output from the scripts.
  */
 const runSPDZFunction = (
   startScript,
   stopScript,
   playerId,
   spdzProgram,
-  force_stop = true
+  force_stop = true,
+  onOutput = undefined
 ) => {
-  //Sanitise spdzProgram name
-  if (
-    spdzProgram !== undefined &&
-    (typeof spdzProgram === 'string' || spdzProgram instanceof String) &&
-    spdzProgram.length > 0 &&
-    spdzProgram.length < 20
-  ) {
-    if (!/^[a-zA-Z0-9_]*$/.test(spdzProgram)) {
-      return Promise.reject(new Error('SPDZ Program name not accepted.'))
-    }
-  } else {
-    return Promise.reject(
-      new Error('SPDZ Program name must be a string less than 20 chars.')
-    )
+  const nameError = checkProgramName(spdzProgram)
+  if (nameError !== null) {
+    return Promise.reject(nameError)
   }
 
-  return runScript(stopScript, playerId, force_stop ? 'Y' : 'N').then(() => {
-    return runScript(startScript, playerId, spdzProgram)
+  const forceStopFlag = force_stop ? 'Y' : 'N'
+  return runScript(onOutput, stopScript, playerId, forceStopFlag).then(() => {
+    return runScript(onOutput, startScript, playerId, spdzProgram)
   })
 }
 
@@ -50,4 +50,13 @@ describe('Start a SPDZ Function', () => {
         done()
       })
   })
+
+  it('passes the output of the scripts to a callback', () => {
+    const output = []
+    return runSPDZFunction('echo', 'echo', playerId, 'spdz_Func1', true, msg =>
+      output.push(msg)
+    ).then(() => {
+      expect(output.join('')).toEqual('1 Y\n1 spdz_Func1\n')
+    })
+  })
 })
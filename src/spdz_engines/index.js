@@ -0,0 +1,154 @@
+/**
+ * Load the named SPDZ engine targets served by one proxy instance, and list them for clients.
+ * Each engine is served by its own spdz interface, REST routes at /spdzapi/<name> and
+ * websocket namespace /spdzapi/<name>. The first engine is also served at /spdzapi.
+ */
+'use strict'
+
+const express = require('express')
+const cors = require('cors')
+const clientIds = require('../support/clientIds')
+
+// Engine names are used in paths and namespaces.
+const ENGINE_NAME_PATTERN = /^[a-zA-Z0-9_-]+$/
+// Name of the path listing the engines, so cannot be used for an engine.
+const ENGINES_PATH_NAME = 'engines'
+// Names which would shadow, or be shadowed by, fixed REST paths under /spdzapi, e.g. /spdzapi/openapi.json.
+const RESERVED_ENGINE_NAMES = [
+  ENGINES_PATH_NAME,
+  'openapi.json',
+  'connect-to-spdz'
+]
+// Name of the engine used if no engines are configured.
+const DEFAULT_ENGINE_NAME = 'default'
+
+const validPort = port => {
+  const portNum = Number(port)
+  return (
+    (typeof port === 'number' || typeof port === 'string') &&
+    String(port).trim() !== '' &&
+    Number.isInteger(portNum) &&
+    portNum > 0 &&
+    portNum < 65536
+  )
+}
+
+/**
+ * Parse the engine targets configuration.
+ * @param {String} config JSON object of engine names to {host, port, ...spdz interface options},
+ *        options given for an engine override the options shared by all engines, e.g.
+ *        {"auction": {"host": "spdz-auction", "port": 14000}, "voting": {"host": "spdz-voting", "port": 14000, "maxConnections": 10}}
+ *        If undefined a single engine named default is used.
+ * @param {String} defaultHost host of the default engine.
+ * @param {String} defaultPort port of the default engine.
+ * @returns {Array} Array<Object> of {name, host, port, options} in configuration order.
+ * @throws {Error} if the configuration is not valid.
+ */
+const loadEngineTargets = (config, defaultHost, defaultPort) => {
+  if (config === undefined || config.trim() === '') {
+    return [
+      {
+        name: DEFAULT_ENGINE_NAME,
+        host: defaultHost,
+        port: defaultPort,
+        options: {}
+      }
+    ]
+  }
+
+  let engines
+  try {
+    engines = JSON.parse(config)
+  } catch (err) {
+    throw new Error(
+      `SPDZ engines configuration is not valid JSON. ${err.message}`
+    )
+  }
+  if (
+    engines === null ||
+    typeof engines !== 'object' ||
+    engines instanceof Array ||
+    Object.keys(engines).length === 0
+  ) {
+    throw new Error(
+      'SPDZ engines configuration must be a non empty object of engine names to {host, port}.'
+    )
+  }
+
+  return Object.keys(engines).map(name => {
+    const target = engines[name]
+    if (
+      !ENGINE_NAME_PATTERN.test(name) ||
+      RESERVED_ENGINE_NAMES.indexOf(name) !== -1
+    ) {
+      throw new Error(
+        `SPDZ engine name ${name} must only contain letters, digits, _ and - and must not be ${RESERVED_ENGINE_NAMES.join(
+          ', '
+        )}.`
+      )
+    }
+    if (clientIds.isGeneratedClientId(name)) {
+      throw new Error(
+        `SPDZ engine name ${name} must not be only digits or start with ws-, these are used for generated client ids.`
+      )
+    }
+    if (
+      target === null ||
+      typeof target !== 'object' ||
+      typeof target.host !== 'string' ||
+      target.host === '' ||
+      !validPort(target.port)
+    ) {
+      throw new Error(`SPDZ engine ${name} must have a host and a port number.`)
+    }
+    const options = Object.assign({}, target)
+    delete options.host
+    delete options.port
+    return {
+      name: name,
+      host: target.host,
+      port: String(target.port),
+      options: options
+    }
+  })
+}
+
+/**
+ * Create the route listing the engines, mounted at /spdzapi/engines for both interfaces.
+ * @param {Array} engineTargets Array<Object> of {name, host, port} as loaded by loadEngineTargets.
+ * @param {String} basePath path the engines are served under.
+ * @returns {express.Router}
+ */
+const enginesRouter = (engineTargets, basePath) => {
+  const router = express.Router()
+  router.use(cors())
+
+  /**
+   * @description GET /spdzapi/engines. List the SPDZ engines served by this proxy.
+   * Use the path of an engine in place of /spdzapi for REST requests, or as the websocket namespace.
+   * The first engine is also served at /spdzapi.
+   * @alias listEngines
+   * @return {Array} engines as JSON, each with the engine name and path.
+   * @example Successful response:
+   *   HTTP/1.1 200 OK
+   *   Content-Type: application/json; charset=utf-8
+   *
+   *   [{"name": "auction", "path": "/spdzapi/auction"}, {"name": "voting", "path": "/spdzapi/voting"}]
+   * @access public
+   */
+  router.get('/', (req, res) => {
+    res.json(
+      engineTargets.map(target => ({
+        name: target.name,
+        path: `${basePath}/${target.name}`
+      }))
+    )
+  })
+  return router
+}
+
+module.exports = {
+  loadEngineTargets: loadEngineTargets,
+  enginesRouter: enginesRouter,
+  ENGINES_PATH_NAME: ENGINES_PATH_NAME
+}
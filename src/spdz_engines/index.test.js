@@ -0,0 +1,104 @@
+'use strict'
+
+const spdzEngines = require('./')
+const httptest = require('supertest')
+const HttpStatus = require('http-status-codes')
+const supertestWithJest = require('../support/supertestWithJest')
+const express = require('express')
+
+describe('Load the SPDZ engines served by the proxy', () => {
+  it('uses a single default engine if none are configured', () => {
+    expect(
+      spdzEngines.loadEngineTargets(undefined, 'localhost', '14000')
+    ).toEqual([
+      { name: 'default', host: 'localhost', port: '14000', options: {} }
+    ])
+  })
+
+  it('loads named engines in configuration order with their own options', () => {
+    const config = JSON.stringify({
+      auction: { host: 'spdz-auction', port: 14000 },
+      voting: { host: 'spdz-voting', port: '14001', maxConnections: 10 }
+    })
+
+    expect(spdzEngines.loadEngineTargets(config, 'localhost', '14000')).toEqual(
+      [
+        { name: 'auction', host: 'spdz-auction', port: '14000', options: {} },
+        {
+          name: 'voting',
+          host: 'spdz-voting',
+          port: '14001',
+          options: { maxConnections: 10 }
+        }
+      ]
+    )
+  })
+
+  it('rejects configuration which is not valid', () => {
+    const load = config => () =>
+      spdzEngines.loadEngineTargets(config, 'localhost', '14000')
+
+    expect(load('{"auction"')).toThrow(
+      /^SPDZ engines configuration is not valid JSON./
+    )
+    expect(load('[]')).toThrow(
+      'SPDZ engines configuration must be a non empty object of engine names to {host, port}.'
+    )
+    expect(load('{}')).toThrow(
+      'SPDZ engines configuration must be a non empty object of engine names to {host, port}.'
+    )
+    expect(load('{"a/b": {"host": "spdz", "port": 14000}}')).toThrow(
+      'SPDZ engine name a/b must only contain letters, digits, _ and - and must not be engines, openapi.json, connect-to-spdz.'
+    )
+    expect(load('{"engines": {"host": "spdz", "port": 14000}}')).toThrow(
+      'SPDZ engine name engines must only contain letters, digits, _ and - and must not be engines, openapi.json, connect-to-spdz.'
+    )
+    expect(
+      load('{"connect-to-spdz": {"host": "spdz", "port": 14000}}')
+    ).toThrow(
+      'SPDZ engine name connect-to-spdz must only contain letters, digits, _ and - and must not be engines, openapi.json, connect-to-spdz.'
+    )
+    // Would clash with /spdzapi/<clientId> for the first engine.
+    expect(load('{"1": {"host": "spdz", "port": 14000}}')).toThrow(
+      'SPDZ engine name 1 must not be only digits or start with ws-, these are used for generated client ids.'
+    )
+    expect(load('{"ws-auction": {"host": "spdz", "port": 14000}}')).toThrow(
+      'SPDZ engine name ws-auction must not be only digits or start with ws-, these are used for generated client ids.'
+    )
+    expect(load('{"auction": {"host": "spdz"}}')).toThrow(
+      'SPDZ engine auction must have a host and a port number.'
+    )
+    expect(load('{"auction": {"host": "spdz", "port": "http"}}')).toThrow(
+      'SPDZ engine auction must have a host and a port number.'
+    )
+    expect(load('{"auction": "spdz:14000"}')).toThrow(
+      'SPDZ engine auction must have a host and a port number.'
+    )
+  })
+
+  it('lists the engines with the path each is served on', done => {
+    const app = express()
+    app.use(
+      '/spdzapi/engines',
+      spdzEngines.enginesRouter(
+        [
+          { name: 'auction', host: 'spdz-auction', port: '14000' },
+          { name: 'voting', host: 'spdz-voting', port: '14001' }
+        ],
+        '/spdzapi'
+      )
+    )
+
+    httptest(app)
+      .get('/spdzapi/engines')
+      .end((err, res) => {
+        supertestWithJest(err, res, done, () => {
+          expect(res.status).toEqual(HttpStatus.OK)
+          expect(res.body).toEqual([
+            { name: 'auction', path: '/spdzapi/auction' },
+            { name: 'voting', path: '/spdzapi/voting' }
+          ])
+        })
+      })
+  })
+})
@@ -0,0 +1,83 @@
+/**
+ * Decide when a client's SPDZ connection and buffered data should be freed, so that connections
+ * abandoned by clients do not live forever.
+ * A client is closed if it has not sent or consumed data within the idle timeout, if too many bytes are
+ * buffered waiting for it, or if the oldest unconsumed message is too old. Limits of 0 are not applied,
+ * and all limits are 0 unless configured, so existing long lived connections are kept.
+ */
+'use strict'
+
+class ConnectionLifecycle {
+  /**
+   * @param {Object} [limits] optional, idleTimeoutMs, maxBufferedBytes, maxMessageAgeMs, each default 0 (off).
+   */
+  constructor(limits = {}) {
+    this.idleTimeoutMs = limits.idleTimeoutMs || 0
+    this.maxBufferedBytes = limits.maxBufferedBytes || 0
+    this.maxMessageAgeMs = limits.maxMessageAgeMs || 0
+    // Map of client ids to the time in ms of the last client activity.
+    this.lastActivity = {}
+  }
+
+  /**
+   * Record client activity, starting tracking the client if not already.
+   * @param {String} clientId
+   * @param {Number} [now] time in ms since epoch.
+   */
+  touch(clientId, now = Date.now()) {
+    this.lastActivity[clientId] = now
+  }
+
+  /**
+   * Stop tracking a client.
+   * @param {String} clientId
+   */
+  forget(clientId) {
+    delete this.lastActivity[clientId]
+  }
+
+  /**
+   * @returns {Array} ids of the tracked clients.
+   */
+  clientIds() {
+    return Object.keys(this.lastActivity)
+  }
+
+  /**
+   * Check a client against the limits.
+   * @param {String} clientId
+   * @param {SpdzServerData} spdzData data buffered for the client, may be undefined.
+   * @param {Number} [now] time in ms since epoch.
+   * @returns {String} reason the client connection should be closed, or null to keep it.
+   */
+  reasonToClose(clientId, spdzData, now = Date.now()) {
+    const lastActivity = this.lastActivity[clientId]
+    if (
+      this.idleTimeoutMs > 0 &&
+      lastActivity !== undefined &&
+      now - lastActivity >= this.idleTimeoutMs
+    ) {
+      return `No client activity for ${this.idleTimeoutMs} ms.`
+    }
+    if (spdzData === undefined) {
+      return null
+    }
+    if (
+      this.maxBufferedBytes > 0 &&
+      spdzData.getBufferedBytes() > this.maxBufferedBytes
+    ) {
+      return `More than ${this.maxBufferedBytes} bytes from SPDZ are waiting to be consumed.`
+    }
+    const oldestMessageTime = spdzData.getOldestMessageTime()
+    if (
+      this.maxMessageAgeMs > 0 &&
+      oldestMessageTime !== null &&
+      now - oldestMessageTime >= this.maxMessageAgeMs
+    ) {
+      return `A message from SPDZ has not been consumed for ${this.maxMessageAgeMs} ms.`
+    }
+    return null
+  }
+}
+
+module.exports = ConnectionLifecycle
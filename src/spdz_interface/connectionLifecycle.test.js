@@ -0,0 +1,83 @@
+'use strict'
+
+const ConnectionLifecycle = require('./connectionLifecycle')
+
+// Minimal stand in for SpdzServerData.
+const bufferedData = (bufferedBytes, oldestMessageTime) => {
+  return {
+    getBufferedBytes: () => bufferedBytes,
+    getOldestMessageTime: () => oldestMessageTime
+  }
+}
+
+describe('Decide when to close client connections', () => {
+  it('applies no limits if none are given', () => {
+    const lifecycle = new ConnectionLifecycle()
+    lifecycle.touch('idle', 0)
+
+    expect(lifecycle.idleTimeoutMs).toEqual(0)
+    expect(lifecycle.maxBufferedBytes).toEqual(0)
+    expect(lifecycle.maxMessageAgeMs).toEqual(0)
+    expect(
+      lifecycle.reasonToClose('idle', undefined, 24 * 60 * 60 * 1000)
+    ).toBe(null)
+  })
+
+  it('closes a client with no activity within the idle timeout', () => {
+    const lifecycle = new ConnectionLifecycle({ idleTimeoutMs: 1000 })
+    lifecycle.touch('a', 5000)
+
+    expect(lifecycle.clientIds()).toEqual(['a'])
+    expect(lifecycle.reasonToClose('a', undefined, 5999)).toBeNull()
+    expect(lifecycle.reasonToClose('a', undefined, 6000)).toEqual(
+      'No client activity for 1000 ms.'
+    )
+
+    lifecycle.touch('a', 5500)
+    expect(lifecycle.reasonToClose('a', undefined, 6000)).toBeNull()
+  })
+
+  it('closes a client with too many bytes buffered', () => {
+    const lifecycle = new ConnectionLifecycle({ maxBufferedBytes: 100 })
+    lifecycle.touch('a', 5000)
+
+    expect(
+      lifecycle.reasonToClose('a', bufferedData(100, null), 5000)
+    ).toBeNull()
+    expect(lifecycle.reasonToClose('a', bufferedData(101, null), 5000)).toEqual(
+      'More than 100 bytes from SPDZ are waiting to be consumed.'
+    )
+  })
+
+  it('closes a client which has not consumed a message within the maximum age', () => {
+    const lifecycle = new ConnectionLifecycle({ maxMessageAgeMs: 1000 })
+    lifecycle.touch('a', 5000)
+
+    expect(
+      lifecycle.reasonToClose('a', bufferedData(10, 5000), 5999)
+    ).toBeNull()
+    expect(lifecycle.reasonToClose('a', bufferedData(10, 5000), 6000)).toEqual(
+      'A message from SPDZ has not been consumed for 1000 ms.'
+    )
+  })
+
+  it('does not apply limits set to 0', () => {
+    const lifecycle = new ConnectionLifecycle({
+      idleTimeoutMs: 0,
+      maxBufferedBytes: 0,
+      maxMessageAgeMs: 0
+    })
+    lifecycle.touch('a', 0)
+
+    expect(lifecycle.reasonToClose('a', bufferedData(1e9, 0), 1e12)).toBeNull()
+  })
+
+  it('stops tracking a forgotten client', () => {
+    const lifecycle = new ConnectionLifecycle({ idleTimeoutMs: 1000 })
+    lifecycle.touch('a', 5000)
+    lifecycle.forget('a')
+
+    expect(lifecycle.clientIds()).toEqual([])
+    expect(lifecycle.reasonToClose('a', undefined, 10000)).toBeNull()
+  })
+})
@@ -1,190 +1,985 @@
 /**
  * Main interface to talk to SPDZ engine, will be run by require('./spdz_interface')
- * Note implemented as a singleton, with shared state.
+ * Exports a default engine interface, use createSpdzEngine for independent interfaces to further SPDZ engines.
  *
- * TODO Once the spdzBufferedData for a client is drained and the socket connection is closed
- * should be deleted to avoid memory leak.
+ * Client connections and their spdzBufferedData are freed when the client closes the connection,
+ * or by a periodic check when the client is idle or not consuming the data from SPDZ, see ConnectionLifecycle.
  */
 'use strict'
 
-const spdzSockets = require('./spdzSockets')
+const defaultSpdzSockets = require('./spdzSockets')
 let spdzDataConversion = require('./spdzDataConversion')
 let SpdzServerData = require('./spdzServerData')
+const ConnectionLifecycle = require('./connectionLifecycle')
 let logger = require('../support/logging')
 
-let spdzEngineHost = 'Not-yet-set'
-let spdzEnginePort = 9443
+// Default time between checks for connections to close.
+const DEFAULT_REAP_INTERVAL_MS = 10000
+// Default time a graceful close waits for pending writes and SPDZ output before forcing the close.
+const DEFAULT_GRACEFUL_CLOSE_TIMEOUT_MS = 5000
 
 /**
- * Hold map of client public keys to spdzServerData buffers.
+ * Byte size of each element for data types which can be sent as binary.
  */
-let spdzBufferedData = {}
-
-let highestClientId = 0
-const generateClientId = () => (highestClientId += 1)
+const binaryElementSizes = {
+  modp: 16,
+  int32: 4,
+  uint32: 4,
+  int64: 8,
+  uint64: 8
+}
 
-const closeConnectionByClient = clientId => {
-  const result = spdzSockets.closeConnection(clientId)
-  // Delete buffered data whether empty or not.
-  if (spdzBufferedData.hasOwnProperty(clientId)) {
-    spdzBufferedData[clientId].removeAllListeners()
-    delete spdzBufferedData[clientId]
+/**
+ * Check data is a sequence of one or more complete frames, each a 4 byte little endian payload length header
+ * followed by the payload.
+ */
+const isFramed = data => {
+  let offset = 0
+  while (offset < data.length) {
+    if (data.length - offset < 4) {
+      return false
+    }
+    offset += 4 + data.readUInt32LE(offset)
   }
-  return result
+  return data.length > 0 && offset === data.length
 }
 
-module.exports = {
+/**
+ * Create an independent interface to a SPDZ engine, with its own connection details, client connections
+ * and buffered data, e.g. one per SPDZ engine served by the proxy.
+ * @param {Object} [spdzSockets] socket connections to use, by default a new independent set.
+ */
+const createSpdzEngine = (
+  spdzSockets = defaultSpdzSockets.createSpdzSockets()
+) => {
+  let spdzEngineHost = 'Not-yet-set'
+  let spdzEnginePort = 9443
+  // SPDZ field prime and Montgomery R, only needed for conversions of gfp and fix values.
+  let fieldParams = {}
+  // Default fixed point precision, matches SPDZ sfix, cfix defaults.
+  let fixPrecision = { f: 20, k: 40 }
+  // Byte size of SPDZ regint values written to the socket, 4 or 8 depending on the SPDZ engine.
+  let regintSize = 4
+  // Largest payload accepted from SPDZ, undefined to use the SpdzServerData default.
+  let maxFrameSize = undefined
+  // Bytes allowed to wait to be flushed to SPDZ per connection, undefined to use the spdzSockets default.
+  let queueHighWaterMark = undefined
+  // Decides when to close idle connections and free buffered data.
+  let lifecycle = new ConnectionLifecycle()
+  let reapTimer = undefined
+  // Most clients connected to SPDZ at once, others wait in the admission queue, 0 for no limit.
+  let maxConnections = 0
+
   /**
-   * Store the spdz engine connection details.
+   * Hold map of client public keys to spdzServerData buffers.
    */
-  init: (spdzHost, spdzPort) => {
-    spdzEngineHost = spdzHost
-    spdzEnginePort = spdzPort
-  },
+  let spdzBufferedData = {}
 
   /**
-   * Setup a connection from a client into a SPDZ engine.
-   * If a spdz socket connection already exists force close it and clear any buffered data.
-   * @param {String} clientId unique id provided by client, may be undefined in which case generated.
-   * @param {String} clientPublicKey optional 64 byte string containing hex of RSA public key
-   * @param {Function} spdzMessageCallBack optional callback function to be notified whan a 
-   *        new SPDZ transmission message is available.
-   * @param {Function} notifySpdzConnectionClosed optional callback function to be notified
-   *        if the SPDZ socket connection gets closed.
-   * @returns Promise with then(clientId), catch(err)
+   * Hold map of client ids to the options chosen when the connection was setup,
+   * the reason if the connection is being closed by the proxy, whether a graceful close is in progress,
+   * whether the SPDZ socket has closed, and the set of functions waiting for it to close.
    */
-  setupConnection: (
-    clientId = undefined,
-    clientPublicKey = undefined,
-    spdzMessageCallBack = undefined,
-    notifySpdzConnectionClosed = undefined
-  ) => {
-    clientId = clientId === undefined ? generateClientId() : clientId
+  let connectionOptions = {}
 
-    return new Promise(function(resolve, reject) {
-      if (spdzSockets.checkConnection(clientId)) {
-        logger.debug(
-          `Connection for client id ${clientId} already existed, so reset.`
+  /**
+   * Hold map of client ids to admission objects for clients holding one of the maxConnections slots,
+   * whether connecting or connected.
+   */
+  let admittedClients = {}
+
+  /**
+   * Clients waiting for a slot in arrival order, {clientId, admit, cancel, notifyQueuePosition}.
+   * Note an array not a FifoQueue, as clients may leave from any position.
+   */
+  let admissionQueue = []
+
+  let highestClientId = 0
+  const generateClientId = () => (highestClientId += 1)
+
+  const hasFreeSlot = () =>
+    maxConnections <= 0 || Object.keys(admittedClients).length < maxConnections
+
+  // Generated client ids are numbers but come back from REST paths as strings.
+  const queuePositionOf = clientId =>
+    admissionQueue.findIndex(
+      entry => String(entry.clientId) === String(clientId)
+    ) + 1
+
+  /**
+   * Tell each waiting client its position in the queue, from 1.
+   */
+  const notifyQueuePositions = () => {
+    admissionQueue.forEach((entry, index) => {
+      if (entry.notifyQueuePosition !== undefined) {
+        entry.notifyQueuePosition(index + 1, entry.clientId)
+      }
+    })
+  }
+
+  /**
+   * Admit waiting clients while slots are free, in arrival order.
+   */
+  const admitWaitingClients = () => {
+    let admitted = false
+    while (admissionQueue.length > 0 && hasFreeSlot()) {
+      admissionQueue.shift().admit()
+      admitted = true
+    }
+    if (admitted) {
+      notifyQueuePositions()
+    }
+  }
+
+  /**
+   * Run connect once the client is admitted, immediately if a slot is free otherwise when it reaches
+   * the front of the queue.
+   * @param {Function} connect passed the admission object which holds the slot.
+   * @param {Function} cancel called with an Error if the client leaves the queue before being admitted.
+   */
+  const requestAdmission = (clientId, connect, cancel, notifyQueuePosition) => {
+    const admit = () => {
+      const admission = { clientId: clientId }
+      admittedClients[clientId] = admission
+      connect(admission)
+    }
+    if (admissionQueue.length === 0 && hasFreeSlot()) {
+      admit()
+    } else {
+      admissionQueue.push({
+        clientId: clientId,
+        admit: admit,
+        cancel: cancel,
+        notifyQueuePosition: notifyQueuePosition
+      })
+      // Waiting clients are closed if idle, like connected clients.
+      lifecycle.touch(clientId)
+      logger.info(
+        `Client ${clientId} waiting for a SPDZ connection at queue position ${admissionQueue.length}.`
+      )
+      if (notifyQueuePosition !== undefined) {
+        notifyQueuePosition(admissionQueue.length, clientId)
+      }
+    }
+  }
+
+  /**
+   * Free the slot held by the admission, if it is still the client's current admission.
+   */
+  const releaseAdmission = admission => {
+    if (admittedClients[admission.clientId] === admission) {
+      delete admittedClients[admission.clientId]
+      admitWaitingClients()
+    }
+  }
+
+  /**
+   * Remove the client from the admission queue or free its slot.
+   * @returns {boolean} true if the client was queued or held a slot, e.g. was still connecting.
+   */
+  const leaveAdmission = clientId => {
+    const position = queuePositionOf(clientId)
+    if (position > 0) {
+      const entry = admissionQueue.splice(position - 1, 1)[0]
+      entry.cancel(
+        new Error(
+          `Client ${clientId} left the queue before connecting to the SPDZ engine.`
         )
-        // This is perfectly possible, if client resubmits wihtout a refresh.
-        // Should close existing connection first, then continue as if new.
-        closeConnectionByClient(clientId)
-      }
-
-      spdzSockets
-        .setupConnection(clientId, spdzEngineHost, spdzEnginePort)
-        .then(socket => {
-          // Setup buffer of incoming data
-          spdzBufferedData[clientId] = new SpdzServerData(clientId)
-          if (spdzMessageCallBack !== undefined) {
-            spdzBufferedData[clientId].on('message_from_spdz', () => {
-              spdzMessageCallBack()
-            })
-          }
+      )
+      notifyQueuePositions()
+      return true
+    }
+    if (admittedClients.hasOwnProperty(clientId)) {
+      releaseAdmission(admittedClients[clientId])
+      return true
+    }
+    return false
+  }
 
-          socket.on('data', chunk => {
-            // If client close ran before data received, may no longer be place to store data
-            if (spdzBufferedData.hasOwnProperty(clientId)) {
-              logger.debug(
-                `Received ${chunk.length} bytes from SPDZ engine for client ${clientId}.`
-              )
-              spdzBufferedData[clientId].storeChunk(chunk)
-            } else {
-              logger.warn(
-                `Received ${chunk.length} bytes from SPDZ engine for client ${clientId} but no buffer to store in.`
-              )
-            }
-          })
-
-          socket.on('close', () => {
-            if (notifySpdzConnectionClosed !== undefined) {
-              notifySpdzConnectionClosed()
-            }
-          })
-
-          /**
-           * After socket established SPDZ program may require client public key. 
-           */
-          if (clientPublicKey !== undefined) {
-            spdzSockets.sendData(
-              clientId,
-              spdzDataConversion.hexPublicKeyToBuffer(clientPublicKey)
-            )
-          }
+  /**
+   * Close the client's SPDZ connection, or cancel it if still queued or connecting, and free buffered data.
+   * @returns {boolean} true if there was a connection, queued or connecting client to close.
+   */
+  const closeConnectionByClient = clientId => {
+    const leftAdmission = leaveAdmission(clientId)
+    const result = spdzSockets.closeConnection(clientId) || leftAdmission
+    // Delete buffered data whether empty or not.
+    if (spdzBufferedData.hasOwnProperty(clientId)) {
+      spdzBufferedData[clientId].removeAllListeners()
+      delete spdzBufferedData[clientId]
+    }
+    delete connectionOptions[clientId]
+    lifecycle.forget(clientId)
+    return result
+  }
 
-          logger.info(
-            `Socket connection to SPDZ for client ${clientId} established.`
-          )
-          resolve(clientId)
-        })
-        .catch(err => {
-          logger.warn(
-            `Socket connection to SPDZ for client ${clientId} failed.`,
-            err
-          )
-          reject(err)
-        })
+  /**
+   * Close the connection and free buffered data if the client has exceeded a lifecycle limit.
+   * The reason is passed to the notifySpdzConnectionClosed callback if the connection is still open.
+   * @returns {boolean} true if closed.
+   */
+  const closeIfExpired = (clientId, now = Date.now()) => {
+    const reason = lifecycle.reasonToClose(
+      clientId,
+      spdzBufferedData[clientId],
+      now
+    )
+    if (reason === null) {
+      return false
+    }
+    logger.info(`Closing SPDZ connection for client ${clientId}. ${reason}`)
+    if (connectionOptions.hasOwnProperty(clientId)) {
+      connectionOptions[clientId].closeReason = reason
+    }
+    closeConnectionByClient(clientId)
+    return true
+  }
+
+  /**
+   * Call onClosed once the SPDZ socket of a connection closes, straight away if it has already closed.
+   * Waiting functions are held in one set per connection, cleared when the socket closes, so a wait which
+   * finishes some other way (e.g. a long poll timing out) must stop waiting to be removed.
+   * @param {Object} clientOptions the connection's entry in connectionOptions.
+   * @returns {Function} call to stop waiting.
+   */
+  const onSpdzClosed = (clientOptions, onClosed) => {
+    if (clientOptions.spdzClosed) {
+      onClosed()
+      return () => {}
+    }
+    clientOptions.closeWaiters.add(onClosed)
+    return () => {
+      clientOptions.closeWaiters.delete(onClosed)
+    }
+  }
+
+  /**
+   * Record client activity and send the data.
+   */
+  const sendToSpdz = (clientId, data) => {
+    const clientOptions = connectionOptions[clientId]
+    if (clientOptions !== undefined && clientOptions.closing) {
+      const err = new Error(
+        `SPDZ connection for client ${clientId} is closing, no more data can be sent.`
+      )
+      err.closing = true
+      return Promise.reject(err)
+    }
+    if (spdzBufferedData.hasOwnProperty(clientId)) {
+      lifecycle.touch(clientId)
+    }
+    return spdzSockets.sendData(clientId, data)
+  }
+
+  /**
+   * Combine the configured fixed point precision with optional client supplied {f, k}.
+   */
+  const fixParamsFor = (precision = {}) =>
+    Object.assign({}, fieldParams, {
+      f: precision.f !== undefined ? precision.f : fixPrecision.f,
+      k: precision.k !== undefined ? precision.k : fixPrecision.k
     })
-  },
 
   /**
-   * Close connection initiated by browser client (not by SPDZ).
+   * Conversion functions by input data type, each returns a buffer with a payload length header.
    */
-  closeConnection: closeConnectionByClient,
+  const inputConverters = {
+    modp: values => spdzDataConversion.base64ToSpdz(values),
+    int32: values => spdzDataConversion.integersToSpdz(values, 'int32'),
+    uint32: values => spdzDataConversion.integersToSpdz(values, 'uint32'),
+    int64: values => spdzDataConversion.integersToSpdz(values, 'int64'),
+    uint64: values => spdzDataConversion.integersToSpdz(values, 'uint64'),
+    gfp: values => spdzDataConversion.gfpToSpdz(values, fieldParams),
+    fix: (values, precision) =>
+      spdzDataConversion.fixToSpdz(values, fixParamsFor(precision))
+  }
 
-  checkConnection: clientId => {
-    return spdzSockets.checkConnection(clientId)
-  },
+  /**
+   * Convert a list of {type, values} segments into SPDZ frames, throwing an error
+   * identifying the segment if any segment is not valid.
+   * @returns {Array<Buffer>} one frame per segment.
+   */
+  const structuredToFrames = segments => {
+    if (!(segments instanceof Array) || segments.length === 0) {
+      throw new Error('Structured data must be a non empty array of segments.')
+    }
+    return segments.map((segment, index) => {
+      if (
+        segment === null ||
+        typeof segment !== 'object' ||
+        !inputConverters.hasOwnProperty(segment.type) ||
+        !(segment.values instanceof Array)
+      ) {
+        throw new Error(
+          `Segment ${index} must contain a known data type and an array of values.`
+        )
+      }
+      try {
+        return inputConverters[segment.type](segment.values, segment)
+      } catch (err) {
+        throw new Error(`Segment ${index} (${segment.type}): ${err.message}`)
+      }
+    })
+  }
 
   /**
-   * Get a buffer byte array object previously supplied by SPDZ engine.
-   * Maybe list of 128 bit big integers, maybe encrypted - don't know.
-   * @param {String} clientId
-   * @return {Buffer} Binary data in little endian format, or null
+   * Decode a SPDZ message into {type, values} if possible, otherwise return the binary message.
    */
-  getServerTransmission: clientId => {
+  const decodeServerTransmission = buf => {
+    const decoded = spdzDataConversion.decodeSpdzMessage(
+      buf,
+      Object.assign({}, fieldParams, {
+        f: fixPrecision.f,
+        regintSize: regintSize
+      })
+    )
+    return decoded !== null ? decoded : buf
+  }
+
+  /**
+   * Get the data buffered for a client, recording client activity.
+   * @throws {Error} if no connection.
+   */
+  const bufferedDataFor = clientId => {
     const spdzData = spdzBufferedData[clientId]
     if (spdzData === undefined) {
       throw new Error(
         `Unable to get data for client ${clientId}, there is no SPDZ socket connection.`
       )
     }
-    const buf = spdzData.popServerTransmission()
-    buf === null
-      ? logger.debug(
-          `No buffer records are availabe to send to client ${clientId}.`
-        )
-      : logger.debug(
-          `Sending ${buf.length} bytes from buffer to client ${clientId}.`
-        )
-    return buf
-  },
+    lifecycle.touch(clientId)
+    return spdzData
+  }
 
   /**
-   * Send an array of 128 bit big integers to the spdz engine.
-   * No encryption, but expected to be shares which do not leak information about client input.
-   * @param {String} clientId
-   * @param {Array} Array<string> of base64 encoded big integers
-   * @returns {true or false} Indicates a socket exists to send, not the data was sent successfully.
+   * Error for a client with no messages left after the SPDZ connection was closed for a protocol error.
    */
-  sendBigIntegers: (clientId, base64InputList) => {
-    return spdzSockets.sendData(
-      clientId,
-      spdzDataConversion.base64ToSpdz(base64InputList)
+  const protocolErrorFor = (clientId, spdzData) => {
+    const err = new Error(
+      `SPDZ connection for client ${clientId} was closed after a protocol error. ${spdzData.protocolError.message}`
     )
-  },
+    err.protocolError = true
+    return err
+  }
 
   /**
-   * Send an array of 32 bit integers to the spdz engine.
-   * No encryption, expected to be used for clear integers.
-   * @param {String} clientId
-   * @param {Array} Array<Number> 32 bit integers
-   * @returns {true or false} Indicates a socket exists to send, not the data was sent successfully.
+   * Decode a SPDZ message if the client connection was setup to decode output.
    */
-  sendIntegers: (clientId, integerList) => {
-    return spdzSockets.sendData(
-      clientId,
-      spdzDataConversion.int32ToSpdz(integerList)
-    )
+  const outputFor = (clientId, buf) =>
+    connectionOptions[clientId] !== undefined &&
+    connectionOptions[clientId].decodeOutput
+      ? decodeServerTransmission(buf)
+      : buf
+
+  const instance = {
+    /**
+     * Store the spdz engine connection details.
+     * @param {String} spdzHost
+     * @param {String} spdzPort
+     * @param {Object} [options] optional settings for data conversions:
+     *        prime (decimal string of SPDZ field prime), montgomeryR (decimal string),
+     *        fixF, fixK (default fixed point precision),
+     *        regintSize (byte size of regint values written by SPDZ, 4 or 8),
+     *        maxFrameSize (largest payload in bytes accepted from SPDZ before closing the connection),
+     *        queueHighWaterMark (bytes waiting to be flushed to SPDZ before further input is refused),
+     *        idleTimeoutMs, maxBufferedBytes, maxMessageAgeMs (limits after which a client connection is closed,
+     *        default 0 to disable, see ConnectionLifecycle), reapIntervalMs (time between checking the limits),
+     *        maxConnections (most clients connected to SPDZ at once, others are queued, default 0 for no limit).
+     */
+    init: (spdzHost, spdzPort, options = {}) => {
+      spdzEngineHost = spdzHost
+      spdzEnginePort = spdzPort
+      fieldParams =
+        options.prime !== undefined
+          ? spdzDataConversion.createFieldParams(
+              options.prime,
+              options.montgomeryR
+            )
+          : {}
+      fixPrecision = {
+        f: options.fixF !== undefined ? options.fixF : 20,
+        k: options.fixK !== undefined ? options.fixK : 40
+      }
+      regintSize = options.regintSize !== undefined ? options.regintSize : 4
+      maxFrameSize = options.maxFrameSize
+      queueHighWaterMark = options.queueHighWaterMark
+      maxConnections =
+        options.maxConnections !== undefined ? options.maxConnections : 0
+      lifecycle = new ConnectionLifecycle({
+        idleTimeoutMs: options.idleTimeoutMs,
+        maxBufferedBytes: options.maxBufferedBytes,
+        maxMessageAgeMs: options.maxMessageAgeMs
+      })
+      clearInterval(reapTimer)
+      const reapIntervalMs =
+        options.reapIntervalMs !== undefined
+          ? options.reapIntervalMs
+          : DEFAULT_REAP_INTERVAL_MS
+      if (reapIntervalMs > 0) {
+        reapTimer = setInterval(instance.reapConnections, reapIntervalMs)
+        // Don't keep the process running just to check connections (not available in browser like environments).
+        if (typeof reapTimer.unref === 'function') {
+          reapTimer.unref()
+        }
+      }
+    },
+
+    /**
+     * Close connections and free buffered data of clients which have exceeded a lifecycle limit,
+     * run periodically once init has been called.
+     * @param {Number} [now] time in ms since epoch.
+     * @returns {Array} ids of the clients closed.
+     */
+    reapConnections: (now = Date.now()) => {
+      return lifecycle
+        .clientIds()
+        .filter(clientId => closeIfExpired(clientId, now))
+    },
+
+    /**
+     * Setup a connection from a client into a SPDZ engine.
+     * If a spdz socket connection already exists force close it and clear any buffered data.
+     * @param {String} clientId unique id provided by client, may be undefined in which case generated.
+     * @param {String} clientPublicKey optional 64 byte string containing hex of RSA public key
+     * @param {Function} spdzMessageCallBack optional callback function to be notified whan a 
+     *        new SPDZ transmission message is available.
+     * @param {Function} notifySpdzConnectionClosed optional callback function to be notified
+     *        if the SPDZ socket connection gets closed, passed the reason if closed by the proxy
+     *        because of a lifecycle limit.
+     * @param {Object} options optional connection options, decodeOutput - if true SPDZ messages
+     *        are decoded into {type, values} when read (ignored if clientPublicKey supplied),
+     *        notifyProtocolError - callback function notified with an Error if the data from SPDZ
+     *        cannot be parsed, after which the SPDZ connection is closed,
+     *        waitMs - time to keep retrying if SPDZ is not yet accepting connections, default no retry,
+     *        notifyRetry - callback function passed {attempt, delayMs, err} before each retry,
+     *        isCancelled - function returning true once the connection is no longer wanted, e.g. the client went away,
+     *        stops any further attempts,
+     *        notifyQueuePosition - callback function passed (queuePosition, clientId) if the client has to wait
+     *        for a connection slot, and again each time its position changes.
+     * @returns Promise with then(clientId), catch(err)
+     */
+    setupConnection: (
+      clientId = undefined,
+      clientPublicKey = undefined,
+      spdzMessageCallBack = undefined,
+      notifySpdzConnectionClosed = undefined,
+      options = {}
+    ) => {
+      clientId = clientId === undefined ? generateClientId() : clientId
+
+      return new Promise(function(resolve, reject) {
+        if (
+          spdzSockets.checkConnection(clientId) ||
+          admittedClients.hasOwnProperty(clientId) ||
+          queuePositionOf(clientId) > 0
+        ) {
+          logger.debug(
+            `Connection for client id ${clientId} already existed, so reset.`
+          )
+          // This is perfectly possible, if client resubmits wihtout a refresh.
+          // Should close existing connection first, then continue as if new.
+          closeConnectionByClient(clientId)
+        }
+
+        const connect = admission =>
+          spdzSockets
+            .setupConnection(clientId, spdzEngineHost, spdzEnginePort, {
+              highWaterMark: queueHighWaterMark,
+              retry:
+                options.waitMs > 0 ? { deadlineMs: options.waitMs } : undefined,
+              onRetry: options.notifyRetry,
+              // Client closed the connection while it was being setup, possibly reconnecting with the same id,
+              // or the caller no longer wants it.
+              isCancelled: () =>
+                admittedClients[clientId] !== admission ||
+                (options.isCancelled !== undefined && options.isCancelled())
+            })
+            .then(socket => {
+              if (admittedClients[clientId] !== admission) {
+                // Only close this attempt's socket, a later attempt may already be connected.
+                spdzSockets.closeConnection(clientId, socket)
+                throw new Error(
+                  `Client ${clientId} closed the connection before it was established.`
+                )
+              }
+              // Setup buffer of incoming data
+              spdzBufferedData[clientId] = new SpdzServerData(
+                clientId,
+                maxFrameSize
+              )
+              // Close the SPDZ connection, but keep already buffered messages for the client to consume.
+              spdzBufferedData[clientId].on('protocol_error', err => {
+                if (options.notifyProtocolError !== undefined) {
+                  options.notifyProtocolError(err)
+                }
+                spdzSockets.closeConnection(clientId, socket)
+              })
+              // Encrypted messages cannot be decoded by the proxy.
+              const clientOptions = {
+                decodeOutput:
+                  options.decodeOutput === true &&
+                  clientPublicKey === undefined,
+                closeReason: undefined,
+                closing: false,
+                spdzClosed: false,
+                closeWaiters: new Set()
+              }
+              connectionOptions[clientId] = clientOptions
+              lifecycle.touch(clientId)
+              if (spdzMessageCallBack !== undefined) {
+                spdzBufferedData[clientId].on('message_from_spdz', () => {
+                  spdzMessageCallBack()
+                })
+              }
+
+              socket.on('data', chunk => {
+                // If client close ran before data received, may no longer be place to store data
+                if (spdzBufferedData.hasOwnProperty(clientId)) {
+                  logger.debug(
+                    `Received ${chunk.length} bytes from SPDZ engine for client ${clientId}.`
+                  )
+                  spdzBufferedData[clientId].storeChunk(chunk)
+                  closeIfExpired(clientId)
+                } else {
+                  logger.warn(
+                    `Received ${chunk.length} bytes from SPDZ engine for client ${clientId} but no buffer to store in.`
+                  )
+                }
+              })
+
+              socket.on('close', () => {
+                clientOptions.spdzClosed = true
+                const closeWaiters = Array.from(clientOptions.closeWaiters)
+                clientOptions.closeWaiters.clear()
+                closeWaiters.forEach(onClosed => onClosed())
+                releaseAdmission(admission)
+                if (notifySpdzConnectionClosed !== undefined) {
+                  notifySpdzConnectionClosed(clientOptions.closeReason)
+                }
+              })
+
+              /**
+               * After socket established SPDZ program may require client public key. 
+               */
+              if (clientPublicKey !== undefined) {
+                spdzSockets
+                  .sendData(
+                    clientId,
+                    spdzDataConversion.hexPublicKeyToBuffer(clientPublicKey)
+                  )
+                  .catch(err => {
+                    logger.warn(
+                      `Unable to send public key to SPDZ for client ${clientId}.`,
+                      err
+                    )
+                  })
+              }
+
+              logger.info(
+                `Socket connection to SPDZ for client ${clientId} established.`
+              )
+              resolve(clientId)
+            })
+            .catch(err => {
+              logger.warn(
+                `Socket connection to SPDZ for client ${clientId} failed.`,
+                err
+              )
+              releaseAdmission(admission)
+              reject(err)
+            })
+
+        requestAdmission(clientId, connect, reject, options.notifyQueuePosition)
+      })
+    },
+
+    /**
+     * Close connection initiated by browser client (not by SPDZ).
+     */
+    closeConnection: closeConnectionByClient,
+
+    /**
+     * Close a connection without dropping the client's last inputs. Refuses further data, waits for data already
+     * sent to be flushed to SPDZ, and optionally for SPDZ to finish writing output and close its end, then closes.
+     * SPDZ messages received while waiting are buffered and notified as usual.
+     * If the connection is not open (e.g. the client is queued) it is closed immediately.
+     * @param {String} clientId
+     * @param {Object} [options] optional, waitForOutput - if true also wait for SPDZ to close the connection,
+     *        timeoutMs - longest time to wait before forcing the close, default 5000.
+     * @returns Promise resolving {closed : false if no connection was found,
+     *          mode : immediate | graceful | forced (the wait timed out or SPDZ closed before the data was flushed)}.
+     */
+    closeConnectionGracefully: (clientId, options = {}) => {
+      const clientOptions = connectionOptions[clientId]
+      if (
+        clientOptions === undefined ||
+        !spdzSockets.checkConnection(clientId)
+      ) {
+        return Promise.resolve({
+          closed: closeConnectionByClient(clientId),
+          mode: 'immediate'
+        })
+      }
+      const timeoutMs =
+        options.timeoutMs !== undefined
+          ? options.timeoutMs
+          : DEFAULT_GRACEFUL_CLOSE_TIMEOUT_MS
+      clientOptions.closing = true
+
+      let timer
+      let stopWaitingForClose = () => {}
+      const timedOut = new Promise(resolve => {
+        timer = setTimeout(() => resolve(false), timeoutMs)
+      })
+      const finished = spdzSockets.whenFlushed(clientId).then(
+        flushed =>
+          flushed && options.waitForOutput === true
+            ? new Promise(resolve => {
+                stopWaitingForClose = onSpdzClosed(clientOptions, () =>
+                  resolve(true)
+                )
+              })
+            : flushed
+      )
+      return Promise.race([finished, timedOut]).then(completed => {
+        clearTimeout(timer)
+        stopWaitingForClose()
+        const mode = completed ? 'graceful' : 'forced'
+        logger.info(`Closing SPDZ connection for client ${clientId}, ${mode}.`)
+        // Unless the connection was replaced or closed some other way while waiting.
+        if (connectionOptions[clientId] === clientOptions) {
+          closeConnectionByClient(clientId)
+        }
+        return { closed: true, mode: mode }
+      })
+    },
+
+    checkConnection: clientId => {
+      return spdzSockets.checkConnection(clientId)
+    },
+
+    /**
+     * Get the state of a client connection, including the position of a waiting client in the admission queue.
+     * Counts as client activity, so polling keeps a waiting client from being closed as idle.
+     * @param {String} clientId
+     * @returns {Object} {state : connected | connecting | queued | none, queuePosition : from 1 if queued, otherwise 0}
+     */
+    getConnectionStatus: clientId => {
+      const queuePosition = queuePositionOf(clientId)
+      let state = 'none'
+      if (spdzSockets.checkConnection(clientId)) {
+        state = 'connected'
+      } else if (queuePosition > 0) {
+        state = 'queued'
+      } else if (admittedClients.hasOwnProperty(clientId)) {
+        state = 'connecting'
+      }
+      if (state !== 'none') {
+        lifecycle.touch(clientId)
+      }
+      return { state: state, queuePosition: queuePosition }
+    },
+
+    /**
+     * Get the state of the queue of data waiting to be flushed to SPDZ for a client.
+     * @param {String} clientId
+     * @returns {Object} {queuedBytes, queuedWrites, highWaterMark, paused} or null if no connection.
+     */
+    getQueueDepth: clientId => {
+      return spdzSockets.getQueueDepth(clientId)
+    },
+
+    /**
+     * Get a buffer byte array object previously supplied by SPDZ engine.
+     * Maybe list of 128 bit big integers, maybe encrypted - don't know.
+     * If the connection was setup with decodeOutput, messages with a recognised write_to_socket
+     * data type header are returned decoded.
+     * @param {String} clientId
+     * @return {Buffer|Object} Binary data in little endian format, or {type, values} if decoded, or null
+     * @throws {Error} if no connection, or if no data left after a protocol error (error has protocolError true).
+     */
+    getServerTransmission: clientId => {
+      const spdzData = bufferedDataFor(clientId)
+      const buf = spdzData.popServerTransmission()
+      if (buf === null && spdzData.protocolError !== null) {
+        throw protocolErrorFor(clientId, spdzData)
+      }
+      buf === null
+        ? logger.debug(
+            `No buffer records are availabe to send to client ${clientId}.`
+          )
+        : logger.debug(
+            `Sending ${buf.length} bytes from buffer to client ${clientId}.`
+          )
+      return buf !== null ? outputFor(clientId, buf) : buf
+    },
+
+    /**
+     * Get up to maxMessages buffered byte array objects previously supplied by SPDZ engine, in the order received,
+     * e.g. to return many small messages at once. Decoded as for getServerTransmission unless raw is true.
+     * @param {String} clientId
+     * @param {Number} maxMessages most messages to return.
+     * @param {boolean} [raw] optional, if true never decode messages.
+     * @return {Array} Array<Object> of {seq, data}, data is a Buffer or {type, values} if decoded, empty if none.
+     * @throws {Error} if no connection, or if no data left after a protocol error (error has protocolError true).
+     */
+    getServerTransmissions: (clientId, maxMessages, raw = false) => {
+      const spdzData = bufferedDataFor(clientId)
+      const transmissions = spdzData.popServerTransmissions(maxMessages)
+      if (transmissions.length === 0 && spdzData.protocolError !== null) {
+        throw protocolErrorFor(clientId, spdzData)
+      }
+      logger.debug(
+        `Sending ${transmissions.length} messages from buffer to client ${clientId}.`
+      )
+      return transmissions.map(transmission => ({
+        seq: transmission.seq,
+        data: raw
+          ? transmission.message
+          : outputFor(clientId, transmission.message)
+      }))
+    },
+
+    /**
+     * Wait for a message from SPDZ to be available to consume, e.g. to answer a long poll as soon as data arrives.
+     * Finishes straight away if a message is already buffered or the SPDZ connection is already closed.
+     * @param {String} clientId
+     * @param {Number} timeoutMs longest time to wait.
+     * @returns {Object} {ready : Promise resolving why the wait finished, message | closed (the SPDZ connection closed)
+     *          | timeout | cancelled, cancel : function to stop waiting, e.g. if the client goes away}
+     * @throws {Error} if no connection.
+     */
+    waitForServerTransmission: (clientId, timeoutMs) => {
+      const spdzData = bufferedDataFor(clientId)
+      const clientOptions = connectionOptions[clientId]
+      let finish
+      const ready = new Promise(resolve => {
+        finish = resolve
+      })
+      const onMessage = () => finish('message')
+      const timer = setTimeout(() => finish('timeout'), timeoutMs)
+      let stopWaitingForClose = () => {}
+      spdzData.on('message_from_spdz', onMessage)
+      ready.then(() => {
+        clearTimeout(timer)
+        spdzData.removeListener('message_from_spdz', onMessage)
+        stopWaitingForClose()
+      })
+
+      if (!spdzData.isEmpty()) {
+        finish('message')
+      } else if (
+        clientOptions === undefined ||
+        !spdzSockets.checkConnection(clientId)
+      ) {
+        finish('closed')
+      } else {
+        stopWaitingForClose = onSpdzClosed(clientOptions, () =>
+          finish('closed')
+        )
+      }
+      return { ready: ready, cancel: () => finish('cancelled') }
+    },
+
+    /**
+     * Watch for messages from SPDZ and for the SPDZ connection closing, e.g. to stream messages to a client.
+     * If the SPDZ connection is already closed onClose is called straight away (asynchronously).
+     * @param {String} clientId
+     * @param {Object} listeners onMessage - called when a new message is available,
+     *        onClose - called once with the reason if the proxy closed the connection (e.g. client idle).
+     * @returns {Function} call to stop watching.
+     * @throws {Error} if no connection.
+     */
+    watchServerTransmissions: (clientId, listeners) => {
+      const spdzData = bufferedDataFor(clientId)
+      const clientOptions = connectionOptions[clientId]
+      let watching = true
+      const onMessage = () => listeners.onMessage()
+      spdzData.on('message_from_spdz', onMessage)
+
+      const onClosed = () => {
+        if (watching) {
+          listeners.onClose(
+            clientOptions !== undefined ? clientOptions.closeReason : undefined
+          )
+        }
+      }
+      let stopWaitingForClose = () => {}
+      if (
+        clientOptions === undefined ||
+        !spdzSockets.checkConnection(clientId)
+      ) {
+        Promise.resolve().then(onClosed)
+      } else {
+        stopWaitingForClose = onSpdzClosed(clientOptions, onClosed)
+      }
+      return () => {
+        watching = false
+        spdzData.removeListener('message_from_spdz', onMessage)
+        stopWaitingForClose()
+      }
+    },
+
+    /**
+     * Get the messages previously supplied by SPDZ engine from a sequence number onwards, without removing them,
+     * so that they can be sent again until the client acknowledges them. Decoded as for getServerTransmission.
+     * @param {String} clientId
+     * @param {Number} seq sequence number of the first message wanted, messages are numbered from 1 as received.
+     * @return {Array} Array<Object> of {seq, data} in the order received, data is a Buffer or {type, values} if decoded.
+     * @throws {Error} if no connection.
+     */
+    getServerTransmissionsFrom: (clientId, seq) => {
+      return bufferedDataFor(clientId)
+        .getTransmissionsFrom(seq)
+        .map(transmission => ({
+          seq: transmission.seq,
+          data: outputFor(clientId, transmission.message)
+        }))
+    },
+
+    /**
+     * Free the messages the client has received, up to and including a sequence number.
+     * @param {String} clientId
+     * @param {Number} seq sequence number of the last message received.
+     * @return {Number} the number of messages freed.
+     * @throws {Error} if no connection.
+     */
+    acknowledgeServerTransmissions: (clientId, seq) => {
+      return bufferedDataFor(clientId).acknowledge(seq)
+    },
+
+    /**
+     * Send an array of 128 bit big integers to the spdz engine.
+     * No encryption, but expected to be shares which do not leak information about client input.
+     * @param {String} clientId
+     * @param {Array} Array<string> of base64 encoded big integers
+     * @returns Promise resolving true once the data is flushed to SPDZ, or false if no SPDZ connection,
+     *          rejects if the outbound queue is over the high water mark.
+     */
+    sendBigIntegers: (clientId, base64InputList) => {
+      return sendToSpdz(
+        clientId,
+        spdzDataConversion.base64ToSpdz(base64InputList)
+      )
+    },
+
+    /**
+     * Send an array of integers to the spdz engine, by default 32 bit signed integers.
+     * No encryption, expected to be used for clear integers.
+     * Throws an error if a value is not an integer or is out of range for the type.
+     * @param {String} clientId
+     * @param {Array} Array<Number|String> integers, use decimal strings for values beyond 2^53.
+     * @param {String} [integerType] one of int32 (default), uint32, int64, uint64.
+     * @returns Promise resolving true once the data is flushed to SPDZ, or false if no SPDZ connection,
+     *          rejects if the outbound queue is over the high water mark.
+     */
+    sendIntegers: (clientId, integerList, integerType = 'int32') => {
+      return sendToSpdz(
+        clientId,
+        spdzDataConversion.integersToSpdz(integerList, integerType)
+      )
+    },
+
+    /**
+     * Send an array of field elements to the spdz engine, converted into the Montgomery form modp values
+     * read by sint, cint read_from_socket.
+     * No encryption, expected to be shares which do not leak information about client input.
+     * Throws an error if a value cannot be converted or is not less than the SPDZ prime.
+     * @param {String} clientId
+     * @param {Array} gfpList Array<Number|String> of integers as numbers, decimal strings or 0x prefixed hex strings.
+     * @returns Promise resolving true once the data is flushed to SPDZ, or false if no SPDZ connection,
+     *          rejects if the outbound queue is over the high water mark.
+     */
+    sendFieldElements: (clientId, gfpList) => {
+      return sendToSpdz(clientId, inputConverters.gfp(gfpList))
+    },
+
+    /**
+     * Send an array of fixed point numbers to the spdz engine, as read by sfix, cfix read_from_socket.
+     * No encryption, values are scaled by 2^f and sent as modp integers.
+     * Throws an error if a value cannot be converted or overflows the precision range.
+     * @param {String} clientId
+     * @param {Array} fixList Array<Number|String> of numbers or decimal strings
+     * @param {Object} [precision] optional {f, k} to override the configured precision.
+     * @returns Promise resolving true once the data is flushed to SPDZ, or false if no SPDZ connection,
+     *          rejects if the outbound queue is over the high water mark.
+     */
+    sendFixedPoint: (clientId, fixList, precision = {}) => {
+      return sendToSpdz(clientId, inputConverters.fix(fixList, precision))
+    },
+
+    /**
+     * Send binary values to the spdz engine without per value conversion, e.g. a websocket binary attachment.
+     * Throws an error if the data type does not have a fixed binary size, or the data length is not a
+     * multiple of the element size.
+     * @param {String} clientId
+     * @param {String} dataType one of modp, int32, uint32, int64, uint64.
+     * @param {Buffer} data sequence of values, modp values must already be in Montgomery form.
+     * @param {String} [byteOrder] byte order of each value, little (default, as used by SPDZ) or big.
+     * @returns Promise resolving true once the data is flushed to SPDZ, or false if no SPDZ connection,
+     *          rejects if the outbound queue is over the high water mark.
+     */
+    sendBinary: (clientId, dataType, data, byteOrder = 'little') => {
+      if (!binaryElementSizes.hasOwnProperty(dataType)) {
+        throw new Error(
+          `Binary input is not supported for data type ${dataType}.`
+        )
+      }
+      if (byteOrder !== 'little' && byteOrder !== 'big') {
+        throw new Error(`Byte order must be little or big, given ${byteOrder}.`)
+      }
+      return sendToSpdz(
+        clientId,
+        spdzDataConversion.binaryToSpdz(
+          data,
+          binaryElementSizes[dataType],
+          byteOrder === 'big'
+        )
+      )
+    },
+
+    /**
+     * Send an ordered list of mixed type segments to the spdz engine, e.g. a regint count,
+     * followed by sint shares, followed by a regint flag.
+     * All segments are converted before any data is sent, so an invalid segment sends nothing.
+     * @param {String} clientId
+     * @param {Array} segments Array<Object> of {type, values}, type is any sendData data type,
+     *        fix segments may also contain f and k.
+     * @param {boolean} [framePerSegment] if true send each segment as a separate frame with its own
+     *        payload length header, otherwise (default) pack all segments into one frame.
+     * @returns Promise resolving true once the data is flushed to SPDZ, or false if no SPDZ connection,
+     *          rejects if the outbound queue is over the high water mark.
+     */
+    sendStructured: (clientId, segments, framePerSegment = false) => {
+      const frames = structuredToFrames(segments)
+      return sendToSpdz(
+        clientId,
+        framePerSegment
+          ? Buffer.concat(frames)
+          : spdzDataConversion.combinePayloads(frames)
+      )
+    },
+
+    /**
+     * Send data which is already in SPDZ frames, e.g. prepared by a server to server integration,
+     * without conversion. Throws an error if the data is not a sequence of complete frames.
+     * @param {String} clientId
+     * @param {Buffer} data one or more frames, each a 4 byte little endian payload length header followed by the payload.
+     * @returns Promise resolving true once the data is flushed to SPDZ, or false if no SPDZ connection,
+     *          rejects if the outbound queue is over the high water mark.
+     */
+    sendFramed: (clientId, data) => {
+      if (!Buffer.isBuffer(data) || !isFramed(data)) {
+        throw new Error(
+          'Data must be a sequence of complete SPDZ frames, each with a 4 byte payload length header.'
+        )
+      }
+      return sendToSpdz(clientId, data)
+    }
   }
+  return instance
 }
+
+// Default instance, uses the default spdzSockets instance.
+module.exports = createSpdzEngine(defaultSpdzSockets)
+module.exports.createSpdzEngine = createSpdzEngine
@@ -12,6 +12,7 @@ describe('The spdz interface', () => {
     spdzSockets.sendData.mockClear()
     spdzSockets.setupConnection.mockClear()
     spdzSockets.checkConnection.mockClear()
+    spdzSockets.closeConnection.mockClear()
   })
 
   it('can send a list of base64 encoded bigintegers', () => {
@@ -22,7 +23,7 @@ describe('The spdz interface', () => {
       'hex'
     )
 
-    spdzSockets.sendData.mockImplementationOnce(() => true)
+    spdzSockets.sendData.mockImplementationOnce(() => Promise.resolve(true))
 
     expect(moduleUnderTest.sendBigIntegers(35, [bufHex])).toBeTruthy()
     expect(spdzSockets.sendData).toHaveBeenCalledWith(35, bufForSpdz)
@@ -30,6 +31,83 @@ describe('The spdz interface', () => {
     spdzSockets.sendData.mockClear()
   })
 
+  it('can send a list of fixed point numbers using the configured SPDZ prime', () => {
+    const bufForSpdz = Buffer.from(
+      '1000000000003000000000000000000000000000',
+      'hex'
+    )
+    spdzSockets.sendData.mockImplementationOnce(() => Promise.resolve(true))
+
+    moduleUnderTest.init('localhost', 14000, {
+      prime: '170141183460469231731687303715884105727'
+    })
+    expect(moduleUnderTest.sendFixedPoint(35, ['1.5'])).toBeTruthy()
+    expect(spdzSockets.sendData).toHaveBeenCalledWith(35, bufForSpdz)
+  })
+
+  it('can send mixed type segments as one frame or one frame per segment', () => {
+    const segments = [
+      { type: 'int32', values: [2] },
+      { type: 'modp', values: ['4ug='] }
+    ]
+    spdzSockets.sendData.mockImplementation(() => Promise.resolve(true))
+
+    expect(moduleUnderTest.sendStructured(35, segments)).toBeTruthy()
+    expect(spdzSockets.sendData).toHaveBeenLastCalledWith(
+      35,
+      Buffer.from('1400000002000000e8e20000000000000000000000000000', 'hex')
+    )
+
+    expect(moduleUnderTest.sendStructured(35, segments, true)).toBeTruthy()
+    expect(spdzSockets.sendData).toHaveBeenLastCalledWith(
+      35,
+      Buffer.from(
+        '040000000200000010000000e8e20000000000000000000000000000',
+        'hex'
+      )
+    )
+  })
+
+  it('will not send any segments if one segment is invalid', () => {
+    const testThrows = () =>
+      moduleUnderTest.sendStructured(35, [
+        { type: 'int32', values: [2] },
+        { type: 'uint32', values: [-1] }
+      ])
+
+    expect(testThrows).toThrowError(
+      'Segment 1 (uint32): Value -1 is out of range for type uint32.'
+    )
+    expect(spdzSockets.sendData).not.toHaveBeenCalled()
+  })
+
+  it('can send binary modp values in big endian byte order', () => {
+    spdzSockets.sendData.mockImplementationOnce(() => Promise.resolve(true))
+
+    expect(
+      moduleUnderTest.sendBinary(
+        35,
+        'modp',
+        Buffer.from('0000000000000000000000000000e2e8', 'hex'),
+        'big'
+      )
+    ).toBeTruthy()
+    expect(spdzSockets.sendData).toHaveBeenCalledWith(
+      35,
+      Buffer.from('10000000e8e20000000000000000000000000000', 'hex')
+    )
+  })
+
+  it('will not send binary values for data types without a fixed size', () => {
+    const testThrows = () =>
+      moduleUnderTest.sendBinary(35, 'fix', Buffer.alloc(16))
+
+    expect(testThrows).toThrowError(
+      'Binary input is not supported for data type fix.'
+    )
+    expect(spdzSockets.sendData).not.toHaveBeenCalled()
+  })
+
   it('will throw an error if trying to get server data without setup', () => {
     const testThrows = () => moduleUnderTest.getServerTransmission(55)
 
@@ -47,7 +125,7 @@ describe('The spdz interface', () => {
       'hex'
     )
 
-    spdzSockets.sendData.mockImplementation(() => true)
+    spdzSockets.sendData.mockImplementation(() => Promise.resolve(true))
     spdzSockets.setupConnection.mockImplementation(() => {
       const net = require('net')
       return Promise.resolve(new net.Socket())
@@ -111,4 +189,799 @@ describe('The spdz interface', () => {
         done.fail(err)
       })
   })
+
+  it('can decode SPDZ messages with a data type header if requested', done => {
+    const net = require('net')
+    const spdzSocket = new net.Socket()
+    spdzSockets.checkConnection.mockImplementation(() => false)
+    spdzSockets.setupConnection.mockImplementation(() =>
+      Promise.resolve(spdzSocket)
+    )
+
+    moduleUnderTest
+      .setupConnection('decoder', undefined, undefined, undefined, {
+        decodeOutput: true
+      })
+      .then(() => {
+        spdzSocket.emit(
+          'data',
+          Buffer.from('0c000000030000000c000000feffffff0400000001020304', 'hex')
+        )
+        expect(moduleUnderTest.getServerTransmission('decoder')).toEqual({
+          type: 'int32',
+          values: [12, -2]
+        })
+        expect(moduleUnderTest.getServerTransmission('decoder')).toEqual(
+          Buffer.from('01020304', 'hex')
+        )
+        done()
+      })
+      .catch(err => {
+        done.fail(err)
+      })
+  })
+
+  it('closes the SPDZ connection after a protocol error, keeping buffered messages', done => {
+    const net = require('net')
+    const spdzSocket = new net.Socket()
+    const notifyProtocolError = jest.fn()
+    spdzSockets.checkConnection.mockImplementation(() => false)
+    spdzSockets.setupConnection.mockImplementation(() =>
+      Promise.resolve(spdzSocket)
+    )
+    moduleUnderTest.init('localhost', 14000, { maxFrameSize: 1024 })
+
+    moduleUnderTest
+      .setupConnection('corrupt', undefined, undefined, undefined, {
+        notifyProtocolError: notifyProtocolError
+      })
+      .then(() => {
+        spdzSocket.emit('data', Buffer.from('0100000007ffffff7f', 'hex'))
+
+        expect(notifyProtocolError).toHaveBeenCalledTimes(1)
+        expect(spdzSockets.closeConnection).toHaveBeenCalledWith(
+          'corrupt',
+          spdzSocket
+        )
+        expect(moduleUnderTest.getServerTransmission('corrupt')).toEqual(
+          Buffer.from('07', 'hex')
+        )
+        try {
+          moduleUnderTest.getServerTransmission('corrupt')
+          done.fail('Expected getServerTransmission to throw error.')
+        } catch (err) {
+          expect(err.protocolError).toBeTruthy()
+          expect(err.message).toEqual(
+            'SPDZ connection for client corrupt was closed after a protocol error. Server transmission header declares a payload of 2147483647 bytes, more than the maximum of 1024 bytes.'
+          )
+          done()
+        }
+      })
+      .catch(err => {
+        done.fail(err)
+      })
+  })
+
+  it('applies the configured send queue high water mark to new connections', done => {
+    const queueDepth = {
+      queuedBytes: 0,
+      queuedWrites: 0,
+      highWaterMark: 2048,
+      paused: false
+    }
+    spdzSockets.checkConnection.mockImplementation(() => false)
+    spdzSockets.getQueueDepth.mockImplementation(() => queueDepth)
+    spdzSockets.setupConnection.mockImplementation(() => {
+      const net = require('net')
+      return Promise.resolve(new net.Socket())
+    })
+    moduleUnderTest.init('localhost', 14000, { queueHighWaterMark: 2048 })
+
+    moduleUnderTest
+      .setupConnection('queued')
+      .then(() => {
+        expect(spdzSockets.setupConnection).toHaveBeenCalledWith(
+          'queued',
+          'localhost',
+          14000,
+          { highWaterMark: 2048, isCancelled: expect.any(Function) }
+        )
+        expect(moduleUnderTest.getQueueDepth('queued')).toEqual(queueDepth)
+        expect(spdzSockets.getQueueDepth).toHaveBeenCalledWith('queued')
+        done()
+      })
+      .catch(err => {
+        done.fail(err)
+      })
+  })
+
+  it('closes idle connections, freeing buffered data and notifying the reason', done => {
+    const net = require('net')
+    const spdzSocket = new net.Socket()
+    const notifyClosed = jest.fn()
+    spdzSockets.checkConnection.mockImplementation(() => false)
+    spdzSockets.setupConnection.mockImplementation(() =>
+      Promise.resolve(spdzSocket)
+    )
+    moduleUnderTest.init('localhost', 14000, {
+      idleTimeoutMs: 1000,
+      reapIntervalMs: 0
+    })
+
+    moduleUnderTest
+      .setupConnection('idle', undefined, undefined, notifyClosed)
+      .then(() => {
+        const now = Date.now()
+        expect(moduleUnderTest.reapConnections(now)).toEqual([])
+        expect(moduleUnderTest.reapConnections(now + 1000)).toEqual(['idle'])
+        expect(spdzSockets.closeConnection).toHaveBeenCalledWith('idle')
+
+        spdzSocket.emit('close')
+        expect(notifyClosed).toHaveBeenCalledWith(
+          'No client activity for 1000 ms.'
+        )
+        expect(() => moduleUnderTest.getServerTransmission('idle')).toThrow(
+          'Unable to get data for client idle, there is no SPDZ socket connection.'
+        )
+        done()
+      })
+      .catch(err => {
+        done.fail(err)
+      })
+  })
+
+  it('closes a connection as soon as too much data is waiting to be consumed', done => {
+    const net = require('net')
+    const spdzSocket = new net.Socket()
+    spdzSockets.checkConnection.mockImplementation(() => false)
+    spdzSockets.setupConnection.mockImplementation(() =>
+      Promise.resolve(spdzSocket)
+    )
+    moduleUnderTest.init('localhost', 14000, {
+      maxBufferedBytes: 4,
+      reapIntervalMs: 0
+    })
+
+    moduleUnderTest
+      .setupConnection('greedy')
+      .then(() => {
+        spdzSocket.emit('data', Buffer.from('03000000010203', 'hex'))
+        expect(spdzSockets.closeConnection).not.toHaveBeenCalled()
+
+        spdzSocket.emit('data', Buffer.from('03000000040506', 'hex'))
+        expect(spdzSockets.closeConnection).toHaveBeenCalledWith('greedy')
+        done()
+      })
+      .catch(err => {
+        done.fail(err)
+      })
+  })
+
+  it('retries the SPDZ connection if asked to wait', done => {
+    const notifyRetry = jest.fn()
+    spdzSockets.checkConnection.mockImplementation(() => false)
+    spdzSockets.setupConnection.mockImplementation(() => {
+      const net = require('net')
+      return Promise.resolve(new net.Socket())
+    })
+    moduleUnderTest.init('localhost', 14000, { reapIntervalMs: 0 })
+
+    moduleUnderTest
+      .setupConnection('waiting', undefined, undefined, undefined, {
+        waitMs: 3000,
+        notifyRetry: notifyRetry
+      })
+      .then(() => {
+        expect(spdzSockets.setupConnection).toHaveBeenCalledWith(
+          'waiting',
+          'localhost',
+          14000,
+          {
+            retry: { deadlineMs: 3000 },
+            onRetry: notifyRetry,
+            isCancelled: expect.any(Function)
+          }
+        )
+        done()
+      })
+      .catch(err => {
+        done.fail(err)
+      })
+  })
+})
+
+describe('The spdz interface admission queue', () => {
+  let engine
+  let sockets
+  let spdzSocketsByClient
+
+  beforeEach(() => {
+    // Fresh engine state, so connections from other tests do not hold slots.
+    jest.resetModules()
+    engine = require('../spdz_interface')
+    sockets = require('./spdzSockets')
+    spdzSocketsByClient = {}
+    sockets.setupConnection.mockImplementation(clientId => {
+      const net = require('net')
+      spdzSocketsByClient[clientId] = new net.Socket()
+      return Promise.resolve(spdzSocketsByClient[clientId])
+    })
+    sockets.checkConnection.mockImplementation(clientId =>
+      spdzSocketsByClient.hasOwnProperty(clientId)
+    )
+    sockets.closeConnection.mockImplementation(clientId => {
+      const socket = spdzSocketsByClient[clientId]
+      delete spdzSocketsByClient[clientId]
+      if (socket !== undefined) {
+        socket.emit('close')
+      }
+      return socket !== undefined
+    })
+    engine.init('localhost', 14000, { maxConnections: 1, reapIntervalMs: 0 })
+  })
+
+  it('queues clients in order once the maximum connections are in use', done => {
+    const secondPositions = jest.fn()
+    const thirdPositions = jest.fn()
+
+    engine.setupConnection('a').then(() => {
+      const second = engine.setupConnection(
+        'b',
+        undefined,
+        undefined,
+        undefined,
+        {
+          notifyQueuePosition: secondPositions
+        }
+      )
+      const third = engine.setupConnection(
+        'c',
+        undefined,
+        undefined,
+        undefined,
+        {
+          notifyQueuePosition: thirdPositions
+        }
+      )
+      expect(secondPositions).toHaveBeenLastCalledWith(1, 'b')
+      expect(thirdPositions).toHaveBeenLastCalledWith(2, 'c')
+      expect(engine.getConnectionStatus('a')).toEqual({
+        state: 'connected',
+        queuePosition: 0
+      })
+      expect(engine.getConnectionStatus('c')).toEqual({
+        state: 'queued',
+        queuePosition: 2
+      })
+      expect(sockets.setupConnection).toHaveBeenCalledTimes(1)
+
+      // First client finishes, so the second is admitted and the third moves up.
+      engine.closeConnection('a')
+      expect(thirdPositions).toHaveBeenLastCalledWith(1, 'c')
+
+      second
+        .then(clientId => {
+          expect(clientId).toEqual('b')
+          expect(engine.getConnectionStatus('b').state).toEqual('connected')
+
+          // Third client gives up waiting.
+          engine.closeConnection('c')
+          return third
+        })
+        .then(() => done.fail('Expected queued client to be rejected.'))
+        .catch(err => {
+          expect(err.message).toEqual(
+            'Client c left the queue before connecting to the SPDZ engine.'
+          )
+          expect(engine.getConnectionStatus('c')).toEqual({
+            state: 'none',
+            queuePosition: 0
+          })
+          done()
+        })
+    })
+  })
+
+  it('cancels a client which is still connecting', () => {
+    sockets.setupConnection.mockImplementationOnce(() => new Promise(() => {}))
+
+    engine.setupConnection('a')
+    expect(engine.getConnectionStatus('a').state).toEqual('connecting')
+    expect(engine.closeConnection('a')).toBe(true)
+    expect(engine.getConnectionStatus('a').state).toEqual('none')
+    expect(engine.closeConnection('a')).toBe(false)
+
+    // Slot is free for the next client.
+    return engine.setupConnection('b').then(clientId => {
+      expect(clientId).toEqual('b')
+    })
+  })
+
+  it('finds a queued client with a generated id given as a string', () => {
+    engine.setupConnection('a')
+    const queued = engine.setupConnection()
+    expect(engine.getConnectionStatus('1')).toEqual({
+      state: 'queued',
+      queuePosition: 1
+    })
+    expect(engine.closeConnection('1')).toBe(true)
+
+    return queued
+      .then(() => {
+        throw new Error('Expected queued client to be rejected.')
+      })
+      .catch(err => {
+        expect(err.message).toEqual(
+          'Client 1 left the queue before connecting to the SPDZ engine.'
+        )
+      })
+  })
+
+  it('admits the next client if a connection attempt fails', done => {
+    sockets.setupConnection.mockImplementationOnce(() =>
+      Promise.reject(new Error('connect ECONNREFUSED'))
+    )
+
+    engine.setupConnection('a').catch(() => {})
+    const second = engine.setupConnection('b')
+    expect(engine.getConnectionStatus('a').state).toEqual('connecting')
+    expect(engine.getConnectionStatus('b').state).toEqual('queued')
+
+    second
+      .then(clientId => {
+        expect(clientId).toEqual('b')
+        done()
+      })
+      .catch(err => {
+        done.fail(err)
+      })
+  })
+})
+
+// Sockets for a separately created engine, simulating SPDZ with net.Socket event emitters.
+const createSockets = () => {
+  const net = require('net')
+  const connections = {}
+  return {
+    setupConnection: jest.fn(clientId => {
+      const socket = new net.Socket()
+      connections[clientId] = socket
+      socket.on('close', () => {
+        if (connections[clientId] === socket) {
+          delete connections[clientId]
+        }
+      })
+      return Promise.resolve(socket)
+    }),
+    checkConnection: jest.fn(clientId => connections.hasOwnProperty(clientId)),
+    closeConnection: jest.fn(clientId => {
+      const socket = connections[clientId]
+      delete connections[clientId]
+      if (socket !== undefined) {
+        socket.emit('close')
+      }
+      return socket !== undefined
+    }),
+    sendData: jest.fn(() => Promise.resolve(true)),
+    whenFlushed: jest.fn(() => Promise.resolve(true)),
+    connections: connections
+  }
+}
+
+describe('Reconnecting a spdz interface client while it is connecting', () => {
+  const sinon = require('sinon')
+  const EventEmitter = require('events').EventEmitter
+  const net = require('net')
+  // SPDZ sockets in the order the connection attempts are made.
+  let attempts
+
+  beforeEach(() => {
+    attempts = []
+    sinon.stub(net, 'Socket', () => {
+      const socket = new EventEmitter()
+      socket.connect = () => {} // connect or error events are emitted by the test
+      socket.setNoDelay = () => {}
+      socket.destroy = jest.fn(() => socket.emit('close'))
+      attempts.push(socket)
+      return socket
+    })
+  })
+
+  afterEach(() => {
+    net.Socket.restore()
+  })
+
+  it('closes the earlier attempt without touching the new connection if it connects last', () => {
+    const sockets = require.requireActual('./spdzSockets').createSpdzSockets()
+    const engine = moduleUnderTest.createSpdzEngine(sockets)
+    engine.init('localhost', 14000, { maxConnections: 1, reapIntervalMs: 0 })
+
+    const first = engine.setupConnection('x')
+    engine.closeConnection('x')
+    const second = engine.setupConnection('x')
+    attempts[1].emit('connect')
+
+    return second
+      .then(clientId => {
+        expect(clientId).toEqual('x')
+        attempts[0].emit('connect')
+        return first
+      })
+      .then(() => {
+        throw new Error('Expected the earlier attempt to be rejected.')
+      })
+      .catch(err => {
+        expect(err.message).toEqual(
+          'Connection to SPDZ for client x was cancelled before it was established.'
+        )
+        expect(attempts[0].destroy).toHaveBeenCalledTimes(1)
+        expect(attempts[1].destroy).not.toHaveBeenCalled()
+        expect(engine.checkConnection('x')).toBe(true)
+        expect(engine.getConnectionStatus('x').state).toEqual('connected')
+        // The slot is held by the new connection only, so is free once it closes.
+        engine.closeConnection('x')
+        const next = engine.setupConnection('y')
+        expect(engine.getConnectionStatus('y').state).toEqual('connecting')
+        attempts[2].emit('connect')
+        return next
+      })
+      .then(clientId => {
+        expect(clientId).toEqual('y')
+      })
+  })
+})
+
+describe('Independent spdz interfaces', () => {
+  it('keeps connections and settings separate for each SPDZ engine', () => {
+    const auctionSockets = createSockets()
+    const votingSockets = createSockets()
+    const auction = moduleUnderTest.createSpdzEngine(auctionSockets)
+    const voting = moduleUnderTest.createSpdzEngine(votingSockets)
+    auction.init('spdz-auction', 14000, {
+      maxConnections: 1,
+      reapIntervalMs: 0
+    })
+    voting.init('spdz-voting', 14001, { reapIntervalMs: 0 })
+
+    return Promise.all([
+      auction.setupConnection('a'),
+      voting.setupConnection('a'),
+      voting.setupConnection('b')
+    ]).then(() => {
+      expect(auctionSockets.setupConnection).toHaveBeenCalledWith(
+        'a',
+        'spdz-auction',
+        14000,
+        expect.any(Object)
+      )
+      expect(votingSockets.setupConnection).toHaveBeenCalledWith(
+        'a',
+        'spdz-voting',
+        14001,
+        expect.any(Object)
+      )
+      // Only the auction engine has a connection limit.
+      const queued = auction.setupConnection('b')
+      expect(auction.getConnectionStatus('b').state).toEqual('queued')
+
+      expect(voting.closeConnection('a')).toBe(true)
+      expect(voting.getConnectionStatus('a').state).toEqual('none')
+      expect(auction.getConnectionStatus('a').state).toEqual('connected')
+      expect(auction.getConnectionStatus('b').state).toEqual('queued')
+      expect(spdzSockets.setupConnection).not.toHaveBeenCalled()
+
+      auction.closeConnection('b')
+      return queued.catch(err => {
+        expect(err.message).toEqual(
+          'Client b left the queue before connecting to the SPDZ engine.'
+        )
+      })
+    })
+  })
+})
+
+describe('Closing a spdz interface connection gracefully', () => {
+  let engine
+  let sockets
+
+  beforeEach(() => {
+    sockets = createSockets()
+    engine = moduleUnderTest.createSpdzEngine(sockets)
+    engine.init('localhost', 14000, { reapIntervalMs: 0 })
+  })
+
+  it('waits for pending writes to be flushed before closing', () => {
+    let flush
+    sockets.whenFlushed.mockImplementationOnce(
+      () => new Promise(resolve => (flush = resolve))
+    )
+
+    return engine.setupConnection('a').then(() => {
+      const closing = engine.closeConnectionGracefully('a')
+      expect(sockets.closeConnection).not.toHaveBeenCalled()
+
+      return engine
+        .sendIntegers('a', [1])
+        .then(() => {
+          throw new Error('Expected send to be refused while closing.')
+        })
+        .catch(err => {
+          expect(err.message).toEqual(
+            'SPDZ connection for client a is closing, no more data can be sent.'
+          )
+          expect(err.closing).toBe(true)
+          flush(true)
+          return closing
+        })
+        .then(result => {
+          expect(result).toEqual({ closed: true, mode: 'graceful' })
+          expect(sockets.closeConnection).toHaveBeenCalledWith('a')
+          expect(engine.getConnectionStatus('a').state).toEqual('none')
+        })
+    })
+  })
+
+  it('optionally waits for SPDZ to write its last output and close', () => {
+    const messageCallback = jest.fn()
+    const closedCallback = jest.fn()
+
+    return engine
+      .setupConnection('a', undefined, messageCallback, closedCallback)
+      .then(() => {
+        const closing = engine.closeConnectionGracefully('a', {
+          waitForOutput: true
+        })
+        // Let the flush resolve, the close must still wait for SPDZ.
+        return new Promise(resolve => setImmediate(resolve)).then(() => {
+          expect(sockets.closeConnection).not.toHaveBeenCalled()
+          const spdzSocket = sockets.connections.a
+          spdzSocket.emit('data', Buffer.from('0200000001020000', 'hex'))
+          expect(messageCallback).toHaveBeenCalledTimes(1)
+          expect(engine.getServerTransmission('a')).toEqual(
+            Buffer.from('0102', 'hex')
+          )
+          spdzSocket.emit('close')
+          return closing
+        })
+      })
+      .then(result => {
+        expect(result).toEqual({ closed: true, mode: 'graceful' })
+        expect(closedCallback).toHaveBeenCalledTimes(1)
+      })
+  })
+
+  it('forces the close once the timeout is reached', () => {
+    sockets.whenFlushed.mockImplementationOnce(() => new Promise(() => {}))
+
+    return engine
+      .setupConnection('a')
+      .then(() => engine.closeConnectionGracefully('a', { timeoutMs: 10 }))
+      .then(result => {
+        expect(result).toEqual({ closed: true, mode: 'forced' })
+        expect(sockets.closeConnection).toHaveBeenCalledWith('a')
+      })
+  })
+
+  it('closes immediately if there is no open SPDZ connection', () => {
+    return engine.closeConnectionGracefully('missing').then(result => {
+      expect(result).toEqual({ closed: false, mode: 'immediate' })
+      expect(sockets.whenFlushed).not.toHaveBeenCalled()
+    })
+  })
+})
+
+describe('Reading spdz interface messages until acknowledged', () => {
+  it('keeps messages until the client acknowledges them', () => {
+    const sockets = createSockets()
+    const engine = moduleUnderTest.createSpdzEngine(sockets)
+    engine.init('localhost', 14000, { reapIntervalMs: 0 })
+
+    return engine.setupConnection('a').then(() => {
+      sockets.connections.a.emit(
+        'data',
+        Buffer.from('01000000070100000008', 'hex')
+      )
+
+      expect(engine.getServerTransmissionsFrom('a', 1)).toEqual([
+        { seq: 1, data: Buffer.from([7]) },
+        { seq: 2, data: Buffer.from([8]) }
+      ])
+      expect(engine.acknowledgeServerTransmissions('a', 1)).toEqual(1)
+      expect(engine.getServerTransmissionsFrom('a', 1)).toEqual([
+        { seq: 2, data: Buffer.from([8]) }
+      ])
+      expect(engine.getServerTransmission('a')).toEqual(Buffer.from([8]))
+
+      engine.closeConnection('a')
+      expect(() => engine.getServerTransmissionsFrom('a', 1)).toThrow(
+        'Unable to get data for client a, there is no SPDZ socket connection.'
+      )
+      expect(() => engine.acknowledgeServerTransmissions('a', 1)).toThrow(
+        'Unable to get data for client a, there is no SPDZ socket connection.'
+      )
+    })
+  })
+})
+
+describe('Reading several spdz interface messages at once', () => {
+  it('returns up to the maximum messages, decoded unless raw', () => {
+    const sockets = createSockets()
+    const engine = moduleUnderTest.createSpdzEngine(sockets)
+    engine.init('localhost', 14000, { reapIntervalMs: 0 })
+
+    return engine
+      .setupConnection('a', undefined, undefined, undefined, {
+        decodeOutput: true
+      })
+      .then(() => {
+        // 2 int32 messages with data type header, then an undecodable message.
+        sockets.connections.a.emit(
+          'data',
+          Buffer.from(
+            '08000000030000000c00000008000000030000000d0000000100000007',
+            'hex'
+          )
+        )
+
+        expect(engine.getServerTransmissions('a', 1)).toEqual([
+          { seq: 1, data: { type: 'int32', values: [12] } }
+        ])
+        expect(engine.getServerTransmissions('a', 5, true)).toEqual([
+          { seq: 2, data: Buffer.from('030000000d000000', 'hex') },
+          { seq: 3, data: Buffer.from([7]) }
+        ])
+        expect(engine.getServerTransmissions('a', 5)).toEqual([])
+        expect(() => engine.getServerTransmissions('b', 5)).toThrow(
+          'Unable to get data for client b, there is no SPDZ socket connection.'
+        )
+      })
+  })
+})
+
+describe('Waiting for spdz interface messages', () => {
+  it('finishes the wait as soon as a message arrives', () => {
+    const sockets = createSockets()
+    const engine = moduleUnderTest.createSpdzEngine(sockets)
+    engine.init('localhost', 14000, { reapIntervalMs: 0 })
+
+    return engine
+      .setupConnection('a')
+      .then(() => {
+        const waiting = engine.waitForServerTransmission('a', 10000)
+        sockets.connections.a.emit('data', Buffer.from('0100000007', 'hex'))
+
+        return waiting.ready.then(reason => {
+          expect(reason).toEqual('message')
+          expect(engine.getServerTransmission('a')).toEqual(Buffer.from([7]))
+          // Already buffered message does not wait.
+          sockets.connections.a.emit('data', Buffer.from('0100000008', 'hex'))
+          return engine.waitForServerTransmission('a', 10000).ready
+        })
+      })
+      .then(reason => {
+        expect(reason).toEqual('message')
+      })
+  })
+
+  it('finishes the wait if the SPDZ connection closes, times out or is cancelled', () => {
+    const sockets = createSockets()
+    const engine = moduleUnderTest.createSpdzEngine(sockets)
+    engine.init('localhost', 14000, { reapIntervalMs: 0 })
+
+    return engine
+      .setupConnection('a')
+      .then(() => {
+        const waiting = engine.waitForServerTransmission('a', 10000)
+        sockets.connections.a.emit('close')
+        return waiting.ready
+      })
+      .then(reason => {
+        expect(reason).toEqual('closed')
+        return engine.waitForServerTransmission('a', 10000).ready
+      })
+      .then(reason => {
+        expect(reason).toEqual('closed')
+        return engine.setupConnection('b')
+      })
+      .then(() => {
+        return engine.waitForServerTransmission('b', 5).ready
+      })
+      .then(reason => {
+        expect(reason).toEqual('timeout')
+        const waiting = engine.waitForServerTransmission('b', 10000)
+        waiting.cancel()
+        return waiting.ready
+      })
+      .then(reason => {
+        expect(reason).toEqual('cancelled')
+        expect(() => engine.waitForServerTransmission('c', 10)).toThrow(
+          'Unable to get data for client c, there is no SPDZ socket connection.'
+        )
+      })
+  })
+})
+
+describe('Watching spdz interface messages', () => {
+  it('notifies each new message and the connection closing until stopped', () => {
+    const sockets = createSockets()
+    const engine = moduleUnderTest.createSpdzEngine(sockets)
+    engine.init('localhost', 14000, { reapIntervalMs: 0 })
+    const onMessage = jest.fn()
+
+    return engine
+      .setupConnection('a')
+      .then(() => {
+        return new Promise(resolve => {
+          engine.watchServerTransmissions('a', {
+            onMessage: onMessage,
+            onClose: resolve
+          })
+          const stopped = jest.fn()
+          engine.watchServerTransmissions('a', {
+            onMessage: stopped,
+            onClose: stopped
+          })()
+          sockets.connections.a.emit(
+            'data',
+            Buffer.from('01000000070100000008', 'hex')
+          )
+          expect(onMessage).toHaveBeenCalledTimes(2)
+          expect(stopped).not.toHaveBeenCalled()
+          sockets.connections.a.emit('close')
+        })
+      })
+      .then(reason => {
+        expect(reason).toBeUndefined()
+        // Already closed, buffered messages are kept.
+        return new Promise(resolve => {
+          engine.watchServerTransmissions('a', {
+            onMessage: onMessage,
+            onClose: resolve
+          })
+        })
+      })
+      .then(() => {
+        expect(engine.getServerTransmissionsFrom('a', 1).length).toEqual(2)
+        expect(() =>
+          engine.watchServerTransmissions('b', {
+            onMessage: onMessage,
+            onClose: onMessage
+          })
+        ).toThrow(
+          'Unable to get data for client b, there is no SPDZ socket connection.'
+        )
+      })
+  })
+})
+
+describe('Sending framed data to the spdz interface', () => {
+  afterEach(() => {
+    spdzSockets.sendData.mockClear()
+  })
+
+  it('sends complete frames without conversion', () => {
+    const frames = Buffer.from('0200000001020000000001000000ff', 'hex')
+    spdzSockets.sendData.mockImplementationOnce(() => Promise.resolve(true))
+
+    return moduleUnderTest.sendFramed(35, frames).then(sent => {
+      expect(sent).toBe(true)
+      expect(spdzSockets.sendData).toHaveBeenCalledWith(35, frames)
+    })
+  })
+
+  it('refuses data which is not a sequence of complete frames', () => {
+    const message =
+      'Data must be a sequence of complete SPDZ frames, each with a 4 byte payload length header.'
+    expect(() =>
+      moduleUnderTest.sendFramed(35, Buffer.from('030000000102', 'hex'))
+    ).toThrow(message)
+    expect(() =>
+      moduleUnderTest.sendFramed(35, Buffer.from('01000000ff0100', 'hex'))
+    ).toThrow(message)
+    expect(() => moduleUnderTest.sendFramed(35, Buffer.alloc(0))).toThrow(
+      message
+    )
+    expect(() => moduleUnderTest.sendFramed(35, [1, 2])).toThrow(message)
+    expect(spdzSockets.sendData).not.toHaveBeenCalled()
+  })
 })
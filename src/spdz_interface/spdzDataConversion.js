@@ -3,6 +3,7 @@
 'use strict'
 
 const assert = require('assert')
+const bigInt = require('big-integer')
 
 /**
  * SPDZ server transmissions are expected to hold the payload length in first 4 bytes.
@@ -27,6 +28,244 @@ const generatePayloadHeader = payloadByteSize => {
   return buf
 }
 
+/**
+ * Convert a non negative big integer into a buffer (default 16 bytes) in little endian byte order.
+ */
+const bigIntToLittleEndian = (value, byteSize = 16) => {
+  const hexValue = value.toString(16)
+  assert(
+    hexValue.length <= byteSize * 2,
+    `Value ${value.toString()} is too large to fit into ${byteSize * 8} bits.`
+  )
+  return Buffer.from(hexValue.padStart(byteSize * 2, '0'), 'hex').reverse()
+}
+
+/**
+ * Byte size and signedness of the clear integer types which can be sent to a SPDZ regint.
+ */
+const integerTypes = {
+  int32: { byteSize: 4, signed: true },
+  uint32: { byteSize: 4, signed: false },
+  int64: { byteSize: 8, signed: true },
+  uint64: { byteSize: 8, signed: false }
+}
+
+/**
+ * Parse an integer supplied as a safe integer Number, a decimal String or
+ * a BigInt like String with a trailing n, e.g. '9007199254740993n'.
+ * @returns {bigInt} the integer value.
+ */
+const parseInteger = value => {
+  if (typeof value === 'number') {
+    assert(
+      Number.isSafeInteger(value),
+      `Value ${value} is not a safe integer, supply large integers as strings.`
+    )
+    return bigInt(value)
+  }
+  assert(
+    typeof value === 'string' && /^[+-]?\d+n?$/.test(value.trim()),
+    `Value ${value} is not a valid integer.`
+  )
+  return bigInt(value.trim().replace(/^\+|n$/g, ''))
+}
+
+/**
+ * Convert an integer in the range 0 <= value < prime into Montgomery form,
+ * which is how SPDZ holds modp values in memory and reads them from a socket.
+ */
+const toMontgomery = (value, fieldParams) =>
+  value.multiply(fieldParams.montgomeryR).mod(fieldParams.prime)
+
+/**
+ * Convert a value in Montgomery form back into an integer in the range 0 <= value < prime.
+ */
+const fromMontgomery = (value, fieldParams) =>
+  value.multiply(fieldParams.montgomeryRInverse).mod(fieldParams.prime)
+
+/**
+ * Message types written by the SPDZ write_to_socket instructions as a 4 byte header, see
+ * SPDZ ClientMessageType. Type 0 (NoType) writes no header so cannot be recognised.
+ */
+const clientMessageTypes = {
+  1: 'tripleShares',
+  2: 'modp',
+  3: 'int',
+  4: 'fix'
+}
+
+/**
+ * Parse a decimal number, supplied as a Number or String (optionally with exponent),
+ * into an exact representation of digits * 10^exponent.
+ * @param {Number} [maxDigits] optional, most significant digits to keep, further digits are replaced by
+ *        a single digit, 1 if any were non zero, so the value still compares the same against shorter decimals.
+ * @returns {Object} containing bigInt digits (signed) and Number exponent.
+ */
+const parseDecimal = (value, maxDigits = Infinity) => {
+  let valueStr = value
+  if (typeof value === 'number') {
+    assert(Number.isFinite(value), `Value ${value} is not a finite number.`)
+    valueStr = value.toString()
+  }
+  assert(
+    typeof valueStr === 'string',
+    `Value ${value} must be a number or a decimal string.`
+  )
+
+  const match = /^([+-]?)(\d*)(?:\.(\d*))?(?:[eE]([+-]?\d+))?$/.exec(
+    valueStr.trim()
+  )
+  assert(
+    match !== null && (match[2].length > 0 || (match[3] || '').length > 0),
+    `Value ${value} is not a valid decimal number.`
+  )
+
+  const fraction = match[3] || ''
+  let digitString = `${match[2]}${fraction}`.replace(/^0+/, '')
+  let exponent = parseInt(match[4] || '0', 10) - fraction.length
+  if (digitString.length > maxDigits) {
+    const dropped = digitString.slice(maxDigits)
+    const stickyDigit = /[1-9]/.test(dropped) ? '1' : '0'
+    digitString = `${digitString.slice(0, maxDigits)}${stickyDigit}`
+    exponent += dropped.length - 1
+  }
+  const digits = bigInt(digitString || '0')
+  return {
+    digits: match[1] === '-' ? digits.negate() : digits,
+    exponent: exponent
+  }
+}
+
+/**
+ * Multiply a decimal value by 2^f and round to the nearest integer, ties away from zero.
+ * The size of the value is checked against k before any big integer arithmetic,
+ * so a huge exponent or number of digits cannot make the conversion slow.
+ * @returns {bigInt} the scaled integer.
+ * @throws {Error} if the value is 10^k or more, so overflows any k bit fixed point value.
+ */
+const scaleDecimal = (value, f, k) => {
+  // Enough digits to round values below 10^k at 2^-f.
+  const decimal = parseDecimal(value, k + f + 2)
+  if (decimal.digits.isZero()) {
+    return bigInt.zero
+  }
+  // Number of digits before the decimal point, the value is below 10^magnitude.
+  const magnitude = decimal.digits.abs().toString().length + decimal.exponent
+  assert(
+    magnitude <= k,
+    `Fixed point value ${value} overflows the range allowed by k=${k}, f=${f}.`
+  )
+  if (magnitude < -f - 1) {
+    // Below 10^(-f-1), so less than half of 2^-f.
+    return bigInt.zero
+  }
+  const scaled = decimal.digits.abs().shiftLeft(f)
+  let result
+  if (decimal.exponent >= 0) {
+    result = scaled.multiply(bigInt(10).pow(decimal.exponent))
+  } else {
+    const divisor = bigInt(10).pow(-decimal.exponent)
+    result = scaled
+      .multiply(2)
+      .add(divisor)
+      .divide(divisor.multiply(2))
+  }
+  return decimal.digits.isNegative() ? result.negate() : result
+}
+
+/**
+ * Check the fixed point precision parameters are usable with the SPDZ field.
+ */
+const validateFixParams = fixParams => {
+  const { f, k, prime } = fixParams
+  assert(
+    prime !== undefined,
+    'Fixed point conversion needs the SPDZ field prime to be configured.'
+  )
+  assert(
+    Number.isInteger(f) && Number.isInteger(k) && f >= 0 && k > f,
+    `Fixed point precision must be integers with 0 <= f < k, given f=${f}, k=${k}.`
+  )
+  assert(
+    k < prime.toString(2).length,
+    `Fixed point precision k=${k} is too large for the SPDZ field prime.`
+  )
+}
+
+/**
+ * Parse a field element supplied as an integer (see parseInteger) or a hex String prefixed with 0x.
+ * @returns {bigInt} the field element value.
+ */
+const parseFieldElement = value => {
+  if (typeof value === 'string' && /^0x[0-9a-f]+$/i.test(value.trim())) {
+    return bigInt(value.trim().slice(2), 16)
+  }
+  return parseInteger(value)
+}
+
+/**
+ * Split a buffer into a list of values of elementSize bytes, converting each with convertElement.
+ */
+const splitPayload = (buf, elementSize, convertElement) => {
+  let values = []
+  for (let posn = 0; posn < buf.length; posn += elementSize) {
+    values.push(convertElement(buf.slice(posn, posn + elementSize)))
+  }
+  return values
+}
+
+/**
+ * Convert a buffer in little endian byte order into a big integer, signed using two's complement.
+ */
+const littleEndianToBigInt = (buf, signed = false) => {
+  const bigEndianHex = Buffer.from(buf)
+    .reverse()
+    .toString('hex')
+  const value = bigInt(bigEndianHex, 16)
+  return signed && buf[buf.length - 1] >= 0x80
+    ? value.subtract(bigInt.one.shiftLeft(buf.length * 8))
+    : value
+}
+
+/**
+ * Package an array of integers into a buffer in little endian byte order, see public integersToSpdz.
+ */
+const integersToSpdz = (integerList, integerType) => {
+  assert(
+    integerTypes.hasOwnProperty(integerType),
+    `Integer type ${integerType} is not supported.`
+  )
+  const { byteSize, signed } = integerTypes[integerType]
+  const bitSize = byteSize * 8
+  const lowerBound = signed ? bigInt.one.shiftLeft(bitSize - 1).negate() : 0
+  const upperBound = signed
+    ? bigInt.one.shiftLeft(bitSize - 1)
+    : bigInt.one.shiftLeft(bitSize)
+
+  const payloadSize = integerList.length * byteSize
+  const header = generatePayloadHeader(payloadSize)
+
+  const buf = Buffer.alloc(payloadSize + 4, 0)
+  header.copy(buf)
+
+  integerList.forEach((integerValue, index) => {
+    const value = parseInteger(integerValue)
+    assert(
+      value.geq(lowerBound) && value.lesser(upperBound),
+      `Value ${integerValue} is out of range for type ${integerType}.`
+    )
+    const unsignedValue = value.isNegative()
+      ? value.add(bigInt.one.shiftLeft(bitSize))
+      : value
+    bigIntToLittleEndian(unsignedValue, byteSize).copy(
+      buf,
+      4 + index * byteSize
+    )
+  })
+
+  return buf
+}
+
 // Public
 module.exports = {
   /**
@@ -66,40 +305,116 @@ module.exports = {
   },
 
   /**
-   * Extract from a socketChunk the payload. Needed because transmissions over socket from server may be split or amalgamated.
-   * @param {Buffer} socketChunk The data provided to the socket from the SPDZ engine.
-   * @param {Number} expectedBytes If zero we are expecting a new server transmission with payload length header,
-   *   if not then continuing to read a chunked previous server transmission.
-   * @param {Buffer} remainingChunk Any bytes left over from last socket chunk.
-   * @returns {Object} containing payload, expectedBytes, remainingChunk.
+   * Decode a SPDZ message which starts with a write_to_socket 4 byte data type header into JSON.
+   * Modp values are rendered as decimal strings, 32 bit integers as numbers, 64 bit integers as
+   * decimal strings and fixed point values as numbers.
+   * @param {Buffer} payload SPDZ message without the payload length header.
+   * @param {Object} decodeParams containing prime, montgomeryRInverse (needed for modp and fix),
+   *  f (fixed point fractional bits) and regintSize (4 or 8 bytes).
+   * @returns {Object} {type, values} or null if the message is not recognised, e.g. no type
+   *  header, encrypted or the field prime is not configured.
    */
-  extractPayloadFromBuffer: (socketChunk, expectedBytes, remainingChunk) => {
-    let payload = Buffer.alloc(0)
-    let buf = socketChunk
-    let curPosn = 0
-    if (remainingChunk.length > 0) {
-      buf = Buffer.concat([remainingChunk, socketChunk])
+  decodeSpdzMessage: (payload, decodeParams) => {
+    if (payload.length < 4) {
+      return null
     }
+    const type = clientMessageTypes[payload.readUInt32LE(0)]
+    const isModp = type !== undefined && type !== 'int'
+    const elementSize = isModp ? 16 : decodeParams.regintSize || 4
+    const data = payload.slice(4)
 
-    if (expectedBytes === 0) {
-      // This a new server transmission so expect header
-      expectedBytes = calculatePayloadLength(buf)
-      curPosn = 4
+    if (
+      type === undefined ||
+      data.length % elementSize !== 0 ||
+      (isModp && decodeParams.prime === undefined)
+    ) {
+      return null
     }
 
-    payload = Buffer.from(buf.slice(curPosn, curPosn + expectedBytes))
+    if (type === 'int') {
+      return {
+        type: elementSize === 8 ? 'int64' : 'int32',
+        values: splitPayload(
+          data,
+          elementSize,
+          elementBuf =>
+            elementSize === 8
+              ? littleEndianToBigInt(elementBuf, true).toString()
+              : elementBuf.readInt32LE(0)
+        )
+      }
+    }
 
-    remainingChunk = Buffer.from(buf.slice(curPosn + expectedBytes))
+    const modpValues = splitPayload(data, 16, elementBuf =>
+      fromMontgomery(littleEndianToBigInt(elementBuf), decodeParams)
+    )
 
-    if (payload.length === expectedBytes) {
-      expectedBytes = 0
+    if (type === 'fix') {
+      const halfPrime = decodeParams.prime.shiftRight(1)
+      return {
+        type: type,
+        values: modpValues.map(
+          value =>
+            (value.greater(halfPrime)
+              ? value.subtract(decodeParams.prime)
+              : value
+            ).toJSNumber() / Math.pow(2, decodeParams.f)
+        )
+      }
     }
 
     return {
-      payload: payload,
-      expectedBytes: expectedBytes,
-      remainingChunk: remainingChunk
+      type: type,
+      values: modpValues.map(value => value.toString())
+    }
+  },
+
+  /**
+   * Package binary values, e.g. from a websocket binary attachment, into a buffer with a payload header.
+   * Values already in little endian byte order are copied once, big endian values have each
+   * element reversed as they are copied.
+   * @param {Buffer} data sequence of fixed size elements.
+   * @param {Number} elementSize byte size of each element.
+   * @param {boolean} [bigEndian] true if each element is in big endian byte order.
+   * @returns {Buffer} Containing payload size header followed by elements in little endian byte order.
+   */
+  binaryToSpdz: (data, elementSize, bigEndian = false) => {
+    assert(
+      data.length % elementSize === 0,
+      `Binary data length ${data.length} is not a multiple of the element size ${elementSize}.`
+    )
+    const buf = Buffer.allocUnsafe(data.length + 4)
+    generatePayloadHeader(data.length).copy(buf)
+
+    if (bigEndian) {
+      for (let posn = 0; posn < data.length; posn += elementSize) {
+        for (let i = 0; i < elementSize; i++) {
+          buf[4 + posn + i] = data[posn + elementSize - 1 - i]
+        }
+      }
+    } else {
+      data.copy(buf, 4)
     }
+
+    return buf
+  },
+
+  /**
+   * Combine a list of buffers, each holding a payload length header followed by a payload,
+   * into a single buffer with one header followed by all the payloads in order.
+   * @param {Array<Buffer>} frameList
+   * @returns {Buffer} Containing payload size header followed by combined payloads.
+   */
+  combinePayloads: frameList => {
+    const payloads = frameList.map(frame => frame.slice(4))
+    const payloadSize = payloads.reduce(
+      (total, payload) => total + payload.length,
+      0
+    )
+    return Buffer.concat(
+      [generatePayloadHeader(payloadSize)].concat(payloads),
+      payloadSize + 4
+    )
   },
 
   payloadLengthFromHeader: buf => {
@@ -111,15 +426,109 @@ module.exports = {
    * @param {Array<Number>} int32List array of 32 bit integers
    * @returns {Buffer} Containing integers
    */
-  int32ToSpdz: int32List => {
-    const payloadSize = int32List.length * 4
+  int32ToSpdz: int32List => integersToSpdz(int32List, 'int32'),
+
+  /**
+   * Package an array of integers into a buffer in little endian byte order for a SPDZ regint type.
+   * Signed types use two's complement. Throws an error if a value is out of range for the type.
+   * @param {Array<Number|String>} integerList array of integers, as numbers or decimal strings.
+   * @param {String} integerType one of int32, uint32, int64, uint64.
+   * @returns {Buffer} Containing payload size header followed by integers.
+   */
+  integersToSpdz: (integerList, integerType) =>
+    integersToSpdz(integerList, integerType),
+
+  /**
+   * Build the SPDZ field parameters needed to convert values to and from the modp Montgomery
+   * format. If montgomeryR is not given, assumes 128 bit values so R = 2^128 mod prime.
+   * @param {String} prime decimal string containing the SPDZ field prime.
+   * @param {String} [montgomeryR] decimal string containing the Montgomery R value.
+   * @returns {Object} containing bigInt prime, montgomeryR and montgomeryRInverse.
+   */
+  createFieldParams: (prime, montgomeryR) => {
+    const primeValue = bigInt(prime)
+    assert(
+      primeValue.greater(2) && primeValue.toString(2).length <= 128,
+      `SPDZ field prime must be a positive integer of at most 128 bits, given ${prime}.`
+    )
+    const montgomeryRValue =
+      montgomeryR !== undefined
+        ? bigInt(montgomeryR)
+        : bigInt.one.shiftLeft(128).mod(primeValue)
+    return {
+      prime: primeValue,
+      montgomeryR: montgomeryRValue,
+      montgomeryRInverse: montgomeryRValue.modInv(primeValue)
+    }
+  },
+
+  /**
+   * Package an array of field elements into a buffer as expected by SPDZ sint, cint read_from_socket,
+   * that is 16 byte modp values in Montgomery form, little endian byte order.
+   * Throws an error if a value is not an integer in the range 0 <= value < prime.
+   * @param {Array<Number|String>} gfpList array of integers as numbers, decimal strings or hex strings prefixed with 0x.
+   * @param {Object} fieldParams containing prime and montgomeryR.
+   * @returns {Buffer} Containing payload size header followed by 16 bytes per value.
+   */
+  gfpToSpdz: (gfpList, fieldParams) => {
+    assert(
+      fieldParams.prime !== undefined,
+      'Field element conversion needs the SPDZ field prime to be configured.'
+    )
+
+    const payloadSize = gfpList.length * 16
+    const header = generatePayloadHeader(payloadSize)
+
+    const buf = Buffer.alloc(payloadSize + 4, 0)
+    header.copy(buf)
+
+    gfpList.forEach((gfpValue, index) => {
+      const value = parseFieldElement(gfpValue)
+      assert(
+        !value.isNegative() && value.lesser(fieldParams.prime),
+        `Field element ${gfpValue} must be in the range 0 <= value < prime.`
+      )
+      bigIntToLittleEndian(toMontgomery(value, fieldParams)).copy(
+        buf,
+        4 + index * 16
+      )
+    })
+
+    return buf
+  },
+
+  /**
+   * Package an array of fixed point numbers into a buffer as expected by SPDZ
+   * sfix, cfix read_from_socket, that is modp values holding the number left shifted by f bits.
+   * Negative numbers are represented as prime - value, and the result put into Montgomery form.
+   * @param {Array<Number|String>} fixList array of numbers or decimal strings.
+   * @param {Object} fixParams containing f (fractional bits), k (total bits), prime and montgomeryR.
+   * @returns {Buffer} Containing payload size header followed by 16 bytes per value.
+   */
+  fixToSpdz: (fixList, fixParams) => {
+    validateFixParams(fixParams)
+    const { f, k } = fixParams
+    const upperBound = bigInt.one.shiftLeft(k - 1)
+
+    const payloadSize = fixList.length * 16
     const header = generatePayloadHeader(payloadSize)
 
     const buf = Buffer.alloc(payloadSize + 4, 0)
     header.copy(buf)
 
-    int32List.forEach((intValue, index) => {
-      buf.writeInt32LE(intValue, 4 + index * 4)
+    fixList.forEach((fixValue, index) => {
+      const scaled = scaleDecimal(fixValue, f, k)
+      assert(
+        scaled.geq(upperBound.negate()) && scaled.lesser(upperBound),
+        `Fixed point value ${fixValue} overflows the range allowed by k=${k}, f=${f}.`
+      )
+      const fieldValue = scaled.isNegative()
+        ? scaled.add(fixParams.prime)
+        : scaled
+      bigIntToLittleEndian(toMontgomery(fieldValue, fixParams)).copy(
+        buf,
+        4 + index * 16
+      )
     })
 
     return buf
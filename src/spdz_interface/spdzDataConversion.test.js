@@ -1,6 +1,7 @@
 'use strict'
 
 let moduleUnderTest = require('./spdzDataConversion')
+const bigInt = require('big-integer')
 
 describe('I can work out the payload length from the header', () => {
   it('converts first 4 bytes into payload length', () => {
@@ -69,3 +70,297 @@ describe('I can convert client public keys into a sequence of 32 bit integers',
     )
   })
 })
+
+describe('I can send an array of fixed point numbers to the SPDZ engine', () => {
+  // Mersenne prime 2^127 - 1, so R = 2^128 mod prime = 2
+  const fieldParams = moduleUnderTest.createFieldParams(
+    '170141183460469231731687303715884105727'
+  )
+  const fixParams = Object.assign({ f: 20, k: 40 }, fieldParams)
+
+  it('defaults the Montgomery R to 2^128 mod prime', () => {
+    expect(fieldParams.montgomeryR.toString()).toEqual('2')
+  })
+
+  it('converts numbers and decimal strings into Montgomery form modp values', () => {
+    const buf = moduleUnderTest.fixToSpdz([1.5, '-0.25'], fixParams)
+    expect(buf.length).toEqual(36)
+    expect(buf.toString('hex')).toEqual(
+      '20000000' +
+        '00003000000000000000000000000000' +
+        'fffff7ffffffffffffffffffffffff7f'
+    )
+  })
+
+  it('rounds values to the nearest fixed point representation', () => {
+    const buf = moduleUnderTest.fixToSpdz(
+      ['1e-6', 0.0000015],
+      Object.assign({}, fixParams, { montgomeryR: bigInt.one })
+    )
+    expect(buf.toString('hex')).toEqual(
+      '20000000' +
+        '01000000000000000000000000000000' +
+        '02000000000000000000000000000000'
+    )
+  })
+
+  it('throws an exception if a value overflows the precision range', () => {
+    const testThrows = () => moduleUnderTest.fixToSpdz([524288], fixParams)
+    expect(testThrows).toThrowError(
+      'Fixed point value 524288 overflows the range allowed by k=40, f=20.'
+    )
+  })
+
+  it('refuses or rounds to zero huge exponents before doing any big integer arithmetic', () => {
+    expect(() =>
+      moduleUnderTest.fixToSpdz(['1e200000'], fixParams)
+    ).toThrowError(
+      'Fixed point value 1e200000 overflows the range allowed by k=40, f=20.'
+    )
+    expect(() =>
+      moduleUnderTest.fixToSpdz(['-1e200000'], fixParams)
+    ).toThrowError(
+      'Fixed point value -1e200000 overflows the range allowed by k=40, f=20.'
+    )
+    expect(
+      moduleUnderTest.fixToSpdz(['1e-200000'], fixParams).toString('hex')
+    ).toEqual('10000000' + '00000000000000000000000000000000')
+  })
+
+  it('rounds values with many digits as if all the digits were used', () => {
+    // 2^-21 is half way between 0 and 2^-20.
+    const half = '0.000000476837158203125'
+    const buf = moduleUnderTest.fixToSpdz(
+      [
+        `${half}${'0'.repeat(100000)}`,
+        `0.000000476837158203124${'9'.repeat(100000)}`,
+        `-${half}${'0'.repeat(100000)}1`
+      ],
+      Object.assign({}, fixParams, { montgomeryR: bigInt.one })
+    )
+    expect(buf.toString('hex')).toEqual(
+      '30000000' +
+        '01000000000000000000000000000000' +
+        '00000000000000000000000000000000' +
+        'feffffffffffffffffffffffffffff7f'
+    )
+  })
+
+  it('throws an exception if a value is not a decimal number', () => {
+    const testThrows = () => moduleUnderTest.fixToSpdz(['12a'], fixParams)
+    expect(testThrows).toThrowError('Value 12a is not a valid decimal number.')
+  })
+
+  it('throws an exception if the SPDZ prime is not configured', () => {
+    const testThrows = () => moduleUnderTest.fixToSpdz([1], { f: 20, k: 40 })
+    expect(testThrows).toThrowError(
+      'Fixed point conversion needs the SPDZ field prime to be configured.'
+    )
+  })
+})
+
+describe('I can send an array of 64 bit and unsigned integers to the SPDZ engine', () => {
+  it('converts signed 64 bit integers from numbers and strings', () => {
+    const buf = moduleUnderTest.integersToSpdz(
+      [1510314061000, '-2', '9223372036854775807n'],
+      'int64'
+    )
+    expect(buf.length).toEqual(28)
+    expect(buf.toString('hex')).toEqual(
+      '18000000' + 'c8acbba55f010000' + 'feffffffffffffff' + 'ffffffffffffff7f'
+    )
+  })
+
+  it('converts unsigned 32 and 64 bit integers', () => {
+    expect(
+      moduleUnderTest.integersToSpdz([4294967295], 'uint32').toString('hex')
+    ).toEqual('04000000ffffffff')
+    expect(
+      moduleUnderTest
+        .integersToSpdz(['18446744073709551615'], 'uint64')
+        .toString('hex')
+    ).toEqual('08000000ffffffffffffffff')
+  })
+
+  it('throws an exception if a value is out of range for the type', () => {
+    const testThrows = () => moduleUnderTest.integersToSpdz([-1], 'uint64')
+    expect(testThrows).toThrowError('Value -1 is out of range for type uint64.')
+  })
+
+  it('throws an exception if a number is not a safe integer', () => {
+    const testThrows = () =>
+      moduleUnderTest.integersToSpdz([Math.pow(2, 60)], 'int64')
+    expect(testThrows).toThrowError(
+      'Value 1152921504606847000 is not a safe integer, supply large integers as strings.'
+    )
+  })
+
+  it('throws an exception if a value is not an integer', () => {
+    const testThrows = () => moduleUnderTest.int32ToSpdz([1.5])
+    expect(testThrows).toThrowError('Value 1.5 is not a safe integer')
+  })
+})
+
+describe('I can send an array of field elements to the SPDZ engine', () => {
+  const fieldParams = moduleUnderTest.createFieldParams(
+    '170141183460469231731687303715884105727'
+  )
+
+  it('converts decimal and hex strings into Montgomery form modp values', () => {
+    const buf = moduleUnderTest.gfpToSpdz(
+      [5, '170141183460469231731687303715884105726', '0x1F'],
+      fieldParams
+    )
+    expect(buf.length).toEqual(52)
+    expect(buf.toString('hex')).toEqual(
+      '30000000' +
+        '0a000000000000000000000000000000' +
+        'fdffffffffffffffffffffffffffff7f' +
+        '3e000000000000000000000000000000'
+    )
+  })
+
+  it('throws an exception if a value is not less than the prime', () => {
+    const testThrows = () =>
+      moduleUnderTest.gfpToSpdz(
+        ['170141183460469231731687303715884105727'],
+        fieldParams
+      )
+    expect(testThrows).toThrowError(
+      'Field element 170141183460469231731687303715884105727 must be in the range 0 <= value < prime.'
+    )
+  })
+
+  it('throws an exception if a value is negative', () => {
+    const testThrows = () => moduleUnderTest.gfpToSpdz(['-1'], fieldParams)
+    expect(testThrows).toThrowError(
+      'Field element -1 must be in the range 0 <= value < prime.'
+    )
+  })
+
+  it('throws an exception if the SPDZ prime is not configured', () => {
+    const testThrows = () => moduleUnderTest.gfpToSpdz([1], {})
+    expect(testThrows).toThrowError(
+      'Field element conversion needs the SPDZ field prime to be configured.'
+    )
+  })
+})
+
+describe('I can decode SPDZ messages with a data type header', () => {
+  const decodeParams = Object.assign(
+    { f: 20, regintSize: 4 },
+    moduleUnderTest.createFieldParams('170141183460469231731687303715884105727')
+  )
+
+  it('decodes 32 bit integers', () => {
+    const payload = Buffer.from('030000000c000000feffffff', 'hex')
+    expect(moduleUnderTest.decodeSpdzMessage(payload, decodeParams)).toEqual({
+      type: 'int32',
+      values: [12, -2]
+    })
+  })
+
+  it('decodes 64 bit integers as strings', () => {
+    const payload = Buffer.from(
+      '03000000feffffffffffffffc8acbba55f010000',
+      'hex'
+    )
+    expect(
+      moduleUnderTest.decodeSpdzMessage(
+        payload,
+        Object.assign({}, decodeParams, { regintSize: 8 })
+      )
+    ).toEqual({
+      type: 'int64',
+      values: ['-2', '1510314061000']
+    })
+  })
+
+  it('decodes Montgomery form modp values as decimal strings', () => {
+    const payload = Buffer.from(
+      '02000000' + '0a000000000000000000000000000000',
+      'hex'
+    )
+    expect(moduleUnderTest.decodeSpdzMessage(payload, decodeParams)).toEqual({
+      type: 'modp',
+      values: ['5']
+    })
+  })
+
+  it('decodes fixed point values as numbers', () => {
+    const payload = Buffer.from(
+      '04000000' +
+        '00003000000000000000000000000000' +
+        'fffff7ffffffffffffffffffffffff7f',
+      'hex'
+    )
+    expect(moduleUnderTest.decodeSpdzMessage(payload, decodeParams)).toEqual({
+      type: 'fix',
+      values: [1.5, -0.25]
+    })
+  })
+
+  it('does not decode unknown types or unexpected lengths', () => {
+    expect(
+      moduleUnderTest.decodeSpdzMessage(
+        Buffer.from('070000000c000000', 'hex'),
+        decodeParams
+      )
+    ).toBeNull()
+    expect(
+      moduleUnderTest.decodeSpdzMessage(
+        Buffer.from('030000000c0000', 'hex'),
+        decodeParams
+      )
+    ).toBeNull()
+  })
+
+  it('does not decode modp values without the SPDZ prime', () => {
+    const payload = Buffer.from(
+      '02000000' + '0a000000000000000000000000000000',
+      'hex'
+    )
+    expect(
+      moduleUnderTest.decodeSpdzMessage(payload, { f: 20, regintSize: 4 })
+    ).toBeNull()
+  })
+})
+
+describe('I can combine several SPDZ frames into one', () => {
+  it('combines payloads under a single payload length header', () => {
+    const buf = moduleUnderTest.combinePayloads([
+      moduleUnderTest.int32ToSpdz([2]),
+      moduleUnderTest.base64ToSpdz(['4ug=']),
+      moduleUnderTest.int32ToSpdz([1])
+    ])
+    expect(buf.toString('hex')).toEqual(
+      '18000000' + '02000000' + 'e8e20000000000000000000000000000' + '01000000'
+    )
+  })
+})
+
+describe('I can send binary values to the SPDZ engine', () => {
+  it('adds a payload header to little endian values', () => {
+    const buf = moduleUnderTest.binaryToSpdz(
+      Buffer.from('0100000002000000', 'hex'),
+      4
+    )
+    expect(buf.toString('hex')).toEqual('080000000100000002000000')
+  })
+
+  it('reverses each big endian value', () => {
+    const buf = moduleUnderTest.binaryToSpdz(
+      Buffer.from('0000000100000002', 'hex'),
+      4,
+      true
+    )
+    expect(buf.toString('hex')).toEqual('080000000100000002000000')
+  })
+
+  it('throws an exception if the length is not a multiple of the element size', () => {
+    const testThrows = () => moduleUnderTest.binaryToSpdz(Buffer.alloc(20), 16)
+    expect(testThrows).toThrowError(
+      'Binary data length 20 is not a multiple of the element size 16.'
+    )
+  })
+})
@@ -0,0 +1,118 @@
+/**
+ * Streaming decoder to split the byte stream sent by SPDZ into messages (frames).
+ * Each frame is a 4 byte little endian payload length header followed by the payload.
+ * Incoming chunks are held in a list and each payload is copied once, when all of its bytes
+ * have arrived, so large frames split over many chunks and many small frames in one chunk
+ * are both handled in linear time.
+ * Can be used directly with decode(chunk, onFrame), or as a Transform stream which
+ * pushes each payload as a Buffer.
+ */
+'use strict'
+
+const Transform = require('stream').Transform
+const FifoQueue = require('../support/fifoQueue')
+let spdzDataConversion = require('./spdzDataConversion')
+
+const HEADER_SIZE = 4
+
+class SpdzFrameDecoder extends Transform {
+  /**
+   * @param {Number} [maxFrameSize] Largest payload accepted, a larger length header is a protocol error.
+   */
+  constructor(maxFrameSize = Infinity) {
+    super({ readableObjectMode: true })
+    this.maxFrameSize = maxFrameSize
+    // Received chunks not yet fully consumed, the head chunk is consumed from headOffset.
+    this.chunks = new FifoQueue()
+    this.headOffset = 0
+    this.bufferedBytes = 0
+    // Payload length of the frame being received, or 0 if waiting for a header.
+    this.expectedBytes = 0
+  }
+
+  /**
+   * Remove the next size bytes from the held chunks, copying them into a single buffer.
+   */
+  consume(size) {
+    const target = Buffer.allocUnsafe(size)
+    let copied = 0
+    while (copied < size) {
+      const chunk = this.chunks.peek()
+      const available = chunk.length - this.headOffset
+      const toCopy = Math.min(available, size - copied)
+      chunk.copy(target, copied, this.headOffset, this.headOffset + toCopy)
+      copied += toCopy
+      if (toCopy === available) {
+        this.chunks.shift()
+        this.headOffset = 0
+      } else {
+        this.headOffset += toCopy
+      }
+    }
+    this.bufferedBytes -= size
+    return target
+  }
+
+  /**
+   * Add a chunk received from SPDZ and call onFrame with the payload of each frame it completes.
+   * Frames completed before a protocol error are still passed to onFrame.
+   * @param {Buffer} chunk
+   * @param {Function} onFrame called with each payload Buffer, in order.
+   * @throws {Error} if a header declares a payload larger than maxFrameSize.
+   */
+  decode(chunk, onFrame) {
+    if (chunk.length > 0) {
+      this.chunks.push(chunk)
+      this.bufferedBytes += chunk.length
+    }
+
+    for (;;) {
+      if (this.expectedBytes === 0) {
+        if (this.bufferedBytes < HEADER_SIZE) {
+          return
+        }
+        const payloadLength = spdzDataConversion.payloadLengthFromHeader(
+          this.consume(HEADER_SIZE)
+        )
+        if (payloadLength > this.maxFrameSize) {
+          throw new Error(
+            `Server transmission header declares a payload of ${payloadLength} bytes, more than the maximum of ${this.maxFrameSize} bytes.`
+          )
+        }
+        if (payloadLength === 0) {
+          onFrame(Buffer.alloc(0))
+          continue
+        }
+        this.expectedBytes = payloadLength
+      }
+
+      if (this.bufferedBytes < this.expectedBytes) {
+        return
+      }
+      const payload = this.consume(this.expectedBytes)
+      this.expectedBytes = 0
+      onFrame(payload)
+    }
+  }
+
+  /**
+   * Drop any partially received frame.
+   */
+  reset() {
+    this.chunks = new FifoQueue()
+    this.headOffset = 0
+    this.bufferedBytes = 0
+    this.expectedBytes = 0
+  }
+
+  _transform(chunk, encoding, callback) {
+    try {
+      this.decode(chunk, payload => this.push(payload))
+      callback()
+    } catch (err) {
+      callback(err)
+    }
+  }
+}
+
+module.exports = SpdzFrameDecoder
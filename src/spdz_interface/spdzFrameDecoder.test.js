@@ -0,0 +1,59 @@
+'use strict'
+
+const SpdzFrameDecoder = require('./spdzFrameDecoder')
+
+describe('I can split a SPDZ byte stream into frames', () => {
+  let decoder
+  let frames
+
+  beforeEach(() => {
+    decoder = new SpdzFrameDecoder(1024)
+    frames = []
+  })
+
+  const decode = chunk => decoder.decode(chunk, frame => frames.push(frame))
+
+  it('decodes several frames from one chunk', () => {
+    decode(Buffer.from('0200000001020000000001000000ff', 'hex'))
+
+    expect(frames).toEqual([
+      Buffer.from('0102', 'hex'),
+      Buffer.alloc(0),
+      Buffer.from('ff', 'hex')
+    ])
+    expect(decoder.expectedBytes).toEqual(0)
+    expect(decoder.bufferedBytes).toEqual(0)
+  })
+
+  it('decodes a frame and header split byte by byte', () => {
+    Buffer.from('03000000aabbcc', 'hex').forEach(byte =>
+      decode(Buffer.from([byte]))
+    )
+
+    expect(frames).toEqual([Buffer.from('aabbcc', 'hex')])
+  })
+
+  it('throws an error for a header larger than the maximum frame size', () => {
+    const testThrows = () => decode(Buffer.from('01000000aa00080000', 'hex'))
+
+    expect(testThrows).toThrowError(
+      'Server transmission header declares a payload of 2048 bytes, more than the maximum of 1024 bytes.'
+    )
+    expect(frames).toEqual([Buffer.from('aa', 'hex')])
+  })
+
+  it('can be used as a Transform stream', done => {
+    decoder.on('data', frame => frames.push(frame))
+    decoder.on('end', () => {
+      try {
+        expect(frames).toEqual([Buffer.from('0102', 'hex')])
+        done()
+      } catch (err) {
+        done.fail(err)
+      }
+    })
+
+    decoder.write(Buffer.from('020000', 'hex'))
+    decoder.end(Buffer.from('000102', 'hex'))
+  })
+})
@@ -1,26 +1,38 @@
 /**
  * Buffer data sent by server before being consumed by client.
- * Buffered data is stored as a fifo list of Buffer[N] (is a Uint8Array[N])
+ * Buffered data is stored as a fifo queue of Buffer[N] (is a Uint8Array[N]), each with the time it was received
+ * so that unconsumed messages can be expired, and a sequence number from 1 so that a client can read messages
+ * without removing them and acknowledge them once delivered.
  * Typically either unencrytped 128 bit big int numbers or an encrypted stream.
  * Note numbers are stored as recevied in little endian format (least significant byte first).
- * Acts as an event emitter, sending message_from_spdz event when a new SPDZ message is available to consume.
+ * Splitting the byte stream into messages is delegated to a SpdzFrameDecoder.
+ * Acts as an event emitter, sending message_from_spdz event when a new SPDZ message is available to consume,
+ * and protocol_error event if the data from SPDZ cannot be split into messages, after which further data is ignored.
  */
 'use strict'
 
 let EventEmitter = require('events').EventEmitter
 const logger = require('../support/logging')
-let spdzDataConversion = require('./spdzDataConversion')
+const FifoQueue = require('../support/fifoQueue')
+const SpdzFrameDecoder = require('./spdzFrameDecoder')
+
+// Default largest payload accepted from SPDZ, guards against corrupt or hostile length headers.
+const DEFAULT_MAX_FRAME_SIZE = 16 * 1024 * 1024
 
 class SpdzServerData extends EventEmitter {
-  constructor(clientId) {
+  constructor(clientId, maxFrameSize = DEFAULT_MAX_FRAME_SIZE) {
     super()
     this.clientId = clientId
-    // The fifo of big int buffers received from SPDZ engine
-    this.serverTransmission = []
-    // Based on the last payload length seen, how many payload bytes are yet to arrive
-    this.expectedBytes = 0
-    // If the last chunk did not contain all the bytes expected, hold here until the remaining bytes arrives.
-    this.incompleteTransmission = Buffer.alloc(0)
+    // Set if the stream from SPDZ could not be parsed, no more data will be accepted.
+    this.protocolError = null
+    // The fifo of {seq, message, receivedAt} received from SPDZ engine
+    this.serverTransmission = new FifoQueue()
+    // Sequence number of the next message received.
+    this.nextSeq = 1
+    // Total bytes of messages waiting to be consumed.
+    this.bufferedBytes = 0
+    // Holds partially received messages until complete.
+    this.frameDecoder = new SpdzFrameDecoder(maxFrameSize)
   }
 
   /**
@@ -29,42 +41,46 @@ class SpdzServerData extends EventEmitter {
    * @param {Buffer} message 
    */
   storeTransmission(message) {
-    this.serverTransmission.push(message)
+    this.serverTransmission.push({
+      seq: this.nextSeq,
+      message: message,
+      receivedAt: Date.now()
+    })
+    this.nextSeq += 1
+    this.bufferedBytes += message.length
     this.emit('message_from_spdz')
   }
+
   /**
-   * Store the chunk of data into a server transmission array.
+   * Store the chunk of data into a server transmission queue.
    * Note a server package of data may be split into unknown chunks during transmission and these are
    *  split/recombined according to the payload header which indicates expected bytes.
    * @param {Buffer} chunk  A Buffer is also a Uint8Array
    */
   storeChunk(chunk) {
-    const result = spdzDataConversion.extractPayloadFromBuffer(
-      chunk,
-      this.expectedBytes,
-      this.incompleteTransmission
-    )
-
-    logger.silly(
-      `Received payload ${result.payload.toString('hex')} for client ${this
-        .clientId}.`
-    )
-    this.expectedBytes = result.expectedBytes
-
-    if (result.expectedBytes === 0) {
-      // Got a complete transmission so store
-      this.storeTransmission(result.payload)
-      this.incompleteTransmission = result.remainingChunk
+    if (this.protocolError !== null) {
+      logger.debug(
+        `Ignoring ${chunk.length} bytes for client ${this
+          .clientId} after protocol error.`
+      )
+      return
+    }
 
-      if (this.incompleteTransmission.length > 0) {
-        // This chunk has remaining data which can be treated as a new transmission
-        let newTransmissionBuf = this.incompleteTransmission
-        this.incompleteTransmission = Buffer.alloc(0)
-        this.storeChunk(newTransmissionBuf)
-      }
-    } else {
-      // Incomplete transmission, hold what got and have to wait for next chunk
-      this.incompleteTransmission = result.payload
+    try {
+      this.frameDecoder.decode(chunk, payload => {
+        logger.silly(
+          `Received payload of ${payload.length} bytes for client ${this
+            .clientId}.`
+        )
+        this.storeTransmission(payload)
+      })
+    } catch (err) {
+      this.protocolError = err
+      this.frameDecoder.reset()
+      logger.warn(
+        `Protocol error in data from SPDZ for client ${this.clientId}. ${err.message}`
+      )
+      this.emit('protocol_error', err)
     }
   }
 
@@ -72,15 +88,93 @@ class SpdzServerData extends EventEmitter {
    * Get earliest server transmission or null if none.
    */
   popServerTransmission() {
-    if (this.serverTransmission.length > 0) {
-      return this.serverTransmission.splice(0, 1)[0]
-    } else {
+    const transmission = this.serverTransmission.shift()
+    if (transmission === undefined) {
       return null
     }
+    this.bufferedBytes -= transmission.message.length
+    return transmission.message
+  }
+
+  /**
+   * Get and remove the earliest server transmissions.
+   * @param {Number} maxCount most transmissions to return.
+   * @returns {Array} Array<Object> of {seq, message} in the order received.
+   */
+  popServerTransmissions(maxCount) {
+    const transmissions = []
+    while (
+      transmissions.length < maxCount &&
+      this.serverTransmission.length > 0
+    ) {
+      const seq = this.serverTransmission.peek().seq
+      transmissions.push({ seq: seq, message: this.popServerTransmission() })
+    }
+    return transmissions
+  }
+
+  /**
+   * Get the buffered server transmissions from a sequence number onwards, without removing them.
+   * @param {Number} seq sequence number of the first transmission wanted.
+   * @returns {Array} Array<Object> of {seq, message} in the order received.
+   */
+  getTransmissionsFrom(seq) {
+    const first = this.serverTransmission.peek()
+    if (first === undefined) {
+      return []
+    }
+    const transmissions = []
+    for (
+      let index = Math.max(0, seq - first.seq);
+      index < this.serverTransmission.length;
+      index++
+    ) {
+      const transmission = this.serverTransmission.get(index)
+      transmissions.push({
+        seq: transmission.seq,
+        message: transmission.message
+      })
+    }
+    return transmissions
   }
 
+  /**
+   * Remove server transmissions the client has received, up to and including a sequence number.
+   * @param {Number} seq sequence number of the last transmission received.
+   * @returns {Number} the number of transmissions removed.
+   */
+  acknowledge(seq) {
+    let count = 0
+    while (
+      this.serverTransmission.length > 0 &&
+      this.serverTransmission.peek().seq <= seq
+    ) {
+      this.popServerTransmission()
+      count += 1
+    }
+    return count
+  }
+
+  /**
+   * Bytes held for the client, unconsumed messages and any partially received message.
+   */
+  getBufferedBytes() {
+    return this.bufferedBytes + this.frameDecoder.bufferedBytes
+  }
+
+  /**
+   * Time in ms since epoch the earliest unconsumed message was received, or null if none.
+   */
+  getOldestMessageTime() {
+    const transmission = this.serverTransmission.peek()
+    return transmission !== undefined ? transmission.receivedAt : null
+  }
+
+  /**
+   * Payload length of a partially received message, or 0 if none.
+   */
   getExpectedBytes() {
-    return this.expectedBytes
+    return this.frameDecoder.expectedBytes
   }
 
   isEmpty() {
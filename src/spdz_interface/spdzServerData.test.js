@@ -1,6 +1,7 @@
 'use strict'
 
 let ModuleUnderTest = require('./spdzServerData')
+const logger = require('../support/logging')
 
 describe('I can read, store and retrieve server supplied byte data', () => {
   let moduleUnderTest
@@ -104,4 +105,153 @@ describe('I can read, store and retrieve server supplied byte data', () => {
 
     expect(mockCallBack).toHaveBeenCalled()
   })
+
+  it('receives a payload length header split across chunks', () => {
+    moduleUnderTest.storeChunk(Buffer.from([6, 0]))
+    moduleUnderTest.storeChunk(Buffer.from([0]))
+    expect(moduleUnderTest.isEmpty()).toBeTruthy()
+
+    moduleUnderTest.storeChunk(Buffer.from([0, 1, 2, 3, 4, 5, 6, 2]))
+    moduleUnderTest.storeChunk(Buffer.from([0, 0, 0, 9, 9]))
+
+    expect(moduleUnderTest.popServerTransmission()).toEqual(
+      Buffer.from([1, 2, 3, 4, 5, 6])
+    )
+    expect(moduleUnderTest.popServerTransmission()).toEqual(Buffer.from([9, 9]))
+  })
+
+  it('emits a protocol error and ignores further data if a header exceeds the maximum frame size', () => {
+    moduleUnderTest = new ModuleUnderTest(44, 64)
+    const mockCallBack = jest.fn()
+    moduleUnderTest.on('protocol_error', mockCallBack)
+
+    moduleUnderTest.storeChunk(Buffer.from([2, 0, 0, 0, 7, 7]))
+    moduleUnderTest.storeChunk(Buffer.from([0xff, 0xff, 0xff, 0xff, 1, 2]))
+    moduleUnderTest.storeChunk(Buffer.from([2, 0, 0, 0, 8, 8]))
+
+    expect(mockCallBack).toHaveBeenCalledTimes(1)
+    expect(mockCallBack.mock.calls[0][0].message).toEqual(
+      'Server transmission header declares a payload of 4294967295 bytes, more than the maximum of 64 bytes.'
+    )
+    expect(moduleUnderTest.protocolError).not.toBeNull()
+    expect(moduleUnderTest.popServerTransmission()).toEqual(Buffer.from([7, 7]))
+    expect(moduleUnderTest.popServerTransmission()).toBeNull()
+  })
+
+  it('tracks the bytes buffered and the time of the oldest unconsumed message', () => {
+    expect(moduleUnderTest.getBufferedBytes()).toEqual(0)
+    expect(moduleUnderTest.getOldestMessageTime()).toBeNull()
+
+    const before = Date.now()
+    moduleUnderTest.storeChunk(Buffer.from([2, 0, 0, 0, 7, 7, 3, 0, 0, 0, 8]))
+    const after = Date.now()
+
+    // 2 byte message and 1 byte of a partial message.
+    expect(moduleUnderTest.getBufferedBytes()).toEqual(3)
+    expect(moduleUnderTest.getOldestMessageTime()).toBeGreaterThanOrEqual(
+      before
+    )
+    expect(moduleUnderTest.getOldestMessageTime()).toBeLessThanOrEqual(after)
+
+    moduleUnderTest.popServerTransmission()
+    expect(moduleUnderTest.getBufferedBytes()).toEqual(1)
+    expect(moduleUnderTest.getOldestMessageTime()).toBeNull()
+  })
+
+  it('keeps numbered transmissions until they are acknowledged', () => {
+    moduleUnderTest.storeChunk(
+      Buffer.from([1, 0, 0, 0, 7, 1, 0, 0, 0, 8, 1, 0, 0, 0, 9])
+    )
+
+    expect(moduleUnderTest.getTransmissionsFrom(2)).toEqual([
+      { seq: 2, message: Buffer.from([8]) },
+      { seq: 3, message: Buffer.from([9]) }
+    ])
+    expect(moduleUnderTest.acknowledge(1)).toEqual(1)
+    expect(moduleUnderTest.getBufferedBytes()).toEqual(2)
+    // Asking for acknowledged transmissions returns those still held.
+    expect(moduleUnderTest.getTransmissionsFrom(1)).toEqual([
+      { seq: 2, message: Buffer.from([8]) },
+      { seq: 3, message: Buffer.from([9]) }
+    ])
+    expect(moduleUnderTest.getTransmissionsFrom(4)).toEqual([])
+
+    expect(moduleUnderTest.acknowledge(5)).toEqual(2)
+    expect(moduleUnderTest.isEmpty()).toBe(true)
+    expect(moduleUnderTest.getTransmissionsFrom(1)).toEqual([])
+
+    moduleUnderTest.storeChunk(Buffer.from([1, 0, 0, 0, 10]))
+    expect(moduleUnderTest.getTransmissionsFrom(1)).toEqual([
+      { seq: 4, message: Buffer.from([10]) }
+    ])
+  })
+
+  it('retrieves several transmissions at once', () => {
+    moduleUnderTest.storeChunk(
+      Buffer.from([1, 0, 0, 0, 7, 1, 0, 0, 0, 8, 1, 0, 0, 0, 9])
+    )
+
+    expect(moduleUnderTest.popServerTransmissions(2)).toEqual([
+      { seq: 1, message: Buffer.from([7]) },
+      { seq: 2, message: Buffer.from([8]) }
+    ])
+    expect(moduleUnderTest.getBufferedBytes()).toEqual(1)
+    expect(moduleUnderTest.popServerTransmissions(2)).toEqual([
+      { seq: 3, message: Buffer.from([9]) }
+    ])
+    expect(moduleUnderTest.popServerTransmissions(2)).toEqual([])
+    expect(moduleUnderTest.isEmpty()).toBe(true)
+  })
+})
+
+// Throughput is logged for comparison between changes, timings vary too much between machines to assert on.
+describe('Benchmark storing and retrieving server supplied byte data', () => {
+  const MB = 1024 * 1024
+
+  it('handles a 1 MB transmission received in 64 KB chunks', () => {
+    const serverData = new ModuleUnderTest(45)
+    const frame = Buffer.alloc(MB + 4, 7)
+    frame.writeUInt32LE(MB, 0)
+
+    const start = Date.now()
+    for (let posn = 0; posn < frame.length; posn += 64 * 1024) {
+      serverData.storeChunk(frame.slice(posn, posn + 64 * 1024))
+    }
+    const payload = serverData.popServerTransmission()
+    const elapsedMs = Math.max(Date.now() - start, 1)
+
+    expect(payload.length).toEqual(MB)
+    expect(payload[MB - 1]).toEqual(7)
+    expect(serverData.getBufferedBytes()).toEqual(0)
+    logger.info(
+      `1 MB in 64 KB chunks took ${elapsedMs}ms, ${(1000 / elapsedMs).toFixed(
+        1
+      )} MB/s.`
+    )
+  })
+
+  it('handles 10k small transmissions received in one chunk', () => {
+    const serverData = new ModuleUnderTest(46)
+    const frameCount = 10000
+    const chunk = Buffer.alloc(frameCount * 20, 1)
+    for (let i = 0; i < frameCount; i++) {
+      chunk.writeUInt32LE(16, i * 20)
+    }
+
+    const start = Date.now()
+    serverData.storeChunk(chunk)
+    let received = 0
+    while (serverData.popServerTransmission() !== null) {
+      received += 1
+    }
+    const elapsedMs = Math.max(Date.now() - start, 1)
+
+    expect(received).toEqual(frameCount)
+    expect(serverData.getBufferedBytes()).toEqual(0)
+    logger.info(
+      `${frameCount} small transmissions took ${elapsedMs}ms, ${Math.round(
+        frameCount * 1000 / elapsedMs
+      )} transmissions/s.`
+    )
+  })
 })
@@ -1,25 +1,116 @@
 // Hold list of established socket connections to a spdz engine for clients.
 // Manages setup, teardown and sending data, but doesn't handle receiving data from SPDZ.
-// This is a stateful singleton module.
+// Each connection has an outbound queue of writes not yet flushed to the socket, once the
+// queued bytes reach the high water mark further sends are rejected until SPDZ reads the data.
+// State is held per createSpdzSockets instance, the module exports a default instance.
 'use strict'
 
 const net = require('net')
 const logger = require('../support/logging')
+const FifoQueue = require('../support/fifoQueue')
+
+// Default bytes allowed to be waiting to be flushed to SPDZ before refusing more input.
+const DEFAULT_HIGH_WATER_MARK = 16 * 1024 * 1024
+// Default delays between connection attempts, doubling from the initial delay up to the max delay.
+const DEFAULT_RETRY_INITIAL_DELAY_MS = 100
+const DEFAULT_RETRY_MAX_DELAY_MS = 2000
+
+/**
+ * Delay before the next connection attempt, exponential backoff with jitter so that
+ * clients waiting for the same SPDZ engine do not retry in step.
+ * @param {Number} attempt number of attempts made so far, from 1.
+ */
+const retryDelay = (attempt, retry) => {
+  const initialDelayMs =
+    retry.initialDelayMs !== undefined
+      ? retry.initialDelayMs
+      : DEFAULT_RETRY_INITIAL_DELAY_MS
+  const maxDelayMs =
+    retry.maxDelayMs !== undefined
+      ? retry.maxDelayMs
+      : DEFAULT_RETRY_MAX_DELAY_MS
+  const delayMs = Math.min(
+    maxDelayMs,
+    initialDelayMs * Math.pow(2, attempt - 1)
+  )
+  // Random between half and all of the delay.
+  return Math.round(delayMs / 2 + Math.random() * delayMs / 2)
+}
 
 /**
- * Hold map of client public keys to spdz server sockets.
+ * True once the caller no longer wants the connection being setup.
  */
-let spdzConnections = {}
+const isCancelled = options =>
+  options.isCancelled !== undefined && options.isCancelled()
+
+const cancelledError = clientId => {
+  const err = new Error(
+    `Connection to SPDZ for client ${clientId} was cancelled before it was established.`
+  )
+  err.cancelled = true
+  return err
+}
 
-// Public
-module.exports = {
-  // Return a promise to manage connection worked or failed.
-  setupConnection: (clientId, spdzHost, spdzPort) => {
+/**
+ * Create an independent set of SPDZ socket connections, e.g. one per SPDZ engine.
+ */
+const createSpdzSockets = () => {
+  /**
+   * Hold map of client public keys to spdz server sockets.
+   */
+  let spdzConnections = {}
+
+  /**
+   * Hold map of client public keys to outbound queues of writes waiting to be flushed,
+   * {highWaterMark, queuedBytes, writes : FifoQueue of {size, resolve, reject},
+   *  flushWaiters : Array of functions resolved once the writes are flushed}.
+   */
+  let outboundQueues = {}
+
+  /**
+   * Reject any writes still waiting when the socket closes.
+   */
+  const rejectQueuedWrites = clientId => {
+    const queue = outboundQueues[clientId]
+    if (queue !== undefined) {
+      let write = queue.writes.shift()
+      while (write !== undefined) {
+        write.reject(
+          new Error(
+            `SPDZ connection for client ${clientId} closed before data was sent.`
+          )
+        )
+        write = queue.writes.shift()
+      }
+      queue.flushWaiters.forEach(resolve => resolve(false))
+      delete outboundQueues[clientId]
+    }
+  }
+
+  /**
+   * Make a single attempt to connect to SPDZ. The socket is only registered for the client if the
+   * attempt has not been cancelled, so an earlier attempt for the same client id never replaces a later one.
+   */
+  const connectOnce = (clientId, spdzHost, spdzPort, options) => {
     return new Promise(function(resolve, reject) {
       let client = new net.Socket()
 
       client.once('connect', () => {
+        if (isCancelled(options)) {
+          client.destroy()
+          reject(cancelledError(clientId))
+          return
+        }
         spdzConnections[clientId] = client
+        outboundQueues[clientId] = {
+          highWaterMark:
+            options.highWaterMark !== undefined
+              ? options.highWaterMark
+              : DEFAULT_HIGH_WATER_MARK,
+          queuedBytes: 0,
+          writes: new FifoQueue(),
+          flushWaiters: []
+        }
         client.setNoDelay() // Remove buffering on socket write
         resolve(client)
       })
@@ -33,46 +124,172 @@ module.exports = {
         logger.warn(`Socket for client ${clientId} received error.`, error)
       })
 
-      client.on('close', data => {
+      client.on('close', () => {
         logger.info(`Socket closed by SPDZ for client ${clientId}.`)
-        delete spdzConnections[clientId]
+        // Only tidy up if this socket is still the current one for the client.
+        if (spdzConnections[clientId] === client) {
+          delete spdzConnections[clientId]
+          rejectQueuedWrites(clientId)
+        }
       })
 
       client.connect({ port: spdzPort, host: spdzHost })
     })
-  },
-
-  sendData: (clientId, data) => {
-    const client = spdzConnections[clientId]
-    if (client) {
-      const written = client.write(data)
-      logger.debug(
-        `Sending data to client ${clientId} data written immediately ${written}.`
-      )
-      return written
-    } else {
-      logger.debug(
-        `Sending data to client ${clientId} no SPDZ connection exists.`
-      )
-      return false
-    }
-  },
-
-  closeConnection: clientId => {
-    const client = spdzConnections[clientId]
-    if (client) {
-      logger.debug(`User with client ${clientId} is ending connection.`)
-      // Sending end sends Fin to server, but server not setup to respond and doesn't close socket
-      // client.end()
-      // Sending destroy closes socket, causes server end to code and notifies client.on('close')
-      client.destroy()
-      return true
-    } else {
-      return false
-    }
-  },
+  }
+
+  // Public
+  return {
+    /**
+     * Return a promise to manage connection worked or failed.
+     * Optionally retry failed connections, e.g. while the SPDZ engine is starting up and not yet listening.
+     * @param {String} clientId
+     * @param {String} spdzHost
+     * @param {String} spdzPort
+     * @param {Object} [options] optional, highWaterMark - bytes allowed in the outbound queue,
+     *        retry - {deadlineMs, initialDelayMs, maxDelayMs} to retry with exponential backoff for up to
+     *        deadlineMs, onRetry - callback function passed {attempt, delayMs, err} before each retry,
+     *        isCancelled - function returning true once the connection is no longer wanted, e.g. the client closed
+     *        it while connecting, checked when the socket connects and before each retry.
+     * @returns Promise resolving with the socket, or rejecting with the last connection error
+     *          (error has cancelled true if the connection was no longer wanted).
+     */
+    setupConnection: (clientId, spdzHost, spdzPort, options = {}) => {
+      const retry = options.retry
+      if (retry === undefined || !(retry.deadlineMs > 0)) {
+        return connectOnce(clientId, spdzHost, spdzPort, options)
+      }
+
+      const deadline = Date.now() + retry.deadlineMs
+      const attemptConnection = attempt =>
+        connectOnce(clientId, spdzHost, spdzPort, options).catch(err => {
+          const delayMs = retryDelay(attempt, retry)
+          if (err.cancelled || Date.now() + delayMs > deadline) {
+            throw err
+          }
+          logger.debug(
+            `Connection attempt ${attempt} to SPDZ for client ${clientId} failed, retrying in ${delayMs}ms.`
+          )
+          if (options.onRetry !== undefined) {
+            options.onRetry({ attempt: attempt, delayMs: delayMs, err: err })
+          }
+          return new Promise(resolve => setTimeout(resolve, delayMs)).then(
+            () =>
+              isCancelled(options)
+                ? Promise.reject(cancelledError(clientId))
+                : attemptConnection(attempt + 1)
+          )
+        })
+      return attemptConnection(1)
+    },
+
+    /**
+     * Queue data to be written to the SPDZ socket.
+     * @returns Promise resolving true once the data is flushed to the socket, or false if no
+     *  SPDZ connection exists. Rejects if the outbound queue is over the high water mark (error has
+     *  backPressure true), or the socket closes or errors before the data is flushed.
+     */
+    sendData: (clientId, data) => {
+      const client = spdzConnections[clientId]
+      const queue = outboundQueues[clientId]
+      if (!client || queue === undefined) {
+        logger.debug(
+          `Sending data to client ${clientId} no SPDZ connection exists.`
+        )
+        return Promise.resolve(false)
+      }
+
+      if (queue.queuedBytes >= queue.highWaterMark) {
+        logger.debug(
+          `Sending data to client ${clientId} refused, ${queue.queuedBytes} bytes waiting for SPDZ to read.`
+        )
+        const err = new Error(
+          `SPDZ engine is not reading input, ${queue.queuedBytes} bytes are waiting to be sent. Try again later.`
+        )
+        err.backPressure = true
+        return Promise.reject(err)
+      }
+
+      return new Promise((resolve, reject) => {
+        const write = { size: data.length, resolve, reject }
+        queue.writes.push(write)
+        queue.queuedBytes += data.length
 
-  checkConnection: clientId => {
-    return spdzConnections.hasOwnProperty(clientId) || false
+        const written = client.write(data, err => {
+          // Writes complete in order, so this write is at the head of the queue.
+          if (queue.writes.peek() === write) {
+            queue.writes.shift()
+            queue.queuedBytes -= write.size
+          }
+          err ? reject(err) : resolve(true)
+          if (queue.writes.length === 0 && queue.flushWaiters.length > 0) {
+            queue.flushWaiters.splice(0).forEach(resolve => resolve(true))
+          }
+        })
+        logger.debug(
+          `Sending data to client ${clientId} data written immediately ${written}.`
+        )
+      })
+    },
+
+    /**
+     * Wait for all data queued so far to be flushed to the socket, e.g. before closing the connection.
+     * @returns Promise resolving true once the outbound queue is empty, or false if there is no
+     *  SPDZ connection or it closes first.
+     */
+    whenFlushed: clientId => {
+      const queue = outboundQueues[clientId]
+      if (!spdzConnections[clientId] || queue === undefined) {
+        return Promise.resolve(false)
+      }
+      if (queue.writes.length === 0) {
+        return Promise.resolve(true)
+      }
+      return new Promise(resolve => queue.flushWaiters.push(resolve))
+    },
+
+    /**
+     * Get the state of the outbound queue for a client connection.
+     * @returns {Object} {queuedBytes, queuedWrites, highWaterMark, paused} or null if no connection.
+     */
+    getQueueDepth: clientId => {
+      const queue = outboundQueues[clientId]
+      if (!spdzConnections[clientId] || queue === undefined) {
+        return null
+      }
+      return {
+        queuedBytes: queue.queuedBytes,
+        queuedWrites: queue.writes.length,
+        highWaterMark: queue.highWaterMark,
+        paused: queue.queuedBytes >= queue.highWaterMark
+      }
+    },
+
+    /**
+     * Close the SPDZ socket for a client.
+     * @param {String} clientId
+     * @param {net.Socket} [socket] optional, only close the connection if it is still this socket.
+     * @returns {boolean} true if a connection was closed.
+     */
+    closeConnection: (clientId, socket) => {
+      const client = spdzConnections[clientId]
+      if (client && (socket === undefined || client === socket)) {
+        logger.debug(`User with client ${clientId} is ending connection.`)
+        // Sending end sends Fin to server, but server not setup to respond and doesn't close socket
+        // client.end()
+        // Sending destroy closes socket, causes server end to code and notifies client.on('close')
+        client.destroy()
+        return true
+      } else {
+        return false
+      }
+    },
+
+    checkConnection: clientId => {
+      return spdzConnections.hasOwnProperty(clientId) || false
+    }
   }
 }
+
+// Public, default instance used by the default spdz interface.
+module.exports = createSpdzSockets()
+module.exports.createSpdzSockets = createSpdzSockets
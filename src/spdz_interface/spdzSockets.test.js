@@ -19,9 +19,10 @@ describe('I create and close socket connections', () => {
     fakeSocket.destroy = () => {
       fakeSocket.emit('close')
     } // simulate ending socket
-    fakeSocket.write = data => {
+    fakeSocket.write = (data, callback) => {
+      setImmediate(callback)
       return true
-    } // simulate sending data
+    } // simulate sending data, flushed on next tick
     fakeSocket.setNoDelay = () => {}
     sinon.stub(net, 'Socket', () => {
       return fakeSocket
@@ -93,7 +94,241 @@ describe('I create and close socket connections', () => {
     // Faked connect event
     fakeSocket.emit('connect')
 
-    expect(moduleUnderTest.sendData(3, 'some data')).toBeTruthy()
-    expect(moduleUnderTest.sendData(4, 'some data')).toBeFalsy()
+    return Promise.all([
+      moduleUnderTest.sendData(3, 'some data'),
+      moduleUnderTest.sendData(4, 'some data')
+    ]).then(([sent, notSent]) => {
+      expect(sent).toBe(true)
+      expect(notSent).toBe(false)
+      expect(moduleUnderTest.getQueueDepth(3)).toEqual({
+        queuedBytes: 0,
+        queuedWrites: 0,
+        highWaterMark: 16 * 1024 * 1024,
+        paused: false
+      })
+      expect(moduleUnderTest.getQueueDepth(4)).toBeNull()
+    })
+  })
+
+  it('refuses data once the queue reaches the high water mark', () => {
+    // SPDZ not reading, so writes are never flushed.
+    const pendingCallbacks = []
+    fakeSocket.write = (data, callback) => {
+      pendingCallbacks.push(callback)
+      return false
+    }
+
+    moduleUnderTest.setupConnection(5, 'localhost', 12345, {
+      highWaterMark: 8
+    })
+    fakeSocket.emit('connect')
+
+    const firstSend = moduleUnderTest.sendData(5, Buffer.alloc(10))
+    expect(moduleUnderTest.getQueueDepth(5)).toEqual({
+      queuedBytes: 10,
+      queuedWrites: 1,
+      highWaterMark: 8,
+      paused: true
+    })
+
+    return moduleUnderTest
+      .sendData(5, Buffer.alloc(4))
+      .then(() => {
+        throw new Error('Expected send to be refused.')
+      })
+      .catch(err => {
+        expect(err.message).toEqual(
+          'SPDZ engine is not reading input, 10 bytes are waiting to be sent. Try again later.'
+        )
+        expect(err.backPressure).toBe(true)
+        // SPDZ reads the data.
+        pendingCallbacks.shift()()
+        return firstSend
+      })
+      .then(sent => {
+        expect(sent).toBe(true)
+        expect(moduleUnderTest.getQueueDepth(5).paused).toBe(false)
+        const unsentSend = moduleUnderTest.sendData(5, Buffer.alloc(4))
+        // SPDZ closes before reading the data.
+        fakeSocket.destroy()
+        return unsentSend
+      })
+      .then(() => {
+        throw new Error('Expected send to be rejected on close.')
+      })
+      .catch(err => {
+        expect(err.message).toEqual(
+          'SPDZ connection for client 5 closed before data was sent.'
+        )
+        expect(moduleUnderTest.getQueueDepth(5)).toBeNull()
+      })
+  })
+
+  it('retries a refused connection with backoff until SPDZ accepts it', () => {
+    // SPDZ refuses the first 2 attempts.
+    let attempts = 0
+    net.Socket.restore()
+    sinon.stub(net, 'Socket', () => {
+      const socket = new EventEmitter()
+      socket.setNoDelay = () => {}
+      socket.connect = () => {
+        attempts += 1
+        setImmediate(() => {
+          attempts < 3
+            ? socket.emit('error', { code: 'ECONNREFUSED' })
+            : socket.emit('connect')
+        })
+      }
+      return socket
+    })
+    const onRetry = jest.fn()
+
+    return moduleUnderTest
+      .setupConnection(6, 'localhost', 12345, {
+        retry: { deadlineMs: 1000, initialDelayMs: 4, maxDelayMs: 6 },
+        onRetry: onRetry
+      })
+      .then(() => {
+        expect(attempts).toEqual(3)
+        expect(moduleUnderTest.checkConnection(6)).toBe(true)
+        expect(onRetry).toHaveBeenCalledTimes(2)
+        expect(onRetry.mock.calls[0][0].attempt).toEqual(1)
+        expect(onRetry.mock.calls[0][0].delayMs).toBeGreaterThanOrEqual(2)
+        expect(onRetry.mock.calls[0][0].delayMs).toBeLessThanOrEqual(4)
+        expect(onRetry.mock.calls[1][0].attempt).toEqual(2)
+        expect(onRetry.mock.calls[1][0].delayMs).toBeGreaterThanOrEqual(3)
+        expect(onRetry.mock.calls[1][0].delayMs).toBeLessThanOrEqual(6)
+        expect(onRetry.mock.calls[1][0].err.code).toEqual('ECONNREFUSED')
+      })
+  })
+
+  it('gives up retrying a refused connection at the deadline', () => {
+    net.Socket.restore()
+    sinon.stub(net, 'Socket', () => {
+      const socket = new EventEmitter()
+      socket.connect = () => {
+        setImmediate(() => socket.emit('error', { code: 'ECONNREFUSED' }))
+      }
+      return socket
+    })
+
+    return moduleUnderTest
+      .setupConnection(7, 'localhost', 12345, {
+        retry: { deadlineMs: 30, initialDelayMs: 10, maxDelayMs: 10 }
+      })
+      .then(() => {
+        throw new Error('Expected connection to be refused.')
+      })
+      .catch(err => {
+        expect(err.code).toEqual('ECONNREFUSED')
+        expect(moduleUnderTest.checkConnection(7)).toBe(false)
+      })
+  })
+
+  it('stops retrying a refused connection once it is cancelled', () => {
+    let attempts = 0
+    net.Socket.restore()
+    sinon.stub(net, 'Socket', () => {
+      const socket = new EventEmitter()
+      socket.connect = () => {
+        attempts += 1
+        setImmediate(() => socket.emit('error', { code: 'ECONNREFUSED' }))
+      }
+      return socket
+    })
+    let cancelled = false
+
+    return moduleUnderTest
+      .setupConnection(11, 'localhost', 12345, {
+        retry: { deadlineMs: 1000, initialDelayMs: 4, maxDelayMs: 4 },
+        // Client goes away during the first delay.
+        onRetry: () => {
+          cancelled = true
+        },
+        isCancelled: () => cancelled
+      })
+      .then(() => {
+        throw new Error('Expected cancelled connection to be rejected.')
+      })
+      .catch(err => {
+        expect(err.cancelled).toBe(true)
+        expect(attempts).toEqual(1)
+      })
+  })
+
+  it('does not register a connection cancelled while connecting', () => {
+    const connecting = moduleUnderTest.setupConnection(10, 'localhost', 12345, {
+      isCancelled: () => true
+    })
+    const closed = jest.fn()
+    fakeSocket.on('close', closed)
+    fakeSocket.emit('connect')
+
+    return connecting
+      .then(() => {
+        throw new Error('Expected cancelled connection to be rejected.')
+      })
+      .catch(err => {
+        expect(err.cancelled).toBe(true)
+        expect(closed).toHaveBeenCalledTimes(1)
+        expect(moduleUnderTest.checkConnection(10)).toBe(false)
+      })
+  })
+
+  it('keeps connections of separately created instances independent', () => {
+    const otherInstance = moduleUnderTest.createSpdzSockets()
+    otherInstance.setupConnection(8, 'localhost', 12345)
+    fakeSocket.emit('connect')
+
+    expect(otherInstance.checkConnection(8)).toBe(true)
+    expect(moduleUnderTest.checkConnection(8)).toBe(false)
+    expect(moduleUnderTest.closeConnection(8)).toBe(false)
+    expect(otherInstance.closeConnection(8)).toBe(true)
+    expect(otherInstance.checkConnection(8)).toBe(false)
+  })
+
+  it('waits for queued writes to be flushed', () => {
+    const pendingCallbacks = []
+    fakeSocket.write = (data, callback) => {
+      pendingCallbacks.push(callback)
+      return false
+    }
+    moduleUnderTest.setupConnection(9, 'localhost', 12345)
+    fakeSocket.emit('connect')
+
+    const flushedBeforeWrites = moduleUnderTest.whenFlushed(9)
+    const sent = moduleUnderTest.sendData(9, Buffer.alloc(4))
+    let flushed = false
+    const flushing = moduleUnderTest.whenFlushed(9).then(result => {
+      flushed = result
+    })
+
+    return flushedBeforeWrites
+      .then(result => {
+        expect(result).toBe(true)
+        expect(flushed).toBe(false)
+        // SPDZ reads the data.
+        pendingCallbacks.shift()()
+        return Promise.all([sent, flushing])
+      })
+      .then(() => {
+        expect(flushed).toBe(true)
+        moduleUnderTest.sendData(9, Buffer.alloc(4)).catch(err => {
+          expect(err.message).toEqual(
+            'SPDZ connection for client 9 closed before data was sent.'
+          )
+        })
+        const unflushed = moduleUnderTest.whenFlushed(9)
+        // SPDZ closes before reading the data.
+        fakeSocket.destroy()
+        return unflushed
+      })
+      .then(result => {
+        expect(result).toBe(false)
+        return moduleUnderTest.whenFlushed(9)
+      })
+      .then(result => {
+        expect(result).toBe(false)
+      })
   })
 })
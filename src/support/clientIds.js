@@ -0,0 +1,37 @@
+/**
+ * Client id scheme shared by the REST and websocket interfaces, so that when both are served from one
+ * spdz interface a connection opened with one interface can be inspected and closed with the other.
+ * Websocket connections are given a generated id with the prefix ws-, REST clients choose their own id
+ * or have one generated by the spdz interface, and may not use the prefix.
+ * All ids are safe to use in a URL path.
+ */
+'use strict'
+
+const crypto = require('crypto')
+
+const WEB_SOCKET_PREFIX = 'ws-'
+
+/**
+ * @returns {String} new client id for a websocket connection.
+ */
+const webSocketClientId = () =>
+  `${WEB_SOCKET_PREFIX}${crypto.randomBytes(8).toString('hex')}`
+
+/**
+ * @returns {boolean} true if the id is reserved for websocket connections.
+ */
+const isWebSocketClientId = clientId =>
+  String(clientId).startsWith(WEB_SOCKET_PREFIX)
+
+/**
+ * @returns {boolean} true if the id could be generated, either for a websocket connection or
+ *  by the spdz interface, which numbers REST clients without an id.
+ */
+const isGeneratedClientId = clientId =>
+  isWebSocketClientId(clientId) || /^[0-9]+$/.test(String(clientId))
+
+module.exports = {
+  webSocketClientId: webSocketClientId,
+  isWebSocketClientId: isWebSocketClientId,
+  isGeneratedClientId: isGeneratedClientId
+}
@@ -0,0 +1,33 @@
+'use strict'
+
+const clientIds = require('./clientIds')
+
+describe('Client ids shared by the REST and websocket interfaces', () => {
+  it('generates unique websocket client ids which are safe in a URL path', () => {
+    const first = clientIds.webSocketClientId()
+    const second = clientIds.webSocketClientId()
+
+    expect(first).toMatch(/^ws-[0-9a-f]{16}$/)
+    expect(second).not.toEqual(first)
+    expect(encodeURIComponent(first)).toEqual(first)
+  })
+
+  it('recognises ids reserved for websocket connections', () => {
+    expect(clientIds.isWebSocketClientId(clientIds.webSocketClientId())).toBe(
+      true
+    )
+    expect(clientIds.isWebSocketClientId('123')).toBe(false)
+    expect(clientIds.isWebSocketClientId(45)).toBe(false)
+    expect(clientIds.isWebSocketClientId('a-ws-1')).toBe(false)
+  })
+
+  it('recognises ids which could be generated', () => {
+    expect(clientIds.isGeneratedClientId(clientIds.webSocketClientId())).toBe(
+      true
+    )
+    expect(clientIds.isGeneratedClientId(45)).toBe(true)
+    expect(clientIds.isGeneratedClientId('123')).toBe(true)
+    expect(clientIds.isGeneratedClientId('auction1')).toBe(false)
+    expect(clientIds.isGeneratedClientId('1e3')).toBe(false)
+  })
+})
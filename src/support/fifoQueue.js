@@ -0,0 +1,65 @@
+/**
+ * First in first out queue with O(1) push and shift.
+ * Array.shift and Array.splice(0, 1) copy the remaining elements, so instead hold
+ * the index of the head element and only compact the array once half of it is unused.
+ */
+'use strict'
+
+class FifoQueue {
+  constructor() {
+    this.items = []
+    this.head = 0
+  }
+
+  /**
+   * Add an item to the end of the queue.
+   * @param {*} item
+   */
+  push(item) {
+    this.items.push(item)
+  }
+
+  /**
+   * Remove and return the item at the front of the queue, or undefined if empty.
+   */
+  shift() {
+    if (this.head === this.items.length) {
+      return undefined
+    }
+    const item = this.items[this.head]
+    this.items[this.head] = undefined
+    this.head += 1
+
+    if (this.head === this.items.length) {
+      this.items = []
+      this.head = 0
+    } else if (this.head > 1024 && this.head * 2 > this.items.length) {
+      this.items = this.items.slice(this.head)
+      this.head = 0
+    }
+    return item
+  }
+
+  /**
+   * Return the item at the front of the queue without removing it, or undefined if empty.
+   */
+  peek() {
+    return this.items[this.head]
+  }
+
+  /**
+   * Return the item at the position from the front of the queue without removing it, or undefined if none.
+   * @param {Number} index from 0 for the front of the queue.
+   */
+  get(index) {
+    return index >= 0 && index < this.length
+      ? this.items[this.head + index]
+      : undefined
+  }
+
+  get length() {
+    return this.items.length - this.head
+  }
+}
+
+module.exports = FifoQueue
@@ -0,0 +1,54 @@
+'use strict'
+
+const FifoQueue = require('./fifoQueue')
+
+describe('A fifo queue', () => {
+  it('returns items in the order they were added', () => {
+    const queue = new FifoQueue()
+    queue.push('a')
+    queue.push('b')
+
+    expect(queue.length).toEqual(2)
+    expect(queue.peek()).toEqual('a')
+    expect(queue.shift()).toEqual('a')
+    expect(queue.shift()).toEqual('b')
+    expect(queue.length).toEqual(0)
+  })
+
+  it('returns undefined when empty', () => {
+    const queue = new FifoQueue()
+    expect(queue.shift()).toBeUndefined()
+    expect(queue.peek()).toBeUndefined()
+  })
+
+  it('keeps order when compacting after many items are removed', () => {
+    const queue = new FifoQueue()
+    for (let i = 0; i < 5000; i++) {
+      queue.push(i)
+    }
+    for (let i = 0; i < 3000; i++) {
+      expect(queue.shift()).toEqual(i)
+    }
+    queue.push(5000)
+
+    expect(queue.length).toEqual(2001)
+    expect(queue.items.length).toBeLessThan(5000)
+    for (let i = 3000; i <= 5000; i++) {
+      expect(queue.shift()).toEqual(i)
+    }
+  })
+
+  it('gets items by position from the front without removing them', () => {
+    const queue = new FifoQueue()
+    queue.push('a')
+    queue.push('b')
+    queue.push('c')
+    queue.shift()
+
+    expect(queue.get(0)).toEqual('b')
+    expect(queue.get(1)).toEqual('c')
+    expect(queue.get(2)).toBeUndefined()
+    expect(queue.get(-1)).toBeUndefined()
+    expect(queue.length).toEqual(2)
+  })
+})
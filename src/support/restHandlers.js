@@ -0,0 +1,54 @@
+/**
+ * Middleware shared by the REST routers, CORS options and the handling of unknown paths and errors.
+ * Errors passed to next may have a status (default 500) and errors, a list of problems with the request.
+ */
+'use strict'
+
+const HttpStatus = require('http-status-codes')
+const logger = require('./logging')
+
+const environ = process.env.NODE_ENV || 'development'
+
+// Options needed to configure Access-Control-Expose-Headers to allow Location header to be read.
+const corsOptions = {
+  exposedHeaders: 'Location'
+}
+
+/**
+ * Must come after the routes to handle 404s (for api only).
+ */
+const notFoundHandler = (req, res, next) => {
+  const err = new Error(
+    `Using ${req.method} against path ${req.path} is not part of the api.`
+  )
+  err.status = HttpStatus.NOT_FOUND
+  next(err)
+}
+
+/**
+ * Error handler - note next is needed as param, express recognises error handlers by their 4 params.
+ * If the response has already started, e.g. an event stream, leave express to close the connection.
+ */
+const errorHandler = (err, req, res, next) => {
+  if (res.headersSent) {
+    return next(err)
+  }
+  // Only providing error stack to client in development
+  const stack = environ === 'development' ? err.stack : {}
+  const status = err.status || HttpStatus.INTERNAL_SERVER_ERROR
+
+  logger.warn('Got a REST error.', status, err.message)
+  logger.debug(stack)
+  res.status(status).json({
+    status: status,
+    message: err.message,
+    errors: err.errors,
+    stack: stack
+  })
+}
+
+module.exports = {
+  corsOptions: corsOptions,
+  notFoundHandler: notFoundHandler,
+  errorHandler: errorHandler
+}
@@ -0,0 +1,38 @@
+'use strict'
+
+const { errorHandler } = require('./restHandlers')
+const logger = require('./logging')
+logger.level = 'error'
+
+describe('The REST error handler', () => {
+  const responseStub = headersSent => {
+    const res = { headersSent: headersSent }
+    res.status = jest.fn(() => res)
+    res.json = jest.fn(() => res)
+    return res
+  }
+
+  it('responds with the error status and message', () => {
+    const err = new Error('No connection found for client id 1.')
+    err.status = 404
+    const res = responseStub(false)
+    const next = jest.fn()
+
+    errorHandler(err, {}, res, next)
+    expect(res.status).toHaveBeenCalledWith(404)
+    expect(res.json.mock.calls[0][0].message).toEqual(
+      'No connection found for client id 1.'
+    )
+    expect(next).not.toHaveBeenCalled()
+  })
+
+  it('leaves express to close a response which has already started', () => {
+    const err = new Error('Stream failed.')
+    const res = responseStub(true)
+    const next = jest.fn()
+
+    errorHandler(err, {}, res, next)
+    expect(next).toHaveBeenCalledWith(err)
+    expect(res.status).not.toHaveBeenCalled()
+  })
+})
@@ -0,0 +1,70 @@
+/**
+ * Request handling shared by the web socket interfaces. Each request event is answered with an <event>_result
+ * event and, if the client emitted the request with an acknowledgement callback, by calling the callback with
+ * the same response. To match responses to concurrent requests a client may pass { requestId } after the
+ * event's parameters, or requestId in the event's options, which is echoed back in the response.
+ */
+'use strict'
+
+/**
+ * True for a JSON object sent by the client, as opposed to an array, binary attachment or scalar.
+ */
+const isPlainObject = value =>
+  value !== null &&
+  typeof value === 'object' &&
+  !Array.isArray(value) &&
+  !Buffer.isBuffer(value) &&
+  !(value instanceof ArrayBuffer)
+
+/**
+ * Find the client supplied request id, in an extra argument after the event's parameters
+ * or in the last parameter, for events which take options.
+ */
+const requestIdOf = (args, paramCount) => {
+  const holder =
+    args.length > paramCount ? args[paramCount] : args[paramCount - 1]
+  return isPlainObject(holder) ? holder.requestId : undefined
+}
+
+/**
+ * Add the request id to a response, if the client supplied one.
+ * @param {String|Number} [requestId] client supplied request id.
+ * @param {Object} response JSON response.
+ * @returns {Object} the response, or a copy including requestId.
+ */
+const withRequestId = (requestId, response) =>
+  requestId !== undefined
+    ? Object.assign({}, response, { requestId: requestId })
+    : response
+
+/**
+ * Listen for a request event from a client web socket.
+ * @param {socket.io socket} socket client web socket.
+ * @param {String} eventName request event name, responses are sent as the event eventName_result.
+ * @param {Function} handler called with (request, ...event parameters), where request is {requestId, respond},
+ *  respond(response) answers the client. The number of event parameters is the number the handler declares after request.
+ */
+const onRequest = (socket, eventName, handler) => {
+  const paramCount = handler.length - 1
+  socket.on(eventName, (...args) => {
+    const ack =
+      typeof args[args.length - 1] === 'function' ? args.pop() : undefined
+    const requestId = requestIdOf(args, paramCount)
+    const request = {
+      requestId: requestId,
+      respond: response => {
+        const reply = withRequestId(requestId, response)
+        socket.emit(`${eventName}_result`, reply)
+        if (ack !== undefined) {
+          ack(reply)
+        }
+      }
+    }
+    handler(request, ...args.slice(0, paramCount))
+  })
+}
+
+module.exports = {
+  onRequest: onRequest,
+  withRequestId: withRequestId
+}
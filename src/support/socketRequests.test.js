@@ -0,0 +1,91 @@
+'use strict'
+
+const EventEmitter = require('events')
+const { onRequest, withRequestId } = require('./socketRequests')
+
+describe('Answering web socket requests', () => {
+  let socket
+  let emitted
+
+  beforeEach(() => {
+    socket = new EventEmitter()
+    emitted = []
+    socket.emit = (eventName, ...args) => {
+      emitted.push([eventName, ...args])
+      return EventEmitter.prototype.emit.call(socket, eventName, ...args)
+    }
+  })
+
+  it('passes the event parameters and sends the response as the result event', () => {
+    onRequest(socket, 'doThing', (request, first, second) => {
+      request.respond({ status: 0, params: [first, second] })
+    })
+
+    socket.emit('doThing', 'a', 'b')
+
+    expect(emitted[1]).toEqual([
+      'doThing_result',
+      { status: 0, params: ['a', 'b'] }
+    ])
+  })
+
+  it('calls the acknowledgement callback with the response', () => {
+    const ack = jest.fn()
+    onRequest(socket, 'doThing', (request, first) => {
+      request.respond({ status: 1, err: first })
+    })
+
+    socket.emit('doThing', 'oops', ack)
+
+    expect(ack).toHaveBeenCalledWith({ status: 1, err: 'oops' })
+    expect(emitted[1]).toEqual(['doThing_result', { status: 1, err: 'oops' }])
+  })
+
+  it('echoes a request id passed after the parameters, which is not passed to the handler', () => {
+    const ack = jest.fn()
+    onRequest(socket, 'doThing', (request, first, options) => {
+      request.respond({ status: 0, params: [first, options] })
+    })
+
+    socket.emit('doThing', 'a', undefined, { requestId: 'r1' }, ack)
+
+    expect(ack).toHaveBeenCalledWith({
+      status: 0,
+      params: ['a', undefined],
+      requestId: 'r1'
+    })
+  })
+
+  it('echoes a request id passed in the options parameter', () => {
+    onRequest(socket, 'doThing', (request, values, options) => {
+      request.respond({ status: 0, decode: options.decode })
+    })
+
+    socket.emit('doThing', [1, 2], { decode: true, requestId: 3 })
+
+    expect(emitted[1]).toEqual([
+      'doThing_result',
+      { status: 0, decode: true, requestId: 3 }
+    ])
+  })
+
+  it('ignores request ids in other parameters', () => {
+    onRequest(socket, 'doThing', (request, values) => {
+      request.respond({ status: 0, count: values.length })
+    })
+
+    socket.emit('doThing', [{ requestId: 3 }])
+
+    expect(emitted[1]).toEqual(['doThing_result', { status: 0, count: 1 }])
+  })
+
+  it('adds request ids to other events only if supplied', () => {
+    const progress = { status: 0 }
+    expect(withRequestId(undefined, progress)).toBe(progress)
+    expect(withRequestId('r2', progress)).toEqual({
+      status: 0,
+      requestId: 'r2'
+    })
+    expect(progress).toEqual({ status: 0 })
+  })
+})